@@ -12,7 +12,7 @@ module.exports = async (req, res) => {
     console.log('🤖 Starting data collection from Vercel Cron...');
     
     const fetcher = new DataFetcher();
-    await fetcher.collectAllData();
+    await fetcher.collectAllData({ trigger: 'vercel_cron' });
     
     console.log('✅ Data collection completed successfully');
     
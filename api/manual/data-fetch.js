@@ -11,7 +11,7 @@ module.exports = async (req, res) => {
     console.log('🚀 Manual data collection trigger received...');
     
     const fetcher = new DataFetcher();
-    await fetcher.collectAllData();
+    await fetcher.collectAllData({ trigger: 'manual', force: true });
     
     console.log('✅ Manual data collection completed successfully');
     
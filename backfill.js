@@ -0,0 +1,112 @@
+require('dotenv').config();
+const winston = require('winston');
+const DataFetcher = require('./dataFetcher');
+const BackfillService = require('./services/backfillService');
+const { getUserByEmail, getBackfillJob, getBackfillJobs, mongoose } = require('./utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Read "--flag value" pairs from the command line. --space may be repeated.
+function parseArgs(argv) {
+  const args = { space: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    const value = next === undefined || next.startsWith('--') ? true : argv[++i];
+    if (key === 'space') {
+      args.space.push(value);
+    } else {
+      args[key] = value;
+    }
+  }
+  return args;
+}
+
+function describeJob(job) {
+  const range = `${job.start_date.toISOString().slice(0, 10)} - ${job.end_date.toISOString().slice(0, 10)}`;
+  const spaces = job.source === 'chat' ? `, ${job.progress.spaces_done}/${job.space_ids.length} spaces` : '';
+  return `${job._id} ${job.source} ${range} [${job.status}] ${job.progress.messages_stored} messages, ` +
+    `${job.progress.pages_fetched} pages${spaces}${job.last_error ? ` (last error: ${job.last_error})` : ''}`;
+}
+
+// Queue a new job (or pick up an existing one) and run it to the end. Interrupting the command
+// is safe: "--resume <jobId>" continues from the last saved checkpoint.
+async function runBackfill(args) {
+  const service = new BackfillService(new DataFetcher());
+
+  let job;
+  if (args.resume) {
+    job = await getBackfillJob(args.resume);
+    if (!job) throw new Error(`Unknown backfill job: ${args.resume}`);
+  } else {
+    const user = await getUserByEmail(String(args.user).toLowerCase());
+    if (!user) throw new Error(`Unknown user: ${args.user}`);
+
+    const days = parseInt(args.days, 10);
+    job = await service.createJob({
+      user,
+      source: args.source,
+      spaceIds: args.space,
+      startDate: args.from || (days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null),
+      endDate: args.to || null,
+      requestedBy: 'cli'
+    });
+  }
+
+  const result = await service.runJob(job._id);
+  if (!result) {
+    // A run that was interrupted keeps the job leased for a few minutes
+    throw new Error(`Backfill ${job._id} can't be run now (it is ${job.status}); an interrupted run can be resumed once its lease expires`);
+  }
+  logger.info(describeJob(result));
+  return result;
+}
+
+// Command line interface
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.list && !args.resume && !(args.user && args.source && (args.from || args.days))) {
+    console.log('Usage: npm run backfill -- --user jane@example.com --source chat|gmail (--days 90 | --from 2024-01-01 [--to 2024-03-31])');
+    console.log('         [--space spaces/AAAA ...]');
+    console.log('       npm run backfill -- --resume <jobId>');
+    console.log('       npm run backfill -- --list');
+    process.exit(1);
+  }
+
+  try {
+    if (args.list) {
+      for (const job of await getBackfillJobs()) {
+        logger.info(describeJob(job));
+      }
+    } else {
+      await runBackfill(args);
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Backfill failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runBackfill };
@@ -8,6 +8,24 @@ const fs = require('fs');
 const path = require('path');
 
 const supabase = require('./utils/mongodb');
+const GoogleAuthManager = require('./utils/googleAuth');
+const AccountDisconnectService = require('./services/accountDisconnectService');
+const BackfillService = require('./services/backfillService');
+const { DEFAULT_CRON } = require('./utils/schedule');
+const { getUsageBuckets, QUOTA_BUDGETS, QUOTA_DEFER_THRESHOLD } = require('./utils/apiUsage');
+const {
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  parseCookies,
+  sanitizeRedirectTarget,
+  sessionCookieOptions,
+  authenticate,
+  requireAuth,
+  requireScope,
+  requireAdmin,
+  isAdmin,
+  canAccessUser
+} = require('./utils/accessControl');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -30,15 +48,156 @@ const logger = winston.createLogger({
 const app = express();
 const port = process.env.DASHBOARD_PORT || 4000;
 
+// Dashboard sign-in uses its own OAuth redirect URI (register it in the Google Cloud console)
+const dashboardBaseUrl = process.env.DASHBOARD_URL || `http://localhost:${port}`;
+const loginRedirectUri = `${dashboardBaseUrl}/login/callback`;
+const googleAuth = new GoogleAuthManager();
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false // Allow inline styles for dashboard
 }));
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
+
+// Google sign-in for the dashboard - identity scopes only, no data access requested
+app.get('/login', async (req, res) => {
+  try {
+    const { codeVerifier, codeChallenge } = await googleAuth.generatePkcePair();
+    const { authUrl, state } = googleAuth.generateAuthUrl(null, codeChallenge, {
+      redirectUri: loginRedirectUri,
+      accessType: 'online'
+    });
+
+    await supabase.createAuthState({
+      state,
+      ip: req.ip,
+      codeVerifier,
+      redirectTo: sanitizeRedirectTarget(req.query.next) || '/dashboard'
+    });
+
+    res.redirect(authUrl);
+  } catch (error) {
+    logger.error('Error starting dashboard sign-in:', error);
+    res.status(500).send('Failed to start sign-in. Please try again.');
+  }
+});
+
+app.get('/login/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code) {
+    return res.status(400).send(`
+      <html><body style="font-family: sans-serif; padding: 50px; text-align: center;">
+        <h1>❌ Sign-in Failed</h1>
+        <p>${error ? 'Google sign-in was cancelled or denied.' : 'No authorization code received from Google.'}</p>
+        <a href="/login">Try again</a>
+      </body></html>
+    `);
+  }
+
+  try {
+    const stateCheck = await supabase.consumeAuthState(state);
+    if (!stateCheck.valid) {
+      logger.warn(`Rejected dashboard sign-in state (${stateCheck.reason})`);
+      return res.redirect('/login');
+    }
+
+    const { userInfo, profile } = await googleAuth.exchangeCodeForTokens(code, stateCheck.authState.code_verifier, loginRedirectUri);
+    const user = await supabase.getUserByEmail(userInfo.email);
+    if (user) {
+      await supabase.updateUserGoogleProfile(user._id, profile);
+    }
+
+    // Only people from a registered organization may sign in
+    if (!user && !(await supabase.getOrganizationForEmail(userInfo.email))) {
+      logger.warn(`Rejected dashboard sign-in from unregistered domain: ${userInfo.email}`);
+      return res.status(403).send(`
+        <html><body style="font-family: sans-serif; padding: 50px; text-align: center;">
+          <h1>🚫 Organization Not Registered</h1>
+          <p>${supabase.getEmailDomain(userInfo.email)} has not been set up in PM Assistant. Ask your administrator to add it.</p>
+        </body></html>
+      `);
+    }
+
+    const sessionToken = await supabase.createSession({
+      userId: user?._id,
+      email: userInfo.email,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      ttlHours: SESSION_TTL_HOURS
+    });
+
+    res.cookie(SESSION_COOKIE, sessionToken, sessionCookieOptions());
+    logger.info(`Dashboard sign-in: ${userInfo.email}`);
+    res.redirect(stateCheck.authState.redirect_to || '/dashboard');
+
+  } catch (error) {
+    logger.error('Error completing dashboard sign-in:', error);
+    res.status(500).send('Sign-in failed. Please try again.');
+  }
+});
+
+app.post('/logout', async (req, res) => {
+  try {
+    await supabase.deleteSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  } catch (error) {
+    logger.error('Error deleting session:', error);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// Who is signed in (used by the dashboard header)
+app.get('/api/me', requireAuth(), async (req, res) => {
+  try {
+    const [user, organization] = await Promise.all([
+      req.auth.userId ? supabase.getUserById(req.auth.userId) : null,
+      req.auth.orgId ? supabase.getOrganizationById(req.auth.orgId) : null
+    ]);
+
+    res.json({
+      email: req.auth.email,
+      user_id: req.auth.userId,
+      role: req.auth.role,
+      scopes: req.auth.scopes,
+      organization: organization ? { id: organization._id, name: organization.name, slug: organization.slug } : null,
+      // Only users with a connected Google account have a stored profile
+      profile: user ? supabase.toUserProfile(user, organization) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+});
+
+// Edit the signed-in user's display name, locale, timezone, working hours and sync schedule
+app.patch('/api/me/profile', requireScope('account:write'), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Connect your Google account before editing your profile' });
+    }
+
+    const { display_name, locale, timezone, working_hours, sync_schedule } = req.body;
+    const user = await supabase.updateUserProfile(req.auth.userId, { display_name, locale, timezone, working_hours, sync_schedule });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const organization = req.auth.orgId ? await supabase.getOrganizationById(req.auth.orgId) : null;
+    res.json({ success: true, profile: supabase.toUserProfile(user, organization) });
+  } catch (error) {
+    if (error.code === 'INVALID_PROFILE') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
 
 // Dashboard route - serve HTML template
-app.get('/dashboard', async (req, res) => {
+app.get('/dashboard', requireAuth({ loginPath: '/login' }), async (req, res) => {
   try {
     const dashboardHtmlPath = path.join(__dirname, 'views', 'dashboard.html');
     
@@ -64,15 +223,39 @@ app.get('/dashboard', async (req, res) => {
 });
 
 // API endpoint for system-wide statistics
-app.get('/api/system-stats', async (req, res) => {
+// Admins see every user in their organization; everyone else only sees their own account
+async function getVisibleUsers(req) {
+  const activeUsers = await supabase.getAllActiveUsers(req.auth.orgId);
+  return activeUsers.filter(user => canAccessUser(req, user));
+}
+
+// API endpoint for system-wide statistics (scoped to the caller unless admin)
+app.get('/api/system-stats', requireScope('stats:read'), async (req, res) => {
   try {
-    const systemStats = await supabase.getDashboardStats();
-    const activeUsers = await supabase.getAllActiveUsers();
+    const activeUsers = await getVisibleUsers(req);
+    let totalChats = 0;
+    let totalGmails = 0;
+
+    if (isAdmin(req) && req.auth.orgId) {
+      const systemStats = await supabase.getDashboardStats(req.auth.orgId);
+      totalChats = systemStats.total_chat_messages || 0;
+      totalGmails = systemStats.total_gmail_messages || 0;
+    } else {
+      const userStats = await Promise.all(activeUsers.map(user => supabase.getUserStats(user.id)));
+      totalChats = userStats.reduce((sum, stats) => sum + stats.chat_messages, 0);
+      totalGmails = userStats.reduce((sum, stats) => sum + stats.gmail_messages, 0);
+    }
+    
+    // Users whose Google access stopped working (not polled until they re-consent)
+    const needsReauthUsers = (await supabase.getUsersNeedingReauth(req.auth.orgId))
+      .filter(user => canAccessUser(req, user))
+      .map(user => ({ ...user, reauth_url: googleAuth.getReauthUrl(user) }));
     
     res.json({
       total_users: activeUsers.length,
-      total_chats: systemStats.total_chat_messages || 0,
-      total_gmails: systemStats.total_gmail_messages || 0,
+      total_chats: totalChats,
+      total_gmails: totalGmails,
+      needs_reauth_users: needsReauthUsers,
       users: activeUsers.map(user => ({
         id: user.id,
         email: user.email,
@@ -89,17 +272,76 @@ app.get('/api/system-stats', async (req, res) => {
   }
 });
 
+// Health of the Google APIs: retries, failures and paused (circuit-open) APIs over the last ?minutes
+app.get('/api/upstreams', requireScope('stats:read'), async (req, res) => {
+  try {
+    const sinceMinutes = Math.min(parseInt(req.query.minutes) || 60, 7 * 24 * 60);
+    const [apis, events] = await Promise.all([
+      supabase.getUpstreamHealth(sinceMinutes),
+      supabase.getUpstreamEvents({
+        api: typeof req.query.api === 'string' ? req.query.api : null,
+        limit: Math.min(parseInt(req.query.limit) || 20, 200)
+      })
+    ]);
+    res.json({
+      since_minutes: sinceMinutes,
+      degraded: apis.filter(api => api.status !== 'ok').map(api => api.api),
+      apis,
+      recent_events: events
+    });
+  } catch (error) {
+    logger.error('Error fetching upstream health:', error);
+    res.status(500).json({ error: 'Failed to fetch upstream health' });
+  }
+});
+
+// Google API calls today by API, method and user, calls per minute over the last ?minutes, and how
+// much of each configured budget is used. Quotas are shared by the whole Google Cloud project; the
+// per-user breakdown only lists the caller's organization.
+app.get('/api/quota', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const minutes = Math.min(parseInt(req.query.minutes) || 60, 24 * 60);
+    const { minute, day } = getUsageBuckets();
+    const since = new Date(minute.getTime() - (minutes - 1) * 60 * 1000);
+    const users = (await supabase.getAllActiveUsers(req.auth.orgId)).map(user => user.email);
+    const usage = await supabase.getApiUsageSummary({ day, since, users });
+
+    const apis = [...new Set([...Object.keys(QUOTA_BUDGETS.minute), ...Object.keys(QUOTA_BUDGETS.day)])];
+    const budgets = apis.map(api => ({
+      api,
+      minute: {
+        budget: QUOTA_BUDGETS.minute[api] || null,
+        used: usage.per_minute.filter(entry => entry.api === api && entry.minute.getTime() === minute.getTime())
+          .reduce((sum, entry) => sum + entry.count, 0)
+      },
+      day: {
+        budget: QUOTA_BUDGETS.day[api] || null,
+        used: usage.by_method.filter(entry => entry.api === api).reduce((sum, entry) => sum + entry.count, 0)
+      },
+      user_minute_budget: QUOTA_BUDGETS.user_minute[api] || null
+    }));
+
+    res.json({ day, since, defer_threshold: QUOTA_DEFER_THRESHOLD, budgets, ...usage });
+  } catch (error) {
+    logger.error('Error fetching API usage:', error);
+    res.status(500).json({ error: 'Failed to fetch API usage' });
+  }
+});
+
 // API endpoint for raw dashboard data
-app.get('/api/dashboard-data', async (req, res) => {
+app.get('/api/dashboard-data', requireScope('stats:read'), async (req, res) => {
   try {
-    const activeUsers = await supabase.getAllActiveUsers();
-    const dashboardStats = await supabase.getDashboardStats();
+    const activeUsers = await getVisibleUsers(req);
+    const syncLogFilters = supabase.parseSyncLogFilters(req.query);
     
     const usersWithData = await Promise.all(
       activeUsers.map(async (user) => {
         const [userStats, recentLogs] = await Promise.all([
           supabase.getUserStats(user.id),
-          supabase.getRecentSyncLogs(user.id, 10)
+          supabase.getRecentSyncLogs(user.id, 10, syncLogFilters)
         ]);
 
         return {
@@ -127,16 +369,24 @@ app.get('/api/dashboard-data', async (req, res) => {
 });
 
 // Sample data endpoint for specific user
-app.get('/api/user/:userId/sample-data', async (req, res) => {
+app.get('/api/user/:userId/sample-data', requireScope('messages:read'), async (req, res) => {
   try {
     const { userId } = req.params;
+
+    const user = await supabase.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only view your own data' });
+    }
     const chatLimit = parseInt(req.query.chatLimit) || 100;
     const gmailLimit = parseInt(req.query.gmailLimit) || 100;
 
     const [chatMessages, gmailMessages, syncLogs] = await Promise.all([
       supabase.getChatMessagesByUser(userId, chatLimit),
       supabase.getRecentGmailMessages(userId, gmailLimit),
-      supabase.getRecentSyncLogs(userId, 20)
+      supabase.getRecentSyncLogs(userId, 20, supabase.parseSyncLogFilters(req.query))
     ]);
 
     // Sort messages by message_time (newest first)
@@ -157,6 +407,434 @@ app.get('/api/user/:userId/sample-data', async (req, res) => {
   }
 });
 
+// A user's sync history, newest first (?sync_status=success|error&sync_type=chat|gmail|auth&limit=)
+app.get('/api/user/:userId/sync-logs', requireScope('stats:read'), async (req, res) => {
+  try {
+    const user = await supabase.getUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only view your own sync logs' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const logs = await supabase.getRecentSyncLogs(user._id, limit, supabase.parseSyncLogFilters(req.query));
+    res.json({ user_id: req.params.userId, total_logs: logs.length, sync_logs: logs });
+  } catch (error) {
+    logger.error('Error fetching sync logs:', error);
+    res.status(500).json({ error: 'Failed to fetch sync logs' });
+  }
+});
+
+// Chat threads a user has collected, most recently active first (filter with ?space_id=spaces/...)
+app.get('/api/user/:userId/threads', requireScope('messages:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await supabase.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only view your own data' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const threads = await supabase.getChatThreads(userId, req.query.space_id || null, limit);
+    res.json({
+      user_id: userId,
+      total_threads: threads.length,
+      threads
+    });
+
+  } catch (error) {
+    logger.error('Error fetching chat threads:', error);
+    res.status(500).json({ error: 'Failed to fetch chat threads' });
+  }
+});
+
+// One full thread with its messages (thread IDs look like spaces/AAAA/threads/BBBB, so URL-encode them)
+app.get('/api/user/:userId/threads/:threadId', requireScope('messages:read'), async (req, res) => {
+  try {
+    const { userId, threadId } = req.params;
+
+    const user = await supabase.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only view your own data' });
+    }
+
+    let thread = await supabase.getChatThread(userId, threadId);
+    if (!thread) {
+      // Messages stored before threads were tracked get their thread built on first read
+      await supabase.refreshChatThreads(userId, [threadId]);
+      thread = await supabase.getChatThread(userId, threadId);
+    }
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const messages = await supabase.getChatThreadMessages(userId, threadId);
+    res.json({ thread, messages });
+
+  } catch (error) {
+    logger.error('Error fetching chat thread:', error);
+    res.status(500).json({ error: 'Failed to fetch chat thread' });
+  }
+});
+
+// Disconnect a user: revoke Google access, stop syncing and optionally purge their data
+app.post('/api/user/:userId/disconnect', requireScope('account:write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const purge = req.body.purge === true;
+
+    const disconnectService = new AccountDisconnectService();
+    const user = await disconnectService.findUser({ userId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only disconnect your own account' });
+    }
+
+    const report = await disconnectService.disconnectUser(user, {
+      purge,
+      requestedBy: req.auth.email,
+      requestedVia: 'dashboard'
+    });
+
+    res.json({ success: true, report });
+
+  } catch (error) {
+    logger.error('Error disconnecting user:', error);
+    res.status(500).json({ error: 'Failed to disconnect user' });
+  }
+});
+
+// Chat spaces registered for the caller's organization
+app.get('/api/spaces', requireScope('stats:read'), async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const spaces = await supabase.getSpaces(req.auth.orgId, { enabledOnly: false });
+    res.json({
+      total_spaces: spaces.length,
+      spaces: spaces.map(space => ({
+        space_id: space.space_id,
+        space_name: space.space_name,
+        space_type: space.space_type,
+        total_members: space.total_members,
+        enabled: space.enabled !== false,
+        last_seen_at: space.last_seen_at || null,
+        archived_at: space.archived_at || null,
+        archive_reason: space.archive_reason || null
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching spaces:', error);
+    res.status(500).json({ error: 'Failed to fetch spaces' });
+  }
+});
+
+// Files, Drive links and cards shared in a space. Admins see everything collected in their
+// organization, everyone else only what was collected from their own account.
+app.get('/api/spaces/:spaceId/files', requireScope('messages:read'), async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    // Non-admins only see files from their own synced messages, so they need a connected account
+    if (!isAdmin(req) && !req.auth.userId) {
+      return res.status(403).json({ error: 'Connect your Google account to see space files' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const files = await supabase.getSpaceAttachments(
+      req.auth.orgId,
+      req.params.spaceId,
+      isAdmin(req) ? null : req.auth.userId,
+      limit
+    );
+    res.json({
+      space_id: req.params.spaceId,
+      total_files: files.length,
+      files
+    });
+  } catch (error) {
+    logger.error('Error fetching space files:', error);
+    res.status(500).json({ error: 'Failed to fetch space files' });
+  }
+});
+
+// Enable or disable collection for a space (space IDs look like spaces/AAAA..., so URL-encode them)
+app.patch('/api/spaces/:spaceId', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    const space = await supabase.setSpaceEnabled(req.auth.orgId, req.params.spaceId, req.body.enabled);
+    if (!space) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    res.json({ success: true, space_id: space.space_id, enabled: space.enabled });
+  } catch (error) {
+    logger.error('Error updating space:', error);
+    res.status(500).json({ error: 'Failed to update space' });
+  }
+});
+
+// The organization's default schedules, which users' own settings override.
+// Body: { schedule: { chat: { cron, enabled, working_hours_only }, gmail: {...}, analysis: { cron, enabled },
+//         quiet_hours: { start, end }, skip_weekends } } - a null schedule goes back to the defaults
+app.get('/api/schedule', requireAdmin, async (req, res) => {
+  try {
+    const organization = req.auth.orgId ? await supabase.getOrganizationById(req.auth.orgId) : null;
+    if (!organization) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    res.json({
+      timezone: organization.settings?.timezone,
+      schedule: organization.toObject().settings?.sync_schedule || {},
+      defaults: DEFAULT_CRON,
+      last_analysis_at: organization.last_analysis_at || null
+    });
+  } catch (error) {
+    logger.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+app.patch('/api/schedule', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const organization = await supabase.updateOrganizationSchedule(req.auth.orgId, req.body.schedule ?? null);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.json({ success: true, schedule: organization.toObject().settings?.sync_schedule || {} });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Deletion reports (audit trail of disconnects)
+app.get('/api/deletion-reports', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const limit = parseInt(req.query.limit) || 20;
+    const reports = await supabase.getDeletionReports(req.query.userId || null, limit, req.auth.orgId);
+    res.json({ total_reports: reports.length, reports });
+  } catch (error) {
+    logger.error('Error fetching deletion reports:', error);
+    res.status(500).json({ error: 'Failed to fetch deletion reports' });
+  }
+});
+
+// Historical backfills. Jobs are queued here and run by the data fetcher (or "npm run backfill -- --resume <id>").
+app.get('/api/backfill', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const limit = parseInt(req.query.limit) || 50;
+    const jobs = await supabase.getBackfillJobs(req.auth.orgId, limit);
+    res.json({ total_jobs: jobs.length, jobs });
+  } catch (error) {
+    logger.error('Error fetching backfill jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch backfill jobs' });
+  }
+});
+
+// Body: { user_id, source: 'chat' | 'gmail', start_date, end_date?, space_ids? } - or days instead of start_date
+app.post('/api/backfill', requireAdmin, async (req, res) => {
+  try {
+    const { user_id: userId, source, space_ids: spaceIds, start_date: startDate, end_date: endDate, days } = req.body;
+
+    const user = userId ? await supabase.getUserById(userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only backfill users of your organization' });
+    }
+    if (spaceIds !== undefined && !Array.isArray(spaceIds)) {
+      return res.status(400).json({ error: 'space_ids must be an array' });
+    }
+
+    const job = await new BackfillService(null, googleAuth).createJob({
+      user,
+      source,
+      spaceIds: spaceIds || [],
+      startDate: startDate || (parseInt(days) > 0 ? new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) : null),
+      endDate: endDate || null,
+      requestedBy: req.auth.email
+    });
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error.code === 'INVALID_BACKFILL') {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error creating backfill job:', error);
+    res.status(500).json({ error: 'Failed to create backfill job' });
+  }
+});
+
+app.get('/api/backfill/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await supabase.getBackfillJob(req.params.jobId, req.auth.orgId);
+    if (!job || !req.auth.orgId) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    logger.error('Error fetching backfill job:', error);
+    res.status(500).json({ error: 'Failed to fetch backfill job' });
+  }
+});
+
+app.post('/api/backfill/:jobId/cancel', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const job = await supabase.cancelBackfillJob(req.params.jobId, req.auth.orgId);
+    if (!job) {
+      return res.status(404).json({ error: 'No pending or running backfill job with that ID' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Error cancelling backfill job:', error);
+    res.status(500).json({ error: 'Failed to cancel backfill job' });
+  }
+});
+
+// Data collection run ledger: trigger, per-user/per-source outcomes, duration and errors.
+// Filters: ?trigger=cron|startup|vercel_cron|manual|push|cli&status=running|completed|partial|failed
+app.get('/api/runs', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const runs = await supabase.getJobRuns(req.auth.orgId, {
+      limit,
+      trigger: typeof req.query.trigger === 'string' ? req.query.trigger : null,
+      status: typeof req.query.status === 'string' ? req.query.status : null
+    });
+    res.json({ total_runs: runs.length, runs });
+  } catch (error) {
+    logger.error('Error fetching job runs:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+app.get('/api/runs/:runId', requireAdmin, async (req, res) => {
+  try {
+    const run = req.auth.orgId ? await supabase.getJobRun(req.params.runId, req.auth.orgId) : null;
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ run });
+  } catch (error) {
+    logger.error('Error fetching job run:', error);
+    res.status(500).json({ error: 'Failed to fetch job run' });
+  }
+});
+
+// API tokens for programmatic clients. Tokens can only be minted from a signed-in session.
+app.get('/api/tokens', requireAuth(), async (req, res) => {
+  try {
+    const showAll = isAdmin(req) && !!req.auth.orgId && req.query.all === 'true';
+    if (!showAll && !req.auth.userId) {
+      return res.status(403).json({ error: 'Connect your Google account to manage API tokens' });
+    }
+    const tokens = showAll
+      ? await supabase.listApiTokens(null, req.auth.orgId)
+      : await supabase.listApiTokens(req.auth.userId);
+    res.json({ tokens });
+  } catch (error) {
+    logger.error('Error listing API tokens:', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+app.post('/api/tokens', requireAuth(), async (req, res) => {
+  try {
+    if (req.auth.type !== 'session') {
+      return res.status(403).json({ error: 'API tokens can only be created from a dashboard session' });
+    }
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Connect your Google account before creating API tokens' });
+    }
+
+    const { name, scopes, expires_in_days: expiresInDays } = req.body;
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'name and a non-empty scopes array are required'
+      });
+    }
+
+    // A token may only carry scopes its creator has
+    const disallowedScopes = scopes.filter(scope => !req.auth.scopes.includes(scope));
+    if (disallowedScopes.length > 0) {
+      return res.status(403).json({ error: `Cannot grant scopes: ${disallowedScopes.join(', ')}` });
+    }
+
+    const { token, apiToken } = await supabase.createApiToken({
+      userId: req.auth.userId,
+      name,
+      scopes,
+      expiresInDays: parseInt(expiresInDays) || null
+    });
+
+    res.status(201).json({
+      token, // Shown only once
+      id: apiToken._id,
+      name: apiToken.name,
+      scopes: apiToken.scopes,
+      expires_at: apiToken.expires_at
+    });
+  } catch (error) {
+    logger.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/tokens/:tokenId', requireAuth(), async (req, res) => {
+  try {
+    const orgWide = isAdmin(req) && !!req.auth.orgId;
+    if (!orgWide && !req.auth.userId) {
+      return res.status(403).json({ error: 'Connect your Google account to manage API tokens' });
+    }
+    const revoked = orgWide
+      ? await supabase.revokeApiToken(req.params.tokenId, null, req.auth.orgId)
+      : await supabase.revokeApiToken(req.params.tokenId, req.auth.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true, token: revoked });
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -5,7 +5,15 @@ const fs = require('fs');
 const path = require('path');
 
 const GoogleAuthManager = require('./utils/googleAuth');
+const { parseGmailMessage } = require('./utils/gmailParser');
+const { mapWithConcurrency } = require('./utils/rateLimiter');
+const { runWithLock, HOST_ID } = require('./utils/jobLock');
+const { resolveSchedule, isDue, getNextRun, FETCH_INTERVAL_MINUTES } = require('./utils/schedule');
+const { isNearBudget, flushApiUsage } = require('./utils/apiUsage');
 const LLMAnalyzer = require('./llmAnalyzer');
+const NotificationService = require('./services/notificationService');
+const BackfillService = require('./services/backfillService');
+const PushService = require('./services/pushService');
 const {
   connectToMongoDB,
   User,
@@ -15,33 +23,40 @@ const {
   updateUserTokens,
   insertGmailMessages,
   hasExistingGmailMessages,
-  getLastGmailSyncTime,
+  getStoredGmailMessageIds,
+  updateGmailMessageLabels,
+  markGmailMessagesDeleted,
+  setGmailHistoryId,
   getLatestGmailMessageTime,
-  insertChatMessages,
+  upsertChatMessages,
+  getChatReactionCounts,
+  refreshChatThreads,
   hasExistingChatMessages,
   getLastChatSyncTime,
   getLatestChatMessageTime,
   getChatMessagesBySpace,
   hasExistingChatMessagesInSpace, // Added
   getLatestChatMessageCreateTimeForSpace, // Added
-  createSyncLog
+  createSyncLog,
+  markUserNeedsReauth,
+  markReauthNotified,
+  enrollServiceAccountUser,
+  getActiveOrganizations,
+  updateUserGoogleProfile,
+  getSpacesWithCursors,
+  updateSpaceCursor,
+  getSpaces,
+  syncUserSpaces,
+  markSpacesLeft,
+  countSpaceMembers,
+  archiveSpace,
+  createJobRun,
+  recordJobRunResult,
+  finishJobRun,
+  markOrganizationAnalyzed,
+  SYNC_SOURCES
 } = require('./utils/mongodb');
 
-// Load user name mapping with serverless compatibility
-let userNameMapping = {};
-try {
-  const mappingFilePath = path.join(__dirname, 'user_name_mapping_simple.json');
-  if (fs.existsSync(mappingFilePath)) {
-    userNameMapping = JSON.parse(fs.readFileSync(mappingFilePath, 'utf8'));
-    logger.info(`Loaded user name mapping with ${Object.keys(userNameMapping).length} entries`);
-  } else {
-    logger.warn('User name mapping file not found, continuing with empty mapping');
-  }
-} catch (error) {
-  logger.warn(`Failed to load user name mapping file: ${error.message}`);
-  // Continue with empty mapping
-}
-
 // Configure logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info', // Default to 'info'
@@ -87,224 +102,689 @@ const logger = winston.createLogger({
   ]
 });
 
+// How far back each Chat fetch re-lists messages to catch edits and deletions. The Chat API can only
+// filter on createTime, so once every CHAT_EDIT_DEEP_SCAN_HOURS a space is re-listed further back
+// (CHAT_EDIT_DEEP_LOOKBACK_DAYS). Edits and deletions of messages older than that are not picked up.
+const CHAT_EDIT_LOOKBACK_MS = (parseInt(process.env.CHAT_EDIT_LOOKBACK_HOURS, 10) || 24) * 60 * 60 * 1000;
+const CHAT_EDIT_DEEP_LOOKBACK_MS = (parseInt(process.env.CHAT_EDIT_DEEP_LOOKBACK_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const CHAT_EDIT_DEEP_SCAN_INTERVAL_MS = (parseInt(process.env.CHAT_EDIT_DEEP_SCAN_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Users and Chat spaces fetched at the same time, and Gmail messages fetched per batch request
+const FETCH_USER_CONCURRENCY = parseInt(process.env.FETCH_USER_CONCURRENCY, 10) || 3;
+const FETCH_SPACE_CONCURRENCY = parseInt(process.env.FETCH_SPACE_CONCURRENCY, 10) || 4;
+const GMAIL_BATCH_SIZE = Math.min(parseInt(process.env.GMAIL_BATCH_SIZE, 10) || 50, 100);
+
+// The scheduler wakes up every minute and syncs whichever per-user schedules have come due.
+// Push subscription upkeep and backfill slices run every FETCH_INTERVAL_MINUTES as before.
+const SCHEDULER_CRON = '* * * * *';
+
+// Time each fetch cycle may spend on queued backfill jobs (0 leaves them to "npm run backfill")
+const BACKFILL_TIME_BUDGET_MS = parseInt(process.env.BACKFILL_TIME_BUDGET_SECONDS ?? '20', 10) * 1000;
+
+// Messages fetched on a user's first Gmail sync, and the window of the resync that runs when
+// their history ID has expired
+const GMAIL_INITIAL_MAX_MESSAGES = 100;
+const GMAIL_RESYNC_DAYS = parseInt(process.env.GMAIL_RESYNC_DAYS, 10) || 7;
+const GMAIL_RESYNC_MAX_MESSAGES = 500;
+
+// Load user name mapping with serverless compatibility
+let userNameMapping = {};
+try {
+  const mappingFilePath = path.join(__dirname, 'user_name_mapping_simple.json');
+  if (fs.existsSync(mappingFilePath)) {
+    userNameMapping = JSON.parse(fs.readFileSync(mappingFilePath, 'utf8'));
+    logger.info(`Loaded user name mapping with ${Object.keys(userNameMapping).length} entries`);
+  } else {
+    logger.warn('User name mapping file not found, continuing with empty mapping');
+  }
+} catch (error) {
+  logger.warn(`Failed to load user name mapping file: ${error.message}`);
+  // Continue with empty mapping
+}
+
 class DataFetcher {
   constructor() {
     this.googleAuth = new GoogleAuthManager();
     this.llmAnalyzer = new LLMAnalyzer();
+    this.notificationService = new NotificationService();
     this.isRunning = false;
     this.lastRunTime = null;
+    this.lastMaintenanceAt = null;
+    this.schedules = new Map(); // Next run of each user's and organization's schedule, see trackSchedule()
     this.stats = {
       totalRuns: 0,
       successfulRuns: 0,
       failedRuns: 0,      lastError: null
     };
-    this.spacesFilePath = path.join(__dirname, 'spaces_with_latest_messages.json');
   }
 
-  // Utility functions for managing spaces JSON file
-  loadSpacesFromJSON() {
+  // Main data collection method, run on every scheduler tick. Syncs each user's Chat and Gmail whose
+  // schedule has come due and each organization's analysis when its own schedule has; force (manual
+  // runs) collects everything now. trigger is recorded on the run: cron, startup, vercel_cron or manual.
+  // Other processes may be collecting at the same time; per-user locks keep them from doing the same work.
+  async collectAllData({ trigger = 'cron', force = false } = {}) {
+    if (this.isRunning) {
+      logger.warn('Data collection already in progress, skipping this run');
+      return;
+    }
+
+    this.isRunning = true;
+    const now = new Date();
+    const knownSchedules = this.schedules;
+    this.schedules = new Map();
+
+    let run = null;
+    let runError = null;
     try {
-      if (!fs.existsSync(this.spacesFilePath)) {
-        logger.warn(`Spaces JSON file not found at ${this.spacesFilePath}, returning empty array`);
-        return [];
+      await this.enrollDelegatedUsers();
+
+      const organizations = await getActiveOrganizations();
+      if (organizations.length === 0) {
+        logger.warn('No organizations registered, skipping data collection. Run "npm run setup-org" first.');
+        return;
       }
-      const spacesData = JSON.parse(fs.readFileSync(this.spacesFilePath, 'utf8'));
-      return spacesData;
+
+      const plans = [];
+      for (const organization of organizations) {
+        plans.push(await this.planOrganizationData(organization, now, { force, knownSchedules }));
+      }
+
+      if (plans.some(plan => plan.users.length > 0 || plan.analyze)) {
+        this.lastRunTime = now;
+        this.stats.totalRuns++;
+        logger.info(`🚀 Starting data collection cycle (${trigger})`);
+
+        run = await createJobRun(trigger, HOST_ID);
+        // Process each organization's users separately
+        for (const plan of plans) {
+          await this.collectOrganizationData(plan.organization, run, plan);
+        }
+
+        this.stats.successfulRuns++;
+        logger.info('✅ Data collection cycle completed successfully');
+      }
+
+      await this.runMaintenance(now, force);
+
     } catch (error) {
-      logger.error(`Failed to load spaces JSON file: ${error.message}`);
-      return []; // Return empty array instead of throwing error
+      runError = error;
+      this.stats.failedRuns++;
+      this.stats.lastError = error.message;
+      logger.error('❌ Data collection cycle failed:', error);
+    } finally {
+      this.isRunning = false;
+      if (run) {
+        await finishJobRun(run._id, runError).catch(error => logger.error(`Failed to close run ${run._id}: ${error.message}`));
+      }
+      // Serverless instances may be frozen before the periodic flush
+      await flushApiUsage();
     }
   }
 
-  saveSpacesToJSON(spacesData) {
-    try {
-      // In serverless environment, try to write to /tmp directory
-      const isServerless = process.env.VERCEL === '1';
-      let targetPath = this.spacesFilePath;
-      
-      if (isServerless) {
-        // Use /tmp directory in serverless environment
-        const fileName = path.basename(this.spacesFilePath);
-        targetPath = path.join('/tmp', fileName);
-        logger.info(`Serverless detected, writing to ${targetPath}`);
-      }
-      
-      fs.writeFileSync(targetPath, JSON.stringify(spacesData, null, 2), 'utf8');
-      logger.info(`Updated spaces JSON file with latest message times at ${targetPath}`);
-    } catch (error) {
-      logger.error(`Failed to save spaces JSON file: ${error.message}`);
-      // Don't throw error in serverless environment, just log it
-      if (process.env.VERCEL !== '1') {
-        throw error;
+  // Work due in one organization this tick: { organization, users: [{ user, sources }], analyze }.
+  // Also records every schedule's next run for getStatus().
+  async planOrganizationData(organization, now, { force = false, knownSchedules = new Map() } = {}) {
+    const activeUsers = await getAllActiveUsers(organization._id);
+    const users = [];
+    for (const user of activeUsers) {
+      const sources = [];
+      // Sources the user hasn't connected have no schedule to keep
+      for (const source of SYNC_SOURCES.filter(source => this.googleAuth.hasFeature(user.granted_scopes, source))) {
+        const schedule = resolveSchedule(source, user, organization);
+        this.trackSchedule(knownSchedules, `${source}:${user.id}`, { organization: organization.slug, email: user.email }, schedule, now);
+
+        const lastRunAt = user.last_sync_attempts[source] || user[`last_${source}_sync`];
+        if (force || isDue(schedule, lastRunAt, now)) sources.push(source);
       }
+      if (sources.length > 0) users.push({ user, sources });
     }
+
+    // Analysis without a cron of its own follows collection
+    const analysisSchedule = resolveSchedule('analysis', null, organization);
+    this.trackSchedule(knownSchedules, `analysis:${organization._id}`, { organization: organization.slug }, analysisSchedule, now);
+    const analyze = force || (analysisSchedule.cron
+      ? isDue(analysisSchedule, organization.last_analysis_at, now)
+      : analysisSchedule.enabled && users.length > 0);
+
+    return { organization, users, analyze };
   }
 
-  updateSpaceInJSON(spaceId, latestMessageTime, hasNewMsg = true) {
+  // Note a schedule's next run for getStatus(). It is only worked out again once it has passed or
+  // the schedule changed, since looking ahead to a weekly run takes a while.
+  trackSchedule(knownSchedules, key, labels, schedule, now) {
+    const signature = JSON.stringify(schedule);
+    const known = knownSchedules.get(key);
+    const nextRun = known?.signature === signature && known.next_run > now ? known.next_run : getNextRun(schedule, now);
+
+    this.schedules.set(key, {
+      ...labels,
+      source: schedule.source,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      ...(schedule.cron ? {} : { after_collection: true }),
+      next_run: nextRun,
+      signature
+    });
+  }
+
+  // Push subscription upkeep and a backfill slice, every FETCH_INTERVAL_MINUTES rather than every tick
+  async runMaintenance(now, force = false) {
+    if (!force && this.lastMaintenanceAt && now - this.lastMaintenanceAt < FETCH_INTERVAL_MINUTES * 60 * 1000) {
+      return;
+    }
+    this.lastMaintenanceAt = now;
+    await this.ensurePushSubscriptions();
+    await this.runBackfills();
+  }
+
+  // Run one user's sync of one source under its lock and record the outcome on the run.
+  // Returns the number of changed items, or null when another process holds the lock.
+  async collectSource(run, user, source, task) {
+    const startedAt = Date.now();
+    const record = (result) => run
+      ? recordJobRunResult(run._id, {
+        org_id: user.org_id,
+        user_id: user.id,
+        email: user.email,
+        source,
+        duration_ms: Date.now() - startedAt,
+        ...result
+      }).catch(error => logger.error(`Failed to record run result: ${error.message}`))
+      : null;
+
     try {
-      const spacesData = this.loadSpacesFromJSON();
-      const spaceIndex = spacesData.findIndex(space => space.space_id === spaceId);
-      
-      if (spaceIndex !== -1) {
-        spacesData[spaceIndex].latest_message_time = latestMessageTime;
-        spacesData[spaceIndex].has_new_msg = hasNewMsg;
-        this.saveSpacesToJSON(spacesData);
-        logger.info(`Updated space ${spaceId} with new message time: ${latestMessageTime}`);
-      } else {
-        logger.warn(`Space ${spaceId} not found in JSON file`);
+      const outcome = await runWithLock(`${source}:${user.id}`, task, { runId: run?._id });
+      if (!outcome.acquired) {
+        logger.info(`Skipping ${source} for ${user.email}: already being collected by ${outcome.holder || 'another process'}`);
+        await record({ status: 'locked' });
+        return null;
+      }
+      if (outcome.lost) {
+        logger.warn(`Lost the ${source} lock for ${user.email} while collecting; another process may have collected too`);
       }
+      await record({ status: 'success', items: outcome.value || 0 });
+      return outcome.value || 0;
     } catch (error) {
-      logger.error(`Failed to update space ${spaceId} in JSON: ${error.message}`);
+      await record({ status: 'error', error: error.message });
+      throw error;
     }
   }
 
-  // Main data collection method
-  async collectAllData() {
-    if (this.isRunning) {
-      logger.warn('Data collection already in progress, skipping this run');
-      return;
+  // Collect the planned users' sources of one organization (all active users' by default), then run
+  // its LLM analysis when planned
+  async collectOrganizationData(organization, run = null, { users = null, analyze = true } = {}) {
+    const planned = users || (await getAllActiveUsers(organization._id)).map(user => ({ user, sources: SYNC_SOURCES }));
+    logger.info(`[${organization.slug}] ${planned.length} users due for data collection`);
+
+    // Process users in parallel, a few at a time. A failing user doesn't stop the others.
+    const results = await mapWithConcurrency(planned, FETCH_USER_CONCURRENCY, ({ user, sources }) => this.collectUserData(user, run, sources));
+    results.forEach(({ error }, index) => {
+      if (error) logger.error(`Failed to collect data for user ${planned[index].user.email}:`, error);
+    });
+
+    if (!analyze) return;
+
+    // Trigger LLM analysis after successful data collection
+    const analysisStartedAt = Date.now();
+    let analysisResult;
+    try {
+      logger.info(`🤖 [${organization.slug}] Starting LLM analysis for response prediction`);
+      const outcome = await this.llmAnalyzer.analyzeMessagesForResponsePrediction(organization);
+      analysisResult = outcome?.failed > 0
+        ? { status: 'error', error: 'Analysis failed, see the analyzer log' }
+        : outcome?.locked > 0 ? { status: 'locked' } : { status: 'success' };
+      logger.info(`✅ [${organization.slug}] LLM analysis completed successfully`);
+    } catch (error) {
+      analysisResult = { status: 'error', error: error.message };
+      logger.error(`❌ [${organization.slug}] LLM analysis failed (data collection still successful):`, error);
+      // Don't fail the entire data collection cycle if LLM analysis fails
     }
 
-    this.isRunning = true;
-    this.lastRunTime = new Date();
-    this.stats.totalRuns++;
+    // A locked analysis is another process's run to record
+    if (analysisResult.status !== 'locked') {
+      await markOrganizationAnalyzed(organization._id).catch(error => logger.error(`Failed to record analysis time: ${error.message}`));
+    }
 
-    logger.info('🚀 Starting data collection cycle');
+    if (run) {
+      await recordJobRunResult(run._id, {
+        org_id: organization._id,
+        source: 'analysis',
+        duration_ms: Date.now() - analysisStartedAt,
+        ...analysisResult
+      }).catch(error => logger.error(`Failed to record run result: ${error.message}`));
+    }
+  }
 
+  // Give queued backfill jobs a bounded slice of each cycle; they continue from their checkpoint next time.
+  // Backfills are the first thing to wait when the Chat or Gmail quota budget runs low.
+  async runBackfills() {
+    if (!(BACKFILL_TIME_BUDGET_MS > 0)) return;
     try {
-      const activeUsers = await getAllActiveUsers();
-      logger.info(`Found ${activeUsers.length} active users for data collection`);
+      for (const api of SYNC_SOURCES) {
+        if (await isNearBudget(api)) {
+          logger.info(`Deferring backfills: the ${api} API budget is nearly used up`);
+          return;
+        }
+      }
 
-      if (activeUsers.length === 0) {
-        logger.info('No active users found, skipping data collection');
-        this.isRunning = false;
-        return;
+      const jobs = await new BackfillService(this).runPendingJobs({ deadline: Date.now() + BACKFILL_TIME_BUDGET_MS });
+      if (jobs.length > 0) {
+        logger.info(`Ran ${jobs.length} backfill jobs: ${jobs.map(job => `${job._id} ${job.status}`).join(', ')}`);
       }
+    } catch (error) {
+      logger.error(`Backfill run failed: ${error.message}`, { stack: error.stack });
+    }
+  }
 
-      // Process each user
-      for (const user of activeUsers) {
-        try {
-          await this.collectUserData(user);
-        } catch (error) {
-          logger.error(`Failed to collect data for user ${user.email}:`, error);
-          // Continue with other users even if one fails
-        }
-      }      this.stats.successfulRuns++;
-      logger.info('✅ Data collection cycle completed successfully');
+  // Create and renew the Gmail watches and Chat space subscriptions behind push ingestion
+  async ensurePushSubscriptions() {
+    const pushService = new PushService(this);
+    if (!pushService.isEnabled()) return;
+    try {
+      await pushService.ensureSubscriptions();
+    } catch (error) {
+      logger.error(`Push subscription maintenance failed: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  // Make sure every user configured for domain-wide delegation has a User record - no OAuth round trip needed
+  async enrollDelegatedUsers() {
+    if (!this.googleAuth.isServiceAccountEnabled() || this.googleAuth.delegatedUsers.length === 0) {
+      return;
+    }
 
-      // Trigger LLM analysis after successful data collection
+    const delegatedScopes = this.googleAuth.getDelegatedScopes();
+    for (const email of this.googleAuth.delegatedUsers) {
       try {
-        logger.info('🤖 Starting LLM analysis for response prediction');
-        await this.llmAnalyzer.analyzeMessagesForResponsePrediction();
-        logger.info('✅ LLM analysis completed successfully');
+        const { created } = await enrollServiceAccountUser(email, delegatedScopes);
+        if (created) {
+          logger.info(`Enrolled ${email} via service account delegation`);
+        }
       } catch (error) {
-        logger.error('❌ LLM analysis failed (data collection still successful):', error);
-        // Don't fail the entire data collection cycle if LLM analysis fails
+        logger.error(`Failed to enroll delegated user ${email}: ${error.message}`);
       }
+    }
+  }
 
+  // Refresh the user's access token if needed and store the new tokens
+  async refreshUserTokens(user) {
+    const refreshedTokens = await this.googleAuth.refreshTokenIfNeeded(user.google_tokens);
+
+    // Check if tokens were updated and save them if so
+    if (refreshedTokens && (
+      refreshedTokens.access_token !== user.google_tokens.access_token ||
+      refreshedTokens.expiry_date !== user.google_tokens.expiry_date
+    )) {
+      await updateUserTokens(user.id, refreshedTokens);
+      user.google_tokens = {
+        ...user.google_tokens,
+        ...refreshedTokens
+      };
+      logger.info(`Refreshed tokens for ${user.email}`); // Simplified log
+    }
+  }
+
+  // Users created before profiles were stored (and delegated users) have no Chat user ID yet;
+  // fetch their Google profile once so the analyzer can tell which messages are theirs
+  async ensureUserProfile(user) {
+    if (user.chat_user_id) return;
+    try {
+      const profile = await this.googleAuth.fetchUserProfile(user.google_tokens);
+      await updateUserGoogleProfile(user.id, profile);
+      Object.assign(user, { chat_user_id: profile.chat_user_id, name: profile.name || user.name });
+      logger.info(`Stored Google profile for ${user.email}`);
     } catch (error) {
-      this.stats.failedRuns++;
-      this.stats.lastError = error.message;
-      logger.error('❌ Data collection cycle failed:', error);
-    } finally {
-      this.isRunning = false;
+      logger.warn(`Could not fetch Google profile for ${user.email}: ${error.message}`);
     }
   }
 
-  // Collect data for a specific user
-  async collectUserData(user) {
+  // Collect data for a specific user, limited to the given sources
+  async collectUserData(user, run = null, sources = SYNC_SOURCES) {
     logger.info(`Processing user: ${user.email}`); // Simplified log
     try {
-      // Refresh tokens if needed
-      const refreshedTokens = await this.googleAuth.refreshTokenIfNeeded(user.google_tokens);
-
-      // Check if tokens were updated and save them if so
-      if (refreshedTokens && (
-        refreshedTokens.access_token !== user.google_tokens.access_token ||
-        refreshedTokens.expiry_date !== user.google_tokens.expiry_date
-      )) {
-        await updateUserTokens(user.id, refreshedTokens);
-        user.google_tokens = {
-          ...user.google_tokens,
-          ...refreshedTokens
-        };
-        logger.info(`Refreshed tokens for ${user.email}`); // Simplified log
-      }
+      await this.refreshUserTokens(user);
+      await this.ensureUserProfile(user);
 
-      // Collect Chat data (continue if fails)
-      try {
-        await this.collectChatData(user);
-      } catch (error) {
-        // Error is already logged in collectChatData and createSyncLog
-        logger.error(`Chat data collection failed for ${user.email}. See details in sync log.`);
+      // Collect Chat data when due (continue if fails). Skipped quietly if the user hasn't connected Chat.
+      if (!sources.includes('chat')) {
+        logger.debug(`Chat for ${user.email} is not due yet`);
+      } else if (this.googleAuth.hasFeature(user.granted_scopes, 'chat')) {
+        try {
+          await this.collectSource(run, user, 'chat', () => this.collectChatData(user));
+        } catch (error) {
+          // Error is already logged in collectChatData and createSyncLog
+          logger.error(`Chat data collection failed for ${user.email}. See details in sync log.`);
+        }
+      } else {
+        logger.info(`Skipping Chat for ${user.email}: Chat access not granted`);
       }
 
-      // Collect Gmail data (continue if fails) 
-      try {
-        await this.collectGmailData(user);
-      } catch (error) {
-        // Error is already logged in collectGmailData and createSyncLog
-        logger.error(`Gmail data collection failed for ${user.email}. See details in sync log.`);
+      // Collect Gmail data when due (continue if fails). Skipped quietly if the user hasn't connected Gmail.
+      if (!sources.includes('gmail')) {
+        logger.debug(`Gmail for ${user.email} is not due yet`);
+      } else if (this.googleAuth.hasFeature(user.granted_scopes, 'gmail')) {
+        try {
+          await this.collectSource(run, user, 'gmail', () => this.collectGmailData(user));
+        } catch (error) {
+          // Error is already logged in collectGmailData and createSyncLog
+          logger.error(`Gmail data collection failed for ${user.email}. See details in sync log.`);
+        }
+      } else {
+        logger.info(`Skipping Gmail for ${user.email}: Gmail access not granted`);
       }
 
       // No need to call updateUserTokens here again as last_sync times are updated in createSyncLog
       // and token refreshes are saved when they happen.
 
     } catch (error) {
+      // Revoked/expired grants won't recover by retrying - stop polling and ask the user to re-consent
+      const reauthReason = this.googleAuth.classifyAuthError(error);
+      if (reauthReason && user.auth_mode === 'service_account') {
+        // Nothing the user can re-consent to - delegation is configured by a Workspace admin
+        logger.error(`Service account delegation failed for ${user.email} (${reauthReason}). Check the domain-wide delegation scopes in the Admin console.`);
+        return;
+      }
+      if (reauthReason) {
+        await this.handleReauthRequired(user, reauthReason);
+        return;
+      }
       logger.error(`Overall data collection failed for user ${user.email}: ${error.message}`, { stack: error.stack });
       // Optionally, create a general failure sync log if needed, though specific ones are preferred.
     }
-  }  // Collect Google Chat data
-  async collectChatData(user) {
+  }
+
+  // Flag the user as needs_reauth and send them a re-auth link
+  async handleReauthRequired(user, reason) {
+    logger.warn(`Google access for ${user.email} is no longer valid (${reason}), pausing data collection`);
+    try {
+      await markUserNeedsReauth(user.id, reason);
+      await createSyncLog(user.id, 'auth', 'error', `Re-authorization required: ${reason}`, 0, { orgId: user.org_id });
+
+      const reauthUrl = this.googleAuth.getReauthUrl(user);
+      await this.notificationService.notifyReauthRequired(user, reauthUrl, reason);
+      await markReauthNotified(user.id);
+    } catch (error) {
+      logger.error(`Failed to record re-auth status for ${user.email}: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  // List the user's spaces and record them in the space registry. New spaces get their members
+  // fetched once so DMs and unnamed group chats can be given a readable name.
+  async discoverChatSpaces(user) {
+    const discovered = await this.googleAuth.listChatSpaces(user.google_tokens);
+    const knownSpaces = new Map(
+      (await getSpaces(user.org_id, { enabledOnly: false })).map(space => [space.space_id, space])
+    );
+
+    // Member lookups only name spaces, so they wait while the Chat quota budget is low. Spaces
+    // whose lookup was put off get another try on a later sync.
+    const deferLookups = await isNearBudget('chat', this.googleAuth.getUsageAccount(user.google_tokens));
+    let deferred = 0;
+
+    const spacesToSync = [];
+    for (const space of discovered) {
+      const known = knownSpaces.get(space.space_id);
+      const entry = { ...space };
+
+      // Unnamed spaces still carrying the placeholder name haven't had their members looked up
+      const placeholderName = this.describeUnnamedSpace({ ...space, members: [] }, user);
+      const needsMembers = !known || (!space.space_name && known.space_name === placeholderName);
+      if (needsMembers && deferLookups) {
+        deferred++;
+      } else if (needsMembers) {
+        try {
+          entry.members = (await this.googleAuth.listSpaceMembers(user.google_tokens, space.space_id))
+            .map(member => ({ id: member.id, name: userNameMapping[member.id] || member.name }));
+        } catch (error) {
+          logger.warn(`Could not list members of ${space.space_id}: ${error.message}`);
+        }
+      }
+
+      entry.space_name = space.space_name ||
+        (known?.space_name !== placeholderName && known?.space_name) ||
+        this.describeUnnamedSpace(entry, user);
+      spacesToSync.push(entry);
+    }
+    if (deferred > 0) {
+      logger.info(`Deferred member lookups for ${deferred} Chat spaces of ${user.email}: the chat API budget is nearly used up`);
+    }
+
+    const { added, left } = await syncUserSpaces(user.org_id, user.id, spacesToSync);
+    logger.info(`Discovered ${discovered.length} Chat spaces for ${user.email} (${added.length} new, ${left.length} left)`);
+    return { added, left };
+  }
+
+  // "DM: Jane Doe" / "Group chat: Jane Doe, John Roe" from the other members' names
+  describeUnnamedSpace(space, user) {
+    const otherNames = (space.members || [])
+      .filter(member => member.id !== user.chat_user_id)
+      .map(member => member.name)
+      .filter(Boolean);
+    const label = space.space_type === 'DIRECT_MESSAGE' ? 'DM' : 'Group chat';
+    return otherNames.length > 0 ? `${label}: ${otherNames.join(', ')}` : `${label} ${space.space_id.replace('spaces/', '')}`;
+  }
+
+  // Turn a Chat API message into a ChatMessage document. space is a registry entry
+  // ({ space_id, space_name, spaceType }); memberNames maps user IDs to names.
+  async buildChatMessage(user, space, message, memberNames, storedReactionCounts) {
+    return {
+      org_id: user.org_id,
+      user_id: user.id,
+      message_id: message.name,
+      space_id: space.space_id,
+      space_name: space.space_name,
+      space_type: space.spaceType,
+      sender_id: message.sender?.name,
+      sender_name: userNameMapping[message.sender?.name] || memberNames[message.sender?.name] || message.sender?.displayName || 'Unknown',
+      sender_email: message.sender?.email || '',
+      content: message.text || message.formattedText || '',
+      attachments: this.extractChatAttachments(message),
+      mentions: (message.annotations || [])
+        .filter(annotation => annotation.type === 'USER_MENTION' && annotation.userMention?.user?.name)
+        .map(annotation => annotation.userMention.user.name),
+      reactions: await this.fetchChangedReactions(user, message, storedReactionCounts.get(message.name) || 0, memberNames),
+      message_time: new Date(message.createTime),
+      thread_id: message.thread?.name || null,
+      is_threaded: !!message.thread?.name,
+      last_update_time: message.lastUpdateTime ? new Date(message.lastUpdateTime) : null,
+      deleted_at: message.deleteTime ? new Date(message.deleteTime) : null,
+      raw_data: message
+    };
+  }
+
+  // Files, Drive links, cards and link previews of a Chat message as attachment records
+  extractChatAttachments(message) {
+    const attachments = [];
+
+    for (const attachment of message.attachment || []) {
+      const driveFileId = attachment.driveDataRef?.driveFileId || null;
+      attachments.push({
+        name: attachment.contentName || null,
+        content_type: attachment.contentType || null,
+        source: driveFileId ? 'DRIVE_FILE' : 'UPLOADED_CONTENT',
+        drive_file_id: driveFileId,
+        url: attachment.downloadUri || null,
+        thumbnail_url: attachment.thumbnailUri || null,
+        resource_name: attachment.attachmentDataRef?.resourceName || null
+      });
+    }
+
+    // Drive files and links pasted into the text become rich link annotations
+    for (const annotation of message.annotations || []) {
+      const richLink = annotation.type === 'RICH_LINK' ? annotation.richLinkMetadata : null;
+      if (!richLink) continue;
+      const driveLink = richLink.richLinkType === 'DRIVE_FILE' ? richLink.driveLinkData : null;
+      attachments.push({
+        name: richLink.uri || null,
+        content_type: driveLink?.mimeType || null,
+        source: driveLink ? 'DRIVE_LINK' : 'LINK',
+        drive_file_id: driveLink?.driveDataRef?.driveFileId || null,
+        url: richLink.uri || null,
+        thumbnail_url: null,
+        resource_name: null
+      });
+    }
+
+    if (message.matchedUrl?.url && !attachments.some(attachment => attachment.url === message.matchedUrl.url)) {
+      attachments.push({ name: message.matchedUrl.url, source: 'LINK', url: message.matchedUrl.url });
+    }
+
+    for (const card of [...(message.cardsV2 || []).map(cardV2 => cardV2.card), ...(message.cards || [])]) {
+      if (!card) continue;
+      attachments.push({ name: card.header?.title || card.name || 'Card', source: 'CARD' });
+    }
+
+    return attachments;
+  }
+
+  // Reactions of a message with reacting users' names, or undefined when the stored ones are still current
+  async fetchChangedReactions(user, message, storedCount, memberNames) {
+    if (message.deleteTime) return undefined;
+
+    const reactionCount = (message.emojiReactionSummaries || [])
+      .reduce((total, summary) => total + (summary.reactionCount || 0), 0);
+    if (reactionCount === storedCount) return undefined;
+    if (reactionCount === 0) return [];
+
     try {
-      logger.info(`Collecting Chat data for ${user.email}`);
+      const reactions = await this.googleAuth.listMessageReactions(user.google_tokens, message.name);
+      return reactions.map(reaction => ({
+        ...reaction,
+        user_name: userNameMapping[reaction.user_id] || memberNames[reaction.user_id] || null
+      }));
+    } catch (error) {
+      logger.warn(`Failed to list reactions of Chat message ${message.name}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // Deleted spaces (404) are archived; a space the user can no longer read (403) is marked left,
+  // and archived once no user can read it. Returns true when the error was handled this way.
+  async handleSpaceAccessError(user, space, error) {
+    const status = error.response?.status || error.code;
+    if (status !== 404 && status !== 403) {
+      return false;
+    }
+
+    try {
+      if (status === 404) {
+        await archiveSpace(user.org_id, space.space_id, 'deleted');
+        logger.warn(`Chat space ${space.space_name} no longer exists, archived it`);
+      } else {
+        await markSpacesLeft(user.id, [space.space_id]);
+        logger.warn(`${user.email} can no longer read Chat space ${space.space_name}, marked as left`);
+        if (await countSpaceMembers(user.org_id, space.space_id) === 0) {
+          await archiveSpace(user.org_id, space.space_id, 'inaccessible');
+          logger.warn(`No users can read Chat space ${space.space_name} any more, archived it`);
+        }
+      }
+    } catch (registryError) {
+      logger.error(`Failed to update space registry for ${space.space_name}: ${registryError.message}`);
+    }
+    return true;
+  }
+
+  // Messages are stored per space so a space's cursor never runs ahead of its stored messages.
+  // The threads they belong to are rebuilt afterwards. Returns how many messages were added or changed.
+  async storeSpaceMessages(messages) {
+    if (messages.length === 0) return 0;
+    const { insertedCount, editedCount, deletedCount, reactionCount } = await upsertChatMessages(messages);
+    if (editedCount > 0 || deletedCount > 0 || reactionCount > 0) {
+      logger.info(`Updated ${editedCount} edited, ${deletedCount} deleted and ${reactionCount} reacted-to chat messages`);
+    }
+
+    const changedCount = insertedCount + editedCount + deletedCount + reactionCount;
+    if (changedCount > 0) {
+      try {
+        await refreshChatThreads(messages[0].user_id, messages.map(message => message.thread_id));
+      } catch (threadError) {
+        logger.error(`Failed to update chat threads for ${messages[0].space_name}: ${threadError.message}`);
+      }
+    }
+    return changedCount;
+  }
+
+  // Collect Google Chat data. spaceIds limits the fetch to those spaces (a push notification
+  // names the space that changed) and skips space discovery. Returns the number of changed messages.
+  async collectChatData(user, { spaceIds = null } = {}) {
+    const startedAt = new Date();
+    let query = `${spaceIds ? spaceIds.join(', ') : 'member spaces'}: createTime > last message - ${CHAT_EDIT_LOOKBACK_MS / (60 * 60 * 1000)}h`;
+    let deepScans = 0;
+    try {
+      logger.info(`Collecting Chat data for ${user.email}${spaceIds ? ` (${spaceIds.join(', ')})` : ''}`);
 
       const chatClient = this.googleAuth.createChatClient(user.google_tokens);
       let totalMessagesFetchedAndStored = 0;
       let spacesProcessed = 0;
 
-      // Load spaces from JSON file
-      const spacesData = this.loadSpacesFromJSON();
-      
-      // Transform JSON data to match expected space structure
-      const spaces = spacesData.map(spaceData => ({
-        name: spaceData.space_id,
-        displayName: spaceData.space_name,
-        space_id: spaceData.space_id,
-        space_name: spaceData.space_name,
-        latest_message_time: spaceData.latest_message_time,
-        has_new_msg: spaceData.has_new_msg || false,
-        spaceType: spaceData.spaceType // Default to UNKNOWN if not specified
+      // Register spaces and DMs the user joined since the last cycle, and notice the ones they left
+      let spacesDiscovered = false;
+      if (!spaceIds) {
+        try {
+          await this.discoverChatSpaces(user);
+          spacesDiscovered = true;
+        } catch (discoveryError) {
+          logger.warn(`Chat space discovery failed for ${user.email}, using known spaces: ${discoveryError.message}`);
+        }
+      }
+
+      // Enabled spaces of the user's organization, with how far this user's sync has got in each.
+      // Spaces the user left are skipped; after a successful discovery so are spaces they never joined.
+      const spaces = (await getSpacesWithCursors(user.org_id, user.id))
+        .filter(({ space }) => !spaceIds || spaceIds.includes(space.space_id))
+        .filter(({ cursor }) => (cursor ? cursor.is_member !== false : !spacesDiscovered))
+        .map(({ space, cursor }) => ({
+        name: space.space_id,
+        space_id: space.space_id,
+        space_name: space.space_name,
+        spaceType: space.space_type,
+        members: space.members || [],
+        last_message_time: cursor?.last_message_time || null,
+        page_token: cursor?.page_token || null,
+        page_filter: cursor?.page_filter || null,
+        last_deep_scan_at: cursor?.last_deep_scan_at || null
       }));
       
-      logger.info(`Loaded ${spaces.length} Chat spaces from JSON file for ${user.email}`);
+      logger.info(`Loaded ${spaces.length} Chat spaces for ${user.email}`);
 
-      const allChatMessagesToStore = [];
       let hasAnyNewMessages = false;
 
-      // Process each space
-      for (const space of spaces) {
+      // Process spaces in parallel; the shared Chat rate limiter keeps the request rate in check
+      await mapWithConcurrency(spaces, FETCH_SPACE_CONCURRENCY, async (space) => {
         spacesProcessed++;
         let messagesInThisSpaceProcessed = 0;
         let latestMessageTimeInThisSpace = null;
+        // Resume an unfinished paginated fetch from where it stopped
+        let nextPageToken = space.page_token;
+        const spaceMessagesToStore = [];
+        // Member names from the space registry, used when the sender isn't in the name mapping
+        const memberNames = Object.fromEntries(space.members.map(member => [member.id, member.name]));
         
         try {
           logger.info(`Processing space: ${space.space_name}`);
 
-          // Use JSON file as source of truth for latest message time
+          // The user's cursor is the source of truth for the latest fetched message time.
+          // The Chat API can't filter on lastUpdateTime, so recent messages are listed again
+          // (deleted ones included) to pick up edits and deletions, and older ones now and then.
           let filterOption = {};
-          if (space.latest_message_time) {
-            const bufferTime = new Date(new Date(space.latest_message_time).getTime() + 1);
+          const deepScan = !nextPageToken && !!space.last_message_time &&
+            (!space.last_deep_scan_at || startedAt - new Date(space.last_deep_scan_at) >= CHAT_EDIT_DEEP_SCAN_INTERVAL_MS);
+          if (nextPageToken && space.page_filter) {
+            // A page token only works with the filter it was issued for
+            filterOption.filter = space.page_filter;
+            logger.info(`Resuming fetch for space ${space.space_name}: ${space.page_filter}`);
+          } else if (space.last_message_time) {
+            if (deepScan) deepScans++;
+            const lookback = deepScan ? CHAT_EDIT_DEEP_LOOKBACK_MS : CHAT_EDIT_LOOKBACK_MS;
+            const bufferTime = new Date(new Date(space.last_message_time).getTime() - lookback);
             const filterTimestamp = bufferTime.toISOString();
             filterOption.filter = `createTime > "${filterTimestamp}"`;
-            logger.info(`Incremental fetch for space ${space.space_name}: messages after ${filterTimestamp}`);
+            logger.info(`${deepScan ? 'Deep re-list' : 'Incremental fetch'} for space ${space.space_name}: messages after ${filterTimestamp}${nextPageToken ? ' (resuming)' : ''}`);
           } else {
             logger.info(`Initial fetch for space ${space.space_name}: fetching all (up to pageSize)`);
           }
 
-          let nextPageToken = null;
-          const spaceMessagesToStore = [];
-
           do {
             const messagesResponse = await this.googleAuth.executeWithRetry(async () => {
               return await chatClient.spaces.messages.list({
@@ -312,17 +792,22 @@ class DataFetcher {
                 pageSize: 100,
                 orderBy: 'createTime asc',
                 filter: filterOption.filter,
+                showDeleted: true,
                 pageToken: nextPageToken,
               });
-            });
+            }, { api: 'chat' });
 
             const messages = messagesResponse.data.messages || [];
             logger.info(`Fetched ${messages.length} messages from space ${space.space_name} (page ${nextPageToken || '1'})`);
 
-            if (messages.length === 0 && !nextPageToken) {
+            if (messages.length === 0 && !messagesResponse.data.nextPageToken) {
               // No messages found with the filter or in an empty space
               break;
-            }            for (const message of messages) {
+            }
+
+            // Reactions are only listed for messages whose reaction count differs from what's stored
+            const storedReactionCounts = await getChatReactionCounts(user.id, messages.map(message => message.name));
+            for (const message of messages) {
               try {
                 const messageTime = new Date(message.createTime);
                 
@@ -331,21 +816,7 @@ class DataFetcher {
                   latestMessageTimeInThisSpace = messageTime;
                 }
                 
-                const chatMessage = {
-                  user_id: user.id,
-                  message_id: message.name,
-                  space_id: space.space_id,
-                  space_name: space.space_name,
-                  space_type: space.spaceType ,
-                  sender_id: message.sender?.name,
-                  sender_name: userNameMapping[message.sender?.name] || message.sender?.displayName || 'Unknown',
-                  sender_email: message.sender?.email || '',
-                  content: message.text || message.formattedText || '',
-                  message_time: messageTime,
-                  thread_id: message.thread?.name || null,
-                  is_threaded: !!message.thread?.name,
-                  raw_data: message
-                };
+                const chatMessage = await this.buildChatMessage(user, space, message, memberNames, storedReactionCounts);
                 spaceMessagesToStore.push(chatMessage);
                 messagesInThisSpaceProcessed++;
               } catch (messageError) {
@@ -353,33 +824,56 @@ class DataFetcher {
               }
             }
             nextPageToken = messagesResponse.data.nextPageToken;
-            if (nextPageToken) await this.googleAuth.sleep(200); // Be nice to the API if paginating
 
           } while (nextPageToken);
 
-          // Update JSON file if new messages were found
-          if (messagesInThisSpaceProcessed > 0 && latestMessageTimeInThisSpace) {
-            this.updateSpaceInJSON(space.space_id, latestMessageTimeInThisSpace.toISOString(), true);
+          const changedMessages = await this.storeSpaceMessages(spaceMessagesToStore);
+          totalMessagesFetchedAndStored += changedMessages;
+
+          // Move the user's cursor forward if new, edited or deleted messages were found
+          if (changedMessages > 0) {
+            const movedForward = latestMessageTimeInThisSpace &&
+              (!space.last_message_time || latestMessageTimeInThisSpace > new Date(space.last_message_time));
+            await updateSpaceCursor(user.id, space.space_id, {
+              ...(movedForward ? { last_message_time: latestMessageTimeInThisSpace } : {}),
+              has_new_msg: true,
+              last_deep_scan_at: deepScan ? startedAt : null
+            });
             hasAnyNewMessages = true;
-          } else if (messagesInThisSpaceProcessed === 0) {
+          } else {
             // Reset has_new_msg to false if no new messages
-            this.updateSpaceInJSON(space.space_id, space.latest_message_time, false);
+            await updateSpaceCursor(user.id, space.space_id, { has_new_msg: false, last_deep_scan_at: deepScan ? startedAt : null });
           }
-
-          if (spaceMessagesToStore.length > 0) {
-            allChatMessagesToStore.push(...spaceMessagesToStore);
-          }
-          logger.info(`Finished processing space ${space.space_name}, ${messagesInThisSpaceProcessed} new messages found`);
+          logger.info(`Finished processing space ${space.space_name}, ${changedMessages} new or changed messages found`);
 
         } catch (spaceError) {
+          if (await this.handleSpaceAccessError(user, space, spaceError)) {
+            return;
+          }
           logger.error(`Error processing Chat space ${space.space_name} for ${user.email}: ${spaceError.message}`, { stack: spaceError.stack });
+
+          // Keep what was fetched and remember the failed page so the next run resumes there.
+          // The time filter must stay unchanged for the page token to remain valid.
+          try {
+            const changedMessages = await this.storeSpaceMessages(spaceMessagesToStore);
+            totalMessagesFetchedAndStored += changedMessages;
+            const resumedTokenFailed = nextPageToken === space.page_token && messagesInThisSpaceProcessed === 0;
+            await updateSpaceCursor(user.id, space.space_id, {
+              page_token: resumedTokenFailed ? null : nextPageToken, // A stale token would fail forever
+              page_filter: filterOption.filter,
+              has_new_msg: changedMessages > 0
+            });
+          } catch (cursorError) {
+            logger.error(`Failed to save sync cursor for space ${space.space_name}: ${cursorError.message}`);
+          }
         }
+      });
+
+      if (deepScans > 0) {
+        query += ` (${deepScans} spaces re-listed from last message - ${CHAT_EDIT_DEEP_LOOKBACK_MS / (24 * 60 * 60 * 1000)}d)`;
       }
 
-      // Save all collected messages to database
-      if (allChatMessagesToStore.length > 0) {
-        const insertResult = await insertChatMessages(allChatMessagesToStore);
-        totalMessagesFetchedAndStored = insertResult.insertedCount || 0;
+      if (totalMessagesFetchedAndStored > 0) {
         logger.info(`Stored ${totalMessagesFetchedAndStored} chat messages for ${user.email}`);
       } else {
         logger.info(`No new chat messages to store for ${user.email}`);
@@ -390,10 +884,12 @@ class DataFetcher {
         'chat',
         'success',
         `Collected from ${spacesProcessed} spaces. ${hasAnyNewMessages ? 'New messages found.' : 'No new messages.'}`,
-        totalMessagesFetchedAndStored
+        totalMessagesFetchedAndStored,
+        { orgId: user.org_id, startedAt, query }
       );
 
       logger.info(`Chat data collection completed for ${user.email}: ${totalMessagesFetchedAndStored} messages from ${spacesProcessed} spaces`);
+      return totalMessagesFetchedAndStored;
 
     } catch (error) {
       await createSyncLog(
@@ -401,165 +897,68 @@ class DataFetcher {
         'chat',
         'error',
         { message: `Failed to collect chat data: ${error.message}`, stack: error.stack },
-        0
+        0,
+        { orgId: user.org_id, startedAt, query }
       );
 
       logger.error(`Chat data processing failed for ${user.email}: ${error.message}`, { stack: error.stack });
+      throw error;
     }
-  }  // Collect Gmail data with smart incremental updates
+  }
+
+  // Collect Gmail data. The first run lists the most recent messages; later runs replay the
+  // mailbox history from the stored historyId, which covers new and deleted messages and label changes.
+  // Returns the number of messages added or deleted.
   async collectGmailData(user) {
+    const startedAt = new Date();
+    let query = null;
     try {
-      logger.info(`Collecting Gmail data for ${user.email}`); // Simplified log
+      logger.info(`Collecting Gmail data for ${user.email}`);
       const gmailClient = this.googleAuth.createGmailClient(user.google_tokens);
-      let totalMessagesStored = 0;
-
-      // Check if this is initial collection or incremental update
-      const hasExistingMessages = await hasExistingGmailMessages(user.id);
-      const lastSyncTime = await getLastGmailSyncTime(user.id); // This is from User.last_gmail_sync
-
-      let searchQuery = '';
-      let maxResultsToList = 100; // Max messages to list from API for initial sync
-      const GMAIL_PAGE_SIZE = 100; // How many messages to fetch details for in one go (if needed, though we fetch one by one)
-
-      if (!hasExistingMessages) {
-        logger.info(`Initial Gmail collection for ${user.email} - fetching up to ${maxResultsToList} recent messages.`);
-        // No specific query, rely on default ordering (usually newest first) and maxResultsToList
-        // Gmail API q parameter can take 'newer_than:30d' but for initial, let's get most recent X.
-        // If you want *all* messages, this strategy needs to change significantly due to pagination and API limits.
-        // For now, "at most 100 mails" for initial sync.
-      } else {
-        logger.info(`Incremental Gmail update for ${user.email}.`);
-        if (lastSyncTime) {
-          const lastSyncDate = new Date(lastSyncTime);
-          // Gmail API query for 'after' expects a Unix timestamp in seconds.
-          const searchTimestamp = Math.floor(lastSyncDate.getTime() / 1000);
-          searchQuery = `after:${searchTimestamp}`;
-          maxResultsToList = 500; // For incremental, can be larger if many emails are expected.
-          logger.info(`Fetching Gmail messages after ${lastSyncDate.toISOString()} (timestamp: ${searchTimestamp})`);
-        } else {
-          // Fallback if lastSyncTime is somehow not set despite hasExistingMessages being true
-          logger.warn(`Last sync time not found for ${user.email} during incremental update. Fetching recent messages (last 7 days).`);
-          searchQuery = 'newer_than:7d';
-          maxResultsToList = 100;
-        }
-      }
-
-      const gmailMessagesToStore = [];
-      let nextPageToken = null;
-      let listedMessagesCount = 0;
-
-      do {
-        const messagesResponse = await this.googleAuth.executeWithRetry(async () => {
-          return await gmailClient.users.messages.list({
-            userId: 'me',
-            maxResults: Math.min(GMAIL_PAGE_SIZE, maxResultsToList - listedMessagesCount), // Fetch in pages, up to maxResultsToList
-            q: searchQuery,
-            pageToken: nextPageToken,
-          });
-        });
-
-        const messageMetadatas = messagesResponse.data.messages || [];
-        if (messageMetadatas.length === 0) {
-          logger.info(`No (more) Gmail messages found for query: '${searchQuery}' for ${user.email}.`);
-          break;
-        }
-
-        listedMessagesCount += messageMetadatas.length;
-        logger.info(`Fetched ${messageMetadatas.length} Gmail message IDs for ${user.email}. (${listedMessagesCount}/${maxResultsToList} for this run)`);
-
-        for (const messageRef of messageMetadatas) {
-          try {
-            // Fetch full message details
-            const fullMessageResponse = await this.googleAuth.executeWithRetry(async () => {
-              return await gmailClient.users.messages.get({
-                userId: 'me',
-                id: messageRef.id,
-                format: 'full'
-              });
-            });
-            const fullMessage = fullMessageResponse.data;
-
-            const headers = fullMessage.payload?.headers || [];
-            const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
-
-            const fromHeader = getHeader('From');
-            let senderName = '';
-            let senderEmail = '';
-            if (fromHeader) {
-              const emailMatch = fromHeader.match(/<(.+@.+)>/);
-              if (emailMatch) {
-                senderEmail = emailMatch[1];
-                senderName = fromHeader.replace(/<.+>/, '').replace(/["']/g, '').trim();
-              } else if (fromHeader.includes('@')) {
-                senderEmail = fromHeader.trim();
-                senderName = senderEmail.split('@')[0];
-              } else {
-                senderName = fromHeader.trim();
-              }
-            }
+      // Users synced before history tracking get a bounded resync, which also refreshes their labels
+      const resync = { query: `newer_than:${GMAIL_RESYNC_DAYS}d`, maxMessages: GMAIL_RESYNC_MAX_MESSAGES };
 
-            const dateHeader = getHeader('Date');
-            let dateReceived;
-            if (dateHeader) {
-              const parsedDate = new Date(dateHeader);
-              dateReceived = !isNaN(parsedDate.getTime()) ? parsedDate : new Date(parseInt(fullMessage.internalDate));
-            } else {
-              dateReceived = new Date(parseInt(fullMessage.internalDate));
-            }
-
-            const gmailMessage = {
-              user_id: user.id,
-              message_id: fullMessage.id,
-              thread_id: fullMessage.threadId,
-              subject: getHeader('Subject') || 'No Subject',
-              sender: fromHeader, // Store full From header as 'sender'
-              recipient: getHeader('To'), // Store full To header as 'recipient'
-              message_time: dateReceived, // Store as Date
-              content: fullMessage.snippet || '', // Snippet is usually enough
-              labels: fullMessage.labelIds || [],
-              raw_data: fullMessage // Store the full message object
-            };
-
-            gmailMessagesToStore.push(gmailMessage);
-
-            // Rate limiting per message fetch
-            await this.googleAuth.sleep(100); // Increased sleep due to 'full' fetch
-
-          } catch (error) {
-            logger.warn(`Error processing Gmail message ID ${messageRef.id} for ${user.email}: ${error.message}`);
-          }
-        } // end for messageRef
-
-        nextPageToken = messagesResponse.data.nextPageToken;
-        if (nextPageToken && listedMessagesCount < maxResultsToList) {
-          logger.info("Fetching next page of Gmail messages...");
-          await this.googleAuth.sleep(200); // Sleep before next page list
-        } else {
-          nextPageToken = null; // Stop if maxResultsToList reached or no more pages
+      let result;
+      if (user.gmail_history_id) {
+        try {
+          result = await this.syncGmailHistory(gmailClient, user);
+        } catch (error) {
+          // Gmail keeps history for about a week; an older start ID returns 404
+          if ((error.response?.status || error.code) !== 404) throw error;
+          logger.warn(`Gmail history ${user.gmail_history_id} expired for ${user.email}, resyncing the last ${GMAIL_RESYNC_DAYS} days`);
+          result = await this.fullGmailSync(gmailClient, user, resync);
         }
-
-      } while (nextPageToken);
-
-
-      if (gmailMessagesToStore.length > 0) {
-        gmailMessagesToStore.sort((a, b) => b.message_time - a.message_time);
-
-        const insertResult = await insertGmailMessages(gmailMessagesToStore);
-        totalMessagesStored = insertResult.insertedCount || 0;
-        logger.info(`Stored ${totalMessagesStored} Gmail messages for ${user.email}.`);
+      } else if (await hasExistingGmailMessages(user.id)) {
+        logger.info(`No Gmail history ID for ${user.email}, resyncing the last ${GMAIL_RESYNC_DAYS} days`);
+        result = await this.fullGmailSync(gmailClient, user, resync);
       } else {
-        logger.info(`No new Gmail messages to store for ${user.email}.`);
+        logger.info(`Initial Gmail collection for ${user.email} - fetching up to ${GMAIL_INITIAL_MAX_MESSAGES} recent messages.`);
+        result = await this.fullGmailSync(gmailClient, user, { query: '', maxMessages: GMAIL_INITIAL_MAX_MESSAGES });
       }
 
+      // Messages that couldn't be fetched are kept for the next run; the history ID moves past them
+      if (result.failedIds.length > 0) {
+        logger.warn(`${result.failedIds.length} Gmail messages could not be fetched for ${user.email}, retrying them on the next sync`);
+      }
+      await setGmailHistoryId(user.id, result.historyId, result.failedIds);
+      query = result.query;
+
       await createSyncLog(
         user.id,
         'gmail',
         'success',
-        `Collected messages. Query: '${searchQuery || 'initial_fetch'}', Listed: ${listedMessagesCount}`,
-        totalMessagesStored // Pass the count of messages actually stored
+        `${result.mode} sync: ${result.added} added, ${result.deleted} deleted, ${result.labelsUpdated} relabeled`,
+        result.added,
+        {
+          orgId: user.org_id,
+          startedAt,
+          query,
+          counts: { added: result.added, updated: result.labelsUpdated, deleted: result.deleted }
+        }
       );
 
-      logger.info(`Gmail data collection completed for ${user.email}: ${totalMessagesStored} messages stored (${hasExistingMessages ? 'incremental' : 'initial'}).`);
+      logger.info(`Gmail data collection completed for ${user.email}: ${result.added} added, ${result.deleted} deleted, ${result.labelsUpdated} relabeled (${result.mode}).`);
+      return result.added + result.deleted;
 
     } catch (error) {
       await createSyncLog(
@@ -567,12 +966,245 @@ class DataFetcher {
         'gmail',
         'error',
         { message: `Failed to collect Gmail data: ${error.message}`, stack: error.stack }, // Pass error object
-        0 // No items processed in case of a full failure
+        0, // No items processed in case of a full failure
+        { orgId: user.org_id, startedAt, query: query || (user.gmail_history_id ? `history since ${user.gmail_history_id}` : null) }
       );
 
       logger.error(`Gmail data collection failed for ${user.email}: ${error.message}`, { stack: error.stack });
-      // Do not re-throw, as per user request for independent operation
+      // Rethrown for the run ledger; collectUserData still carries on with the user's other sources
+      throw error;
+    }
+  }
+
+  // Replay the mailbox history since the user's historyId, along with messages the last sync couldn't fetch
+  async syncGmailHistory(gmailClient, user) {
+    const addedIds = new Set(user.gmail_retry_message_ids || []);
+    const deletedIds = new Set();
+    const labelUpdates = new Map();
+    let historyId = user.gmail_history_id;
+    let pageToken = null;
+
+    do {
+      const response = await this.googleAuth.executeWithRetry(() => gmailClient.users.history.list({
+        userId: 'me',
+        startHistoryId: user.gmail_history_id,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        maxResults: 500,
+        pageToken
+      }), { api: 'gmail' });
+
+      for (const record of response.data.history || []) {
+        for (const { message } of record.messagesAdded || []) {
+          if ((message.labelIds || []).includes('DRAFT')) continue; // Every draft save is a new message
+          addedIds.add(message.id);
+          deletedIds.delete(message.id);
+        }
+        for (const { message } of record.messagesDeleted || []) {
+          deletedIds.add(message.id);
+          addedIds.delete(message.id);
+          labelUpdates.delete(message.id);
+        }
+        // Each change carries the message's full label list after the change
+        for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+          if (!deletedIds.has(message.id)) labelUpdates.set(message.id, message.labelIds || []);
+        }
+      }
+
+      historyId = response.data.historyId || historyId;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    const storedIds = await getStoredGmailMessageIds(user.id, [...addedIds]);
+    const newIds = [...addedIds].filter(id => !storedIds.has(id));
+    const failedIds = new Set();
+    const added = await this.storeGmailMessages(gmailClient, user, newIds, failedIds);
+    // Newly fetched messages already carry their current labels
+    newIds.forEach(id => labelUpdates.delete(id));
+
+    return {
+      mode: 'history',
+      query: `history since ${user.gmail_history_id}`,
+      historyId,
+      added,
+      deleted: await markGmailMessagesDeleted(user.id, [...deletedIds]),
+      labelsUpdated: await updateGmailMessageLabels(user.id, labelUpdates),
+      failedIds: [...failedIds]
+    };
+  }
+
+  // List messages matching a query, store the new ones and refresh the labels of the rest
+  async fullGmailSync(gmailClient, user, { query, maxMessages }) {
+    // Read before listing so messages arriving during the sync are in the next history replay
+    const profile = await this.googleAuth.executeWithRetry(() => gmailClient.users.getProfile({ userId: 'me' }), { api: 'gmail' });
+
+    const messageIds = [...new Set([
+      ...await this.listGmailMessageIds(gmailClient, user, query, maxMessages),
+      ...(user.gmail_retry_message_ids || [])
+    ])];
+    const storedIds = await getStoredGmailMessageIds(user.id, messageIds);
+    const failedIds = new Set();
+    const added = await this.storeGmailMessages(gmailClient, user, messageIds.filter(id => !storedIds.has(id)), failedIds);
+
+    const labelUpdates = new Map();
+    const { messages: storedMessages } = await this.fetchGmailMessages(gmailClient, user, [...storedIds], 'minimal');
+    for (const message of storedMessages) {
+      labelUpdates.set(message.id, message.labelIds || []);
+    }
+
+    return {
+      mode: query ? 'resync' : 'initial',
+      query: query || `latest ${maxMessages} messages`,
+      historyId: profile.data.historyId,
+      added,
+      deleted: 0,
+      labelsUpdated: await updateGmailMessageLabels(user.id, labelUpdates),
+      failedIds: [...failedIds]
+    };
+  }
+
+  // IDs of up to maxMessages messages matching the query, newest first
+  async listGmailMessageIds(gmailClient, user, query, maxMessages) {
+    const GMAIL_PAGE_SIZE = 100;
+    const messageIds = [];
+    let nextPageToken = null;
+
+    do {
+      const messagesResponse = await this.googleAuth.executeWithRetry(async () => {
+        return await gmailClient.users.messages.list({
+          userId: 'me',
+          maxResults: Math.min(GMAIL_PAGE_SIZE, maxMessages - messageIds.length),
+          q: query,
+          pageToken: nextPageToken,
+        });
+      }, { api: 'gmail' });
+
+      const messageMetadatas = messagesResponse.data.messages || [];
+      if (messageMetadatas.length === 0) {
+        logger.info(`No (more) Gmail messages found for query: '${query}' for ${user.email}.`);
+        break;
+      }
+
+      messageIds.push(...messageMetadatas.map(messageRef => messageRef.id));
+      logger.info(`Fetched ${messageMetadatas.length} Gmail message IDs for ${user.email}. (${messageIds.length}/${maxMessages} for this run)`);
+
+      nextPageToken = messagesResponse.data.nextPageToken;
+      if (nextPageToken && messageIds.length < maxMessages) {
+        logger.info("Fetching next page of Gmail messages...");
+      } else {
+        nextPageToken = null; // Stop if maxMessages reached or no more pages
+      }
+    } while (nextPageToken);
+
+    return messageIds;
+  }
+
+  // Fetch full messages by ID and store them. Returns how many were inserted; IDs that couldn't be
+  // fetched are added to failedIds when it is given.
+  async storeGmailMessages(gmailClient, user, messageIds, failedIds = null) {
+    const gmailMessagesToStore = [];
+
+    const fetched = await this.fetchGmailMessages(gmailClient, user, messageIds, 'full');
+    fetched.failedIds.forEach(id => failedIds?.add(id));
+
+    for (const fullMessage of fetched.messages) {
+      try {
+        gmailMessagesToStore.push(this.buildGmailMessage(user, fullMessage));
+      } catch (error) {
+        logger.warn(`Error processing Gmail message ID ${fullMessage.id} for ${user.email}: ${error.message}`);
+      }
+    }
+
+    if (gmailMessagesToStore.length === 0) {
+      logger.info(`No new Gmail messages to store for ${user.email}.`);
+      return 0;
+    }
+
+    gmailMessagesToStore.sort((a, b) => b.message_time - a.message_time);
+    const insertResult = await insertGmailMessages(gmailMessagesToStore);
+    logger.info(`Stored ${insertResult.insertedCount || 0} Gmail messages for ${user.email}.`);
+    return insertResult.insertedCount || 0;
+  }
+
+  // Fetch messages GMAIL_BATCH_SIZE at a time through batch requests. Messages a batch didn't
+  // return are fetched one by one. Returns the messages and the IDs that still failed; messages
+  // that no longer exist (404) are skipped and not reported as failed.
+  async fetchGmailMessages(gmailClient, user, messageIds, format) {
+    const messages = [];
+    const unfetchedIds = [];
+
+    for (let start = 0; start < messageIds.length; start += GMAIL_BATCH_SIZE) {
+      const chunk = messageIds.slice(start, start + GMAIL_BATCH_SIZE);
+      let failedIds = chunk;
+      try {
+        const batch = await this.googleAuth.batchGetGmailMessages(user.google_tokens, chunk, format);
+        messages.push(...batch.messages);
+        failedIds = batch.failedIds;
+      } catch (error) {
+        logger.warn(`Gmail batch request failed for ${user.email}, fetching ${chunk.length} messages one by one: ${error.message}`);
+      }
+
+      for (const messageId of failedIds) {
+        try {
+          const response = await this.googleAuth.executeWithRetry(() => gmailClient.users.messages.get({
+            userId: 'me',
+            id: messageId,
+            format
+          }), { api: 'gmail' });
+          messages.push(response.data);
+        } catch (error) {
+          logger.warn(`Error fetching Gmail message ID ${messageId} for ${user.email}: ${error.message}`);
+          if ((error.response?.status || error.code) !== 404) unfetchedIds.push(messageId);
+        }
+      }
     }
+
+    return { messages, failedIds: unfetchedIds };
+  }
+
+  // Turn a message fetched with format 'full' into a GmailMessage document
+  buildGmailMessage(user, fullMessage) {
+    const headers = fullMessage.payload?.headers || [];
+    const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+
+    const fromHeader = getHeader('From');
+    let senderName = '';
+    let senderEmail = '';
+    if (fromHeader) {
+      const emailMatch = fromHeader.match(/<(.+@.+)>/);
+      if (emailMatch) {
+        senderEmail = emailMatch[1];
+        senderName = fromHeader.replace(/<.+>/, '').replace(/["']/g, '').trim();
+      } else if (fromHeader.includes('@')) {
+        senderEmail = fromHeader.trim();
+        senderName = senderEmail.split('@')[0];
+      } else {
+        senderName = fromHeader.trim();
+      }
+    }
+
+    const dateHeader = getHeader('Date');
+    let dateReceived;
+    if (dateHeader) {
+      const parsedDate = new Date(dateHeader);
+      dateReceived = !isNaN(parsedDate.getTime()) ? parsedDate : new Date(parseInt(fullMessage.internalDate));
+    } else {
+      dateReceived = new Date(parseInt(fullMessage.internalDate));
+    }
+
+    return {
+      org_id: user.org_id,
+      user_id: user.id,
+      message_id: fullMessage.id,
+      thread_id: fullMessage.threadId,
+      subject: getHeader('Subject') || 'No Subject',
+      sender: fromHeader, // Store full From header as 'sender'
+      recipient: getHeader('To'), // Store full To header as 'recipient'
+      message_time: dateReceived, // Store as Date
+      ...parseGmailMessage(fullMessage), // Clean body, cc/bcc, reply headers and attachments
+      snippet: fullMessage.snippet || '',
+      labels: fullMessage.labelIds || [],
+      raw_data: fullMessage // Store the full message object
+    };
   }
 
   // Get status information
@@ -582,30 +1214,29 @@ class DataFetcher {
       lastRunTime: this.lastRunTime,
       stats: this.stats,
       uptime: process.uptime(),
-      nextRun: this.getNextRunTime()
+      nextRun: this.getNextRunTime(),
+      upstreams: this.googleAuth.getUpstreamStatus(),
+      schedules: [...this.schedules.values()].map(({ signature, ...schedule }) => schedule)
     };
   }
 
-  // Calculate next run time (for display purposes)
+  // Earliest upcoming scheduled run (for display purposes)
   getNextRunTime() {
-    if (!this.lastRunTime) return 'Pending first run';
-
-    const intervalMinutes = parseInt(process.env.FETCH_INTERVAL_MINUTES) || 10;
-    const nextRun = new Date(this.lastRunTime.getTime() + (intervalMinutes * 60 * 1000));
-    return nextRun;
+    const upcoming = [...this.schedules.values()]
+      .map(schedule => schedule.next_run)
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    return upcoming[0] || 'Pending first run';
   }
 
   // Start the cron job
   start() {
-    const intervalMinutes = parseInt(process.env.FETCH_INTERVAL_MINUTES) || 10;
-    const cronExpression = `*/${intervalMinutes} * * * *`;
-
-    logger.info(`🕐 Starting data fetcher with ${intervalMinutes}-minute intervals`);
-    logger.info(`📅 Cron expression: ${cronExpression}`);
+    logger.info('🕐 Starting data fetcher; schedules are checked every minute');
+    logger.info(`📅 Cron expression: ${SCHEDULER_CRON}`);
 
-    // Schedule the cron job
-    const task = cron.schedule(cronExpression, async () => {
-      await this.collectAllData();
+    // Schedule the cron job. Each schedule is read in its own timezone, so the tick itself runs in UTC.
+    const task = cron.schedule(SCHEDULER_CRON, async () => {
+      await this.collectAllData({ trigger: 'cron' });
     }, {
       scheduled: false,
       timezone: 'UTC'
@@ -617,7 +1248,7 @@ class DataFetcher {
     // Run initial collection after 30 seconds
     setTimeout(async () => {
       logger.info('🎯 Running initial data collection...');
-      await this.collectAllData();
+      await this.collectAllData({ trigger: 'startup' });
     }, 30000);
 
     logger.info('✅ Data fetcher started successfully');
@@ -647,7 +1278,7 @@ if (require.main === module) {
 
   logger.info('🤖 PM Assistant Data Fetcher is running');
   logger.info(`📊 Status endpoint would be available if running with web server`);
-  logger.info(`🔄 Data collection interval: ${process.env.FETCH_INTERVAL_MINUTES || 10} minutes`);
+  logger.info(`🔄 Default sync interval: ${FETCH_INTERVAL_MINUTES} minutes (see CHAT_SYNC_CRON, GMAIL_SYNC_CRON and ANALYSIS_CRON)`);
 }
 
 module.exports = DataFetcher;
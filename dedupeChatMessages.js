@@ -0,0 +1,80 @@
+require('dotenv').config();
+const winston = require('winston');
+const { connectToMongoDB, ChatMessage, mongoose } = require('./utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Removes duplicate copies of a user's Chat message, then builds the unique user_id/message_id index.
+// Older versions inserted without that index, so concurrent syncs could store a message twice and
+// the index can't be built until the duplicates are gone. The copy updated last is kept; it is
+// flagged deleted if any copy was.
+async function dedupeChatMessages({ dryRun = false } = {}) {
+  await connectToMongoDB();
+  logger.info(`🧹 Removing duplicate Chat messages${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { duplicated: 0, removed: 0 };
+  const groups = ChatMessage.aggregate([
+    { $sort: { last_update_time: -1, _id: -1 } },
+    {
+      $group: {
+        _id: { user_id: '$user_id', message_id: '$message_id' },
+        ids: { $push: '$_id' },
+        deleted_at: { $max: { $cond: ['$is_deleted', { $ifNull: ['$deleted_at', '$$NOW'] }, null] } }
+      }
+    },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]).allowDiskUse(true).cursor();
+
+  for await (const group of groups) {
+    const [keepId, ...duplicateIds] = group.ids;
+    summary.duplicated++;
+    summary.removed += duplicateIds.length;
+    if (dryRun) continue;
+
+    if (group.deleted_at) {
+      await ChatMessage.updateOne({ _id: keepId }, { $set: { is_deleted: true, deleted_at: group.deleted_at } });
+    }
+    await ChatMessage.deleteMany({ _id: { $in: duplicateIds } });
+  }
+
+  logger.info(`Found ${summary.duplicated} duplicated messages, ${dryRun ? 'would remove' : 'removed'} ${summary.removed} copies`);
+
+  if (!dryRun) {
+    await ChatMessage.createIndexes();
+    logger.info('✅ Chat message indexes are built');
+  }
+  return summary;
+}
+
+// Command line interface
+async function main() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    await dedupeChatMessages({ dryRun });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Chat message dedupe failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { dedupeChatMessages };
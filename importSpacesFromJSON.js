@@ -0,0 +1,126 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const {
+  connectToMongoDB,
+  User,
+  SpaceCursor,
+  upsertSpace,
+  getActiveOrganizations,
+  getOrganizationBySlug,
+  mongoose
+} = require('./utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// The JSON files that held the space registry before it moved to MongoDB.
+// Later files win, so the latest message times come from spaces_with_latest_messages.json.
+const SPACE_FILES = [
+  'spaces_with_space_types.json',
+  'spaces_with_latest_messages.json'
+];
+
+function loadSpacesFromFiles(directory = __dirname) {
+  const spacesById = new Map();
+  for (const fileName of SPACE_FILES) {
+    const filePath = path.join(directory, fileName);
+    if (!fs.existsSync(filePath)) {
+      logger.warn(`Skipping missing file ${fileName}`);
+      continue;
+    }
+    for (const space of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+      spacesById.set(space.space_id, { ...spacesById.get(space.space_id), ...space });
+    }
+    logger.info(`📂 Read ${fileName}`);
+  }
+  return [...spacesById.values()];
+}
+
+// One-time import of the JSON space registry into the Space collection. The single global
+// latest_message_time becomes the starting cursor of every user in the organization, so nobody
+// re-downloads history. Safe to re-run: existing cursors are never touched.
+async function importSpaces({ orgSlug = null } = {}) {
+  await connectToMongoDB();
+
+  let organization;
+  if (orgSlug) {
+    organization = await getOrganizationBySlug(orgSlug);
+    if (!organization) throw new Error(`Unknown organization: ${orgSlug}`);
+  } else {
+    const organizations = await getActiveOrganizations();
+    if (organizations.length !== 1) {
+      throw new Error(`Found ${organizations.length} organizations, pass --org <slug> to choose one`);
+    }
+    organization = organizations[0];
+  }
+
+  const spaces = loadSpacesFromFiles();
+  const users = await User.find({ org_id: organization._id }, { _id: 1 });
+  logger.info(`🚚 Importing ${spaces.length} spaces into ${organization.slug} (${users.length} users)`);
+
+  const summary = { spaces: 0, cursors: 0 };
+
+  for (const space of spaces) {
+    await upsertSpace(organization._id, {
+      space_id: space.space_id,
+      space_name: space.space_name,
+      space_type: space.spaceType,
+      members: (space.members || []).map(member => ({ id: member.id, name: member.name }))
+    });
+    summary.spaces++;
+
+    if (!space.latest_message_time) continue;
+
+    for (const user of users) {
+      const result = await SpaceCursor.updateOne(
+        { user_id: user._id, space_id: space.space_id },
+        {
+          $setOnInsert: {
+            last_message_time: new Date(space.latest_message_time),
+            has_new_msg: !!space.has_new_msg,
+            updated_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      summary.cursors += result.upsertedCount;
+    }
+  }
+
+  logger.info(`✅ Imported ${summary.spaces} spaces and created ${summary.cursors} sync cursors`);
+  return summary;
+}
+
+// Command line interface
+async function main() {
+  try {
+    const orgIndex = process.argv.indexOf('--org');
+    await importSpaces({ orgSlug: orgIndex !== -1 ? process.argv[orgIndex + 1] : null });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Space import failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { importSpaces, loadSpacesFromFiles };
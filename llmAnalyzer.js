@@ -8,10 +8,21 @@ const {
   connectToMongoDB,
   getAllActiveUsers,
   getChatMessagesBySpace,
+  getChatThreads,
+  getChatThreadMessages,
+  getChatSpaceIdsForUser,
+  getSpacesWithCursors,
   ChatMessage,
   saveLLMAnalysisResults,
-  getLatestLLMAnalysisResults
+  getLatestLLMAnalysisResults,
+  getActiveOrganizations,
+  formatDateTime,
+  resolveTimezone,
+  isWithinWorkingHours,
+  DEFAULT_TIMEZONE
 } = require('./utils/mongodb');
+const { decryptToken } = require('./utils/tokenCrypto');
+const { runWithLock } = require('./utils/jobLock');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -57,25 +68,44 @@ const logger = winston.createLogger({
 
 class LLMAnalyzer {
   constructor() {
-    // Initialize Azure OpenAI client
-    this.azureClient = new AzureOpenAI({
-      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-      apiKey: process.env.AZURE_OPENAI_API_KEY,
-      deployment: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'o4-mini',
-      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2025-01-01-preview'
-    });
+    // Default Azure OpenAI client, used by organizations without their own LLM credentials
+    this.defaultLLM = this.createLLMClient({});
 
-    // Aditya's user ID from the previous context exploration
-    this.adityaUserId = 'users/116152071271346193304';
     this.outputDir = path.join(__dirname, 'llm-analysis-results');
     this.isRunning = false;
   }
 
-  // Main method to analyze messages for response prediction
-  async analyzeMessagesForResponsePrediction() {
+  // Build an Azure OpenAI client from an organization's LLM settings, falling back to the environment
+  createLLMClient(llmSettings = {}) {
+    const deployment = llmSettings.deployment || process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'o4-mini';
+    const endpoint = llmSettings.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+    return {
+      deployment,
+      endpoint,
+      client: new AzureOpenAI({
+        endpoint,
+        apiKey: llmSettings.api_key ? decryptToken(llmSettings.api_key) : process.env.AZURE_OPENAI_API_KEY,
+        deployment,
+        apiVersion: llmSettings.api_version || process.env.AZURE_OPENAI_API_VERSION || '2025-01-01-preview'
+      })
+    };
+  }
+
+  getLLMForOrganization(organization) {
+    if (!organization.llm?.endpoint && !organization.llm?.api_key) {
+      return this.defaultLLM;
+    }
+    return this.createLLMClient(organization.llm);
+  }
+
+  // Main method to analyze messages for response prediction.
+  // Runs for the given organization, or for every active organization when none is given.
+  // Each organization is analyzed under a lock, so runs in other processes skip it meanwhile.
+  // Returns how many organizations were analyzed, skipped because they were locked, and failed.
+  async analyzeMessagesForResponsePrediction(organization = null) {
     if (this.isRunning) {
       logger.warn('LLM analysis already in progress, skipping this run');
-      return;
+      return { analyzed: 0, locked: 1, failed: 0 };
     }
 
     this.isRunning = true;
@@ -88,34 +118,24 @@ class LLMAnalyzer {
       // Connect to MongoDB
       await connectToMongoDB();
 
-      // Get all unique spaces where Aditya has messages
-      const adityaSpaces = await this.getAdityaSpaces();
-      logger.info(`Found ${adityaSpaces.length} spaces where Aditya participates`);
-
-      if (adityaSpaces.length === 0) {
-        logger.info('No spaces found for Aditya, skipping analysis');
-        return;
-      }
-
-      const suggestedResponses = [];
-
-      // Process each space
-      for (const space of adityaSpaces) {
+      const counts = { analyzed: 0, locked: 0, failed: 0 };
+      const organizations = organization ? [organization] : await getActiveOrganizations();
+      for (const org of organizations) {
         try {
-          const spaceResponse = await this.analyzeSpaceMessages(space);
-          if (spaceResponse) {
-            suggestedResponses.push(spaceResponse);
+          const outcome = await runWithLock(`analysis:${org._id}`, () => this.analyzeOrganization(org));
+          if (outcome.acquired) {
+            counts.analyzed++;
+          } else {
+            counts.locked++;
+            logger.info(`Skipping analysis of ${org.slug}: already running in ${outcome.holder || 'another process'}`);
           }
         } catch (error) {
-          logger.error(`Failed to analyze space ${space.space_id}:`, error);
-          // Continue with other spaces
+          counts.failed++;
+          logger.error(`LLM analysis failed for organization ${org.slug}:`, error);
+          // Continue with other organizations
         }
       }
-
-      // Save single consolidated file with all suggested responses
-      await this.saveSuggestedResponsesFile(suggestedResponses);
-
-      logger.info(`✅ LLM analysis completed successfully. Found ${suggestedResponses.length} responses needed`);
+      return counts;
 
     } catch (error) {
       logger.error('❌ LLM analysis failed:', error);
@@ -124,45 +144,122 @@ class LLMAnalyzer {
       this.isRunning = false;
     }
   }
-  // Get all spaces that have new messages
-  async getAdityaSpaces() {
+  // Analyze one organization's spaces with its own LLM credentials and store its results.
+  // Every user with a Chat profile gets suggestions for the spaces they take part in,
+  // written in their name and timezone, and only during their working hours.
+  async analyzeOrganization(organization) {
+    const llm = this.getLLMForOrganization(organization);
+    const orgTimeZone = resolveTimezone(null, organization);
+
+    const users = (await getAllActiveUsers(organization._id)).filter(user => user.chat_user_id);
+    logger.info(`[${organization.slug}] Analyzing chats for ${users.length} users with a Chat profile`);
+
+    const suggestedResponses = [];
+
+    for (const user of users) {
+      const subject = {
+        user,
+        organization,
+        llm,
+        name: user.display_name,
+        chatUserId: user.chat_user_id,
+        timeZone: resolveTimezone(user, organization)
+      };
+
+      if (!isWithinWorkingHours(user.working_hours, subject.timeZone)) {
+        logger.info(`Outside working hours for ${user.email} (${subject.timeZone}), skipping`);
+        continue;
+      }
+
+      try {
+        suggestedResponses.push(...await this.analyzeUserSpaces(subject));
+      } catch (error) {
+        logger.error(`Failed to analyze chats for ${user.email}:`, error);
+        // Continue with other users
+      }
+    }
+
+    // Save single consolidated result with all suggested responses
+    await this.saveSuggestedResponsesFile(suggestedResponses, organization, orgTimeZone);
+
+    logger.info(`✅ [${organization.slug}] LLM analysis completed successfully. Found ${suggestedResponses.length} responses needed`);
+  }
+
+  // Suggested responses for every space the subject user takes part in
+  async analyzeUserSpaces(subject) {
+    const spaces = await this.getUserSpaces(subject.user);
+    logger.info(`Found ${spaces.length} spaces where ${subject.name} participates`);
+
+    const suggestedResponses = [];
+
+    // Process each space
+    for (const space of spaces) {
+      try {
+        const spaceResponse = await this.analyzeSpaceMessages(space, subject);
+        if (spaceResponse) {
+          suggestedResponses.push(spaceResponse);
+        }
+      } catch (error) {
+        logger.error(`Failed to analyze space ${space.space_id}:`, error);
+        // Continue with other spaces
+      }
+    }
+
+    return suggestedResponses;
+  }
+
+  // Enabled spaces of the user's organization that the user has collected messages from and not left
+  async getUserSpaces(user) {
     try {
-      const jsonFilePath = path.join(__dirname, 'spaces_with_latest_messages.json');
-      const jsonData = await fs.readFile(jsonFilePath, 'utf8');
-      const spaces = JSON.parse(jsonData);
+      const [spaces, userSpaceIds] = await Promise.all([
+        getSpacesWithCursors(user.org_id, user.id),
+        getChatSpaceIdsForUser(user.id)
+      ]);
+      const participating = new Set(userSpaceIds);
       
-      // Filter for spaces with new messages and return only space_id and space_name
+      // Return only space_id and space_name
       return spaces
-        .map(space => ({
+        .filter(({ space, cursor }) => participating.has(space.space_id) && cursor?.is_member !== false)
+        .map(({ space }) => ({
           space_id: space.space_id,
           space_name: space.space_name
         }));
       
     } catch (error) {
-      logger.error('Failed to read spaces from JSON file:', error);
+      logger.error(`Failed to load spaces for ${user.email}:`, error);
       return [];
     }
   }
 
   // Analyze messages in a specific space
-  async analyzeSpaceMessages(space) {
-    logger.info(`Analyzing space: ${space.space_name} (${space.space_id})`);
+  async analyzeSpaceMessages(space, subject) {
+    logger.info(`Analyzing space: ${space.space_name} (${space.space_id}) for ${subject.name}`);
 
     try {
-      // Fetch recent 10 messages from this space
-      const messages = await getChatMessagesBySpace(space.space_id, 4);
+      // Work on the most recently active conversation. A thread with replies is analyzed on its own;
+      // otherwise (unthreaded spaces and DMs) the latest messages of the space form the conversation.
+      const [latestThread] = await getChatThreads(subject.user.id, space.space_id, 1);
+      const messages = latestThread && latestThread.reply_count > 0
+        ? (await getChatThreadMessages(subject.user.id, latestThread.thread_id, 4)).reverse()
+        : await getChatMessagesBySpace(space.space_id, 4, subject.organization._id, subject.user.id);
 
       if (messages.length === 0) {
         logger.info(`No messages found in space ${space.space_id}, skipping`);
         return null;
       }
+
+      // A reaction from the person the user's latest message was meant for acknowledges it - no follow-up needed
+      if (this.isAcknowledgedByReaction(messages[0], messages.slice(1), subject)) {
+        logger.info(`Latest message in space ${space.space_id} was acknowledged with a reaction, skipping`);
+        return null;
+      }
       
       // Format messages for LLM analysis (oldest to newest)
-      const formattedMessages = this.formatMessagesForLLM(messages.reverse());
+      const formattedMessages = this.formatMessagesForLLM(messages.reverse(), subject);
       // console.log(JSON.stringify(formattedMessages, null, 2));
       
       // Get LLM prediction
-      const llmResponse = await this.getLLMPrediction(formattedMessages, space.space_name);
+      const llmResponse = await this.getLLMPrediction(formattedMessages, space.space_name, subject);
 
       // Parse JSON response
       let parsedResponse;
@@ -176,9 +273,10 @@ class LLMAnalyzer {
       // Return suggested response if needed
       if (parsedResponse.response_needed === true && parsedResponse.suggested_response) {
         return {
+          for_user: subject.user.email,
           to: space.space_name,
           msg: parsedResponse.suggested_response,
-          time_generated: this.formatLocalTime(new Date())
+          time_generated: this.formatLocalTime(new Date(), subject.timeZone)
         };
       }
 
@@ -190,8 +288,26 @@ class LLMAnalyzer {
     }
   }
 
+  // A message from the user that its addressee reacted to has been seen and acknowledged.
+  // earlierMessages are the conversation's previous messages, newest first.
+  isAcknowledgedByReaction(message, earlierMessages, subject) {
+    if (message.sender_id !== subject.chatUserId) return false;
+    const addressees = this.getAddressees(message, earlierMessages, subject);
+    return (message.reactions || []).some(reaction =>
+      reaction.user_id !== subject.chatUserId && (addressees === null || addressees.has(reaction.user_id)));
+  }
+
+  // Who a message from the user was meant for: the people it @-mentions, else the last other person
+  // who spoke before it. null in a DM, where everyone else is the addressee.
+  getAddressees(message, earlierMessages, subject) {
+    if (message.mentions?.length > 0) return new Set(message.mentions);
+    if (message.space_type === 'DIRECT_MESSAGE') return null;
+    const previousSpeaker = earlierMessages.find(earlier => earlier.sender_id !== subject.chatUserId);
+    return new Set(previousSpeaker ? [previousSpeaker.sender_id] : []);
+  }
+
   // Format messages into the required JSON structure for LLM
-  formatMessagesForLLM(messages) {
+  formatMessagesForLLM(messages, subject) {
     const currentTime = new Date();
     
     return messages.map(msg => {
@@ -201,41 +317,38 @@ class LLMAnalyzer {
       
       return {
         senderName: msg.sender_name,
+        sentByUser: msg.sender_id === subject.chatUserId,
         content: msg.content || '',
-        localTime: this.formatLocalTime(msg.message_time),
+        attachments: (msg.attachments || []).map(attachment => attachment.name).filter(Boolean),
+        reactions: (msg.reactions || []).map(reaction => ({
+          emoji: reaction.emoji,
+          by: reaction.user_id === subject.chatUserId ? subject.name : (reaction.user_name || 'Someone')
+        })),
+        edited: (msg.edit_history || []).length > 0,
+        localTime: this.formatLocalTime(msg.message_time, subject.timeZone),
         timePassedMinutes: timeDiffMinutes
       };
     });
   }
 
   // Convert UTC time to local time string
-formatLocalTime(utcTime) {
+formatLocalTime(utcTime, timeZone = DEFAULT_TIMEZONE) {
   if (!utcTime) return 'Unknown time';
-  
-  const date = new Date(utcTime);
-  return date.toLocaleString('en-IN', {
-    timeZone: 'Asia/Kolkata', // IST timezone for India
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
+  return formatDateTime(utcTime, timeZone);
 }
 
   // Get LLM prediction for response requirement
-  async getLLMPrediction(messages, spaceName) {
-    const prompt = this.buildAnalysisPrompt(messages, spaceName);
+  async getLLMPrediction(messages, spaceName, subject) {
+    const prompt = this.buildAnalysisPrompt(messages, spaceName, subject);
+    const { llm } = subject;
 
     try {
-      const completion = await this.azureClient.chat.completions.create({
-        model: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'o4-mini',
+      const completion = await llm.client.chat.completions.create({
+        model: llm.deployment,
         messages: [
           {
             role: 'system',
-            content: 'You are an AI assistant that analyzes Google Chat conversations to predict when Aditya needs to respond. You must respond with valid JSON only.'
+            content: `You are an AI assistant that analyzes Google Chat conversations to predict when ${subject.name} needs to respond. You must respond with valid JSON only.`
           },
           {
             role: 'user',
@@ -253,8 +366,8 @@ formatLocalTime(utcTime) {
         error: error.message,
         status: error.status,
         code: error.code,
-        model: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'o4-mini',
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT
+        model: llm.deployment,
+        endpoint: llm.endpoint
       });
       
       // Return a default response instead of throwing
@@ -263,31 +376,35 @@ formatLocalTime(utcTime) {
   }
 
   // Build the analysis prompt
-  buildAnalysisPrompt(messages, spaceName) {
+  buildAnalysisPrompt(messages, spaceName, subject) {
     const messagesJson = JSON.stringify(messages, null, 2);
-    const currentTime = this.formatLocalTime(new Date());
+    const currentTime = this.formatLocalTime(new Date(), subject.timeZone);
+    const name = subject.name;
     
-    return `Analyze the following Google Chat conversation from the space "${spaceName}" to determine if Aditya needs to respond based on ONLY these two time-based scenarios:
+    return `Analyze the following Google Chat conversation from the space "${spaceName}" to determine if ${name} needs to respond based on ONLY these two time-based scenarios:
 
 
 **Recent Messages (oldest to newest):**
+Messages with sentByUser set to true were sent by ${name}. Messages with edited set to true were changed after sending; only their current text counts.
+The attachments field lists the files, links and cards shared with a message.
+The reactions field lists emoji reactions and who added them. A reaction (e.g. 👍) from the person a message was addressed to counts as their reply: the message has been acknowledged and needs no follow-up. Likewise a reaction from ${name} counts as ${name}'s response.
 ${messagesJson}
 
 **ONLY Check These Two Cases:**
 
-1. **Remind Aditya to respond**: If someone sent a message to Aditya (direct question, mention, or request) and the message's timePassedMinutes is MORE than 30 minutes, and Aditya hasn't responded yet.
+1. **Remind ${name} to respond**: If someone sent a message to ${name} (direct question, mention, or request) and the message's timePassedMinutes is MORE than 30 minutes, and ${name} hasn't responded yet.
 
-2. **Follow-up reminder**: If Aditya sent a message (question or request) and the recipient hasn't responded and the message's timePassedMinutes is MORE than 180 minutes (3 hours).
+2. **Follow-up reminder**: If ${name} sent a message (question or request) and the recipient hasn't responded and the message's timePassedMinutes is MORE than 180 minutes (3 hours).
 
 **Analysis Instructions:**
 - Use the timePassedMinutes field provided with each message to determine if the time threshold has been met
 - Only suggest responses for the above two scenarios
 - Ignore general conversation flow, updates, or casual messages
 - Focus only on time-sensitive response requirements
-- Check if Aditya has already responded to recent items
+- Check if ${name} has already responded to recent items
 
-**Aditya's Communication Style:**
-- Keep messages as short as possible and to the point (both Aditya and recipients are busy people)
+**${name}'s Communication Style:**
+- Keep messages as short as possible and to the point (both ${name} and recipients are busy people)
 - Be kind and professional, but not overly informal
 - Be concise and respectful of everyone's time
 - Avoid unnecessary pleasantries while still maintaining politeness
@@ -296,32 +413,32 @@ ${messagesJson}
 {
   "response_needed": true/false,
   "reason": "Specify which case applies (30min reminder or 3hr follow-up) and time elapsed, or why no response needed",
-  "suggested_response": "write a brief, to-the-point message that follows Aditya's communication style if response_needed is true, otherwise leave empty"
+  "suggested_response": "write a brief, to-the-point message that follows ${name}'s communication style if response_needed is true, otherwise leave empty"
 }`;
   }  // Save results to MongoDB instead of local files
-  async saveSuggestedResponsesFile(suggestedResponses) {
+  async saveSuggestedResponsesFile(suggestedResponses, organization, timeZone = DEFAULT_TIMEZONE) {
     try {
       const currentDate = new Date();
       const output = {
         generated_at: currentDate, // Pass as Date object for MongoDB
-        generated_at_formatted: this.formatLocalTime(currentDate), // Keep formatted version for display
+        generated_at_formatted: this.formatLocalTime(currentDate, timeZone), // Keep formatted version for display
         total_responses: suggestedResponses.length,
         responses: suggestedResponses
       };
 
       // Save to MongoDB
-      await saveLLMAnalysisResults(output);
+      await saveLLMAnalysisResults(output, organization._id);
       logger.info(`✅ ${suggestedResponses.length} suggested responses saved to MongoDB`);
 
       // Optionally keep a backup in local file for debugging
       if (process.env.KEEP_LOCAL_BACKUP === 'true') {
         const timestamp = currentDate.toISOString().replace(/[:.]/g, '-');
-        const filename = `suggested-responses-${timestamp}.json`;
+        const filename = `suggested-responses-${organization.slug}-${timestamp}.json`;
         const filepath = path.join(this.outputDir, filename);
 
         // For local file, use the formatted date string
         const localOutput = {
-          generated_at: this.formatLocalTime(currentDate),
+          generated_at: this.formatLocalTime(currentDate, timeZone),
           total_responses: suggestedResponses.length,
           responses: suggestedResponses
         };
@@ -337,11 +454,11 @@ ${messagesJson}
       try {
         const currentDate = new Date();
         const timestamp = currentDate.toISOString().replace(/[:.]/g, '-');
-        const filename = `suggested-responses-${timestamp}.json`;
+        const filename = `suggested-responses-${organization.slug}-${timestamp}.json`;
         const filepath = path.join(this.outputDir, filename);
 
         const output = {
-          generated_at: this.formatLocalTime(currentDate),
+          generated_at: this.formatLocalTime(currentDate, timeZone),
           total_responses: suggestedResponses.length,
           responses: suggestedResponses
         };
@@ -370,7 +487,6 @@ ${messagesJson}
   getStatus() {
     return {
       isRunning: this.isRunning,
-      adityaUserId: this.adityaUserId,
       outputDirectory: this.outputDir
     };
   }
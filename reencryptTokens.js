@@ -0,0 +1,79 @@
+require('dotenv').config();
+const winston = require('winston');
+const { connectToMongoDB, User, mongoose } = require('./utils/mongodb');
+const { rewrapToken, needsReencryption, getActiveKeyId } = require('./utils/tokenCrypto');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Encrypts plaintext tokens and re-wraps tokens still under an older key with the active key.
+// Run after setting TOKEN_ENCRYPTION_KEYS for the first time, or after adding a new key at the front.
+async function reencryptAllTokens({ dryRun = false } = {}) {
+  await connectToMongoDB();
+
+  const activeKeyId = getActiveKeyId();
+  logger.info(`🔐 Re-encrypting stored tokens with key "${activeKeyId}"${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { scanned: 0, updated: 0, failed: 0 };
+  const cursor = User.find({}, { email: 1, access_token: 1, refresh_token: 1 }).cursor();
+
+  for await (const user of cursor) {
+    summary.scanned++;
+
+    if (!needsReencryption(user.access_token) && !needsReencryption(user.refresh_token)) {
+      continue;
+    }
+
+    try {
+      const update = {
+        access_token: rewrapToken(user.access_token),
+        refresh_token: rewrapToken(user.refresh_token)
+      };
+
+      if (!dryRun) {
+        // updateOne skips the save hook so updated_at reflects real user activity only
+        await User.updateOne({ _id: user._id }, { $set: update });
+      }
+      summary.updated++;
+      logger.info(`  ✅ ${user.email}`);
+    } catch (error) {
+      summary.failed++;
+      logger.error(`  ❌ ${user.email}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Scanned ${summary.scanned} users, re-encrypted ${summary.updated}, failed ${summary.failed}`);
+  return summary;
+}
+
+// Command line interface
+async function main() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    const summary = await reencryptAllTokens({ dryRun });
+    await mongoose.disconnect();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`❌ Token re-encryption failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { reencryptAllTokens };
@@ -0,0 +1,67 @@
+require('dotenv').config();
+const winston = require('winston');
+const { connectToMongoDB, GmailMessage, mongoose } = require('./utils/mongodb');
+const { parseGmailMessage } = require('./utils/gmailParser');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Re-extracts body, cc/bcc, reply headers and attachments of stored Gmail messages from their
+// raw_data. Messages collected before full body extraction only have the snippet as content.
+async function reparseGmailMessages({ all = false } = {}) {
+  await connectToMongoDB();
+
+  // Without --all only messages that were never parsed are touched
+  const filter = { raw_data: { $ne: null }, ...(all ? {} : { body_format: { $exists: false } }) };
+  const cursor = GmailMessage.find(filter, { raw_data: 1, snippet: 1, content: 1 }).cursor();
+
+  let updated = 0;
+  let failed = 0;
+  for await (const message of cursor) {
+    try {
+      const parsed = parseGmailMessage(message.raw_data);
+      await GmailMessage.updateOne(
+        { _id: message._id },
+        { $set: { ...parsed, snippet: message.raw_data.snippet || message.snippet || message.content } }
+      );
+      updated++;
+    } catch (error) {
+      failed++;
+      logger.warn(`Could not parse Gmail message ${message._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`✅ Re-parsed ${updated} Gmail messages (${failed} failed)`);
+  return { updated, failed };
+}
+
+// Command line interface
+async function main() {
+  try {
+    await reparseGmailMessages({ all: process.argv.includes('--all') });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Gmail re-parse failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { reparseGmailMessages };
@@ -7,6 +7,16 @@ const winston = require('winston');
 
 const GoogleAuthManager = require('./utils/googleAuth');
 const MessageRewriteService = require('./services/messageRewriteService');
+const AccountDisconnectService = require('./services/accountDisconnectService');
+const PushService = require('./services/pushService');
+const {
+  authenticate,
+  requireAdmin,
+  requireScope,
+  isAdmin,
+  canAccessUser,
+  sanitizeRedirectTarget
+} = require('./utils/accessControl');
 const { 
   connectToMongoDB, 
   User, 
@@ -16,12 +26,22 @@ const {
   updateUserTokens,
   createOrUpdateUser,
   getUserByEmail,
+  createAuthState,
+  consumeAuthState,
   healthCheck,
   getDashboardStats,
   getUserStats,
   getRecentSyncLogs,
+  parseSyncLogFilters,
   getLatestLLMAnalysisResults,
-  getAllLLMAnalysisResults
+  getAllLLMAnalysisResults,
+  getUsersNeedingReauth,
+  getEmailDomain,
+  getOrganizationForEmail,
+  getOrganizationById,
+  getUserById,
+  formatDateTime,
+  resolveTimezone
 } = require('./utils/mongodb');
 
 // Configure logger
@@ -67,6 +87,21 @@ try {
   logger.error('Failed to initialize Message Rewrite Service:', error);
 }
 
+const accountDisconnectService = new AccountDisconnectService(googleAuth);
+
+// Pub/Sub push endpoint for Gmail and Workspace Events notifications
+const PUSH_PATH = '/api/push/pubsub';
+
+// The push service fetches through a DataFetcher, created on the first notification
+let pushService;
+function getPushService() {
+  if (!pushService) {
+    const DataFetcher = require('./dataFetcher');
+    pushService = new PushService(new DataFetcher());
+  }
+  return pushService;
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors()); // New CORS configuration: Allow all origins
@@ -78,35 +113,54 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Pub/Sub delivers every notification from a handful of Google IPs
+  skip: (req) => req.path === PUSH_PATH
 });
 app.use(limiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Store auth states temporarily (in production, use Redis or database)
-const authStates = new Map();
+// Resolve the caller (dashboard session cookie or API token) for protected routes
+app.use(authenticate);
+
+// OAuth states live in MongoDB (AuthState) so the callback works on serverless and across restarts
+const AUTH_STATE_TTL_MINUTES = 10;
 
 // Routes
 
+// Analysis results belong to the caller's organization; suggested replies never leave it
+async function resolveRequestOrganization(req) {
+  if (!req.auth?.orgId) return null;
+  return await getOrganizationById(req.auth.orgId);
+}
+
+// Suggested replies come from private chats: admins see the whole organization's, everyone else only their own
+function resolveResponsesUser(req) {
+  return isAdmin(req) ? null : req.auth.email;
+}
+
+// Times are shown in the signed-in user's timezone, else the organization's
+async function resolveRequestTimezone(req, organization) {
+  const user = req.auth?.userId ? await getUserById(req.auth.userId) : null;
+  return resolveTimezone(user, organization);
+}
+
 // Endpoint to serve latest LLM analysis responses from MongoDB
-app.get('/api/latest-responses', async (req, res) => {
+app.get('/api/latest-responses', requireScope('analysis:read'), async (req, res) => {
   try {
-    const latestResults = await getLatestLLMAnalysisResults();
+    const organization = await resolveRequestOrganization(req);
+    if (!organization) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+
+    const timeZone = await resolveRequestTimezone(req, organization);
+    const latestResults = await getLatestLLMAnalysisResults(organization._id, timeZone, resolveResponsesUser(req));
     
     if (!latestResults) {
       return res.status(404).json({ 
         error: 'No analysis results found',
-        generated_at: new Date().toLocaleString('en-IN', {
-          timeZone: 'Asia/Kolkata',
-          day: '2-digit',
-          month: '2-digit', 
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
-        }).replace(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/, '$1/$2/$3, $4:$5:$6'),
+        generated_at: formatDateTime(new Date(), timeZone),
         total_responses: 0,
         responses: []
       });
@@ -121,10 +175,16 @@ app.get('/api/latest-responses', async (req, res) => {
 });
 
 // New endpoint to get all analysis results with pagination
-app.get('/api/analysis-history', async (req, res) => {
+app.get('/api/analysis-history', requireScope('analysis:read'), async (req, res) => {
   try {
+    const organization = await resolveRequestOrganization(req);
+    if (!organization) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+
+    const timeZone = await resolveRequestTimezone(req, organization);
     const limit = parseInt(req.query.limit) || 20;
-    const results = await getAllLLMAnalysisResults(limit);
+    const results = await getAllLLMAnalysisResults(limit, organization._id, timeZone, resolveResponsesUser(req));
     
     res.json({
       total_results: results.length,
@@ -141,10 +201,14 @@ app.get('/api/analysis-history', async (req, res) => {
 app.get('/health', async (req, res) => {
   try {
     const dbHealth = await healthCheck();
+    const usersNeedingReauth = dbHealth.status === 'connected' ? await getUsersNeedingReauth() : [];
     res.json({
-      status: 'healthy',
+      status: usersNeedingReauth.length > 0 ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       database: dbHealth,
+      auth: {
+        users_needing_reauth: usersNeedingReauth.length
+      },
       version: '1.0.0'
     });
   } catch (error) {
@@ -223,8 +287,10 @@ app.get('/', (req, res) => {
             
             <div class="feature">
                 <h3>🔐 OAuth Authentication</h3>
-                <p>Grant secure access to your Gmail data</p>
-                <a href="/auth" class="btn">Start OAuth Setup</a>
+                <p>Connect each data source separately - you only grant access to what you choose</p>
+                ${Object.entries(googleAuth.features).map(([feature, { label }]) =>
+                  `<a href="/auth?features=${feature}" class="btn">Connect ${label}</a>`
+                ).join('')}
             </div>
             
             <div class="feature">
@@ -238,9 +304,12 @@ app.get('/', (req, res) => {
                 <p>Available endpoints:</p>
                 <ul>
                     <li><code>GET /health</code> - Health check</li>
-                    <li><code>GET /auth</code> - Start OAuth flow</li>
+                    <li><code>GET /auth?features=chat,gmail</code> - Start OAuth flow for the given data sources</li>
                     <li><code>GET /auth/callback</code> - OAuth callback</li>
-                    <li><code>GET /stats</code> - System statistics</li>
+                    <li><code>POST /auth/revoke</code> - Disconnect an account (optionally purging its data)</li>
+                    <li><code>GET /stats</code> - System statistics (admin)</li>
+                    <li><code>GET /user/:email/stats?sync_status=&sync_type=</code> - Your own statistics and sync history (session or API token)</li>
+                    <li><code>POST ${PUSH_PATH}</code> - Pub/Sub push receiver for Gmail and Chat notifications</li>
                 </ul>
             </div>
             
@@ -258,15 +327,25 @@ app.get('/', (req, res) => {
 });
 
 // Start OAuth flow
-app.get('/auth', (req, res) => {
+app.get('/auth', async (req, res) => {
   try {
-    const { authUrl, state } = googleAuth.generateAuthUrl();
-    
-    // Store state temporarily (expires in 10 minutes)
-    authStates.set(state, { timestamp: Date.now() });
+    const { codeVerifier, codeChallenge } = await googleAuth.generatePkcePair();
+    const features = googleAuth.normalizeFeatures(req.query.features);
+    const { authUrl, state } = googleAuth.generateAuthUrl(null, codeChallenge, {
+      features,
+      forceConsent: req.query.consent === '1',
+      loginHint: typeof req.query.login_hint === 'string' ? req.query.login_hint : null
+    });
     
-    // Clean up old states
-    setTimeout(() => authStates.delete(state), 10 * 60 * 1000);
+    // Persist state with its PKCE verifier; the TTL index removes it after expiry
+    await createAuthState({
+      state,
+      ip: req.ip,
+      codeVerifier,
+      redirectTo: sanitizeRedirectTarget(req.query.redirect),
+      features,
+      ttlMinutes: AUTH_STATE_TTL_MINUTES
+    });
     
     logger.info(`Generated OAuth URL for state: ${state}`);
     
@@ -305,9 +384,20 @@ app.get('/auth/callback', async (req, res) => {
     `);
   }
 
-  // Verify state parameter
-  if (state && !authStates.has(state)) {
-    logger.warn(`Invalid state parameter: ${state}`);
+  // Verify and consume state parameter - missing, reused and expired states are all rejected
+  let authState;
+  try {
+    const stateCheck = await consumeAuthState(state);
+    if (stateCheck.valid) {
+      authState = stateCheck.authState;
+    } else {
+      logger.warn(`Rejected OAuth state (${stateCheck.reason}): ${state || '<none>'}`);
+    }
+  } catch (stateError) {
+    logger.error('Error verifying OAuth state:', stateError);
+  }
+
+  if (!authState) {
     return res.status(400).send(`
       <html><body style="font-family: sans-serif; text-align: center; padding: 50px;">
         <h1>❌ Invalid State Parameter</h1>
@@ -317,30 +407,54 @@ app.get('/auth/callback', async (req, res) => {
     `);
   }
 
+  if (authState.ip && authState.ip !== req.ip) {
+    logger.warn(`OAuth callback IP ${req.ip} differs from requesting IP ${authState.ip} for state ${state}`);
+  }
+
   try {
     // Exchange code for tokens
-    const { tokens, userInfo } = await googleAuth.exchangeCodeForTokens(code);
+    const { tokens, userInfo, profile } = await googleAuth.exchangeCodeForTokens(code, authState.code_verifier);
+
+    // Accounts are only stored for registered organizations; hand the grant back otherwise
+    const organization = await getOrganizationForEmail(userInfo.email);
+    if (!organization) {
+      logger.warn(`Rejected OAuth sign-in from unregistered domain: ${userInfo.email}`);
+      await googleAuth.revokeTokens(tokens);
+      return res.status(403).send(`
+        <html><body style="font-family: sans-serif; text-align: center; padding: 50px;">
+          <h1>🚫 Organization Not Registered</h1>
+          <p>${getEmailDomain(userInfo.email)} has not been set up in PM Assistant. Ask your administrator to add it.</p>
+        </body></html>
+      `);
+    }
     
-    // Check permissions
-    const permissions = await googleAuth.checkPermissions(tokens);
-    const missingPermissions = Object.entries(permissions)
-      .filter(([key, value]) => !value)
-      .map(([key]) => key);
-
-    if (missingPermissions.length > 0) {
-      logger.warn(`User ${userInfo.email} missing permissions: ${missingPermissions.join(', ')}`);
+    // Google skips the refresh token when the app was approved before; ask again with a consent screen
+    const existingUser = await getUserByEmail(userInfo.email);
+    if (!tokens.refresh_token && !existingUser?.refresh_token) {
+      logger.warn(`No refresh token received for ${userInfo.email}, restarting OAuth with consent prompt`);
+      const params = new URLSearchParams({ features: authState.features.join(','), consent: '1', login_hint: userInfo.email });
+      if (authState.redirect_to) params.set('redirect', authState.redirect_to);
+      return res.redirect(`/auth?${params.toString()}`);
     }
 
-    // Store user and tokens in database
-    const user = await createOrUpdateUser(userInfo.email, tokens);
-    
-    // Clean up state
-    if (state) {
-      authStates.delete(state);
+    // Work out which data sources are usable with the scopes granted so far
+    const grantedScopes = (tokens.scope || '').split(' ').filter(Boolean);
+    const grantedFeatures = googleAuth.getGrantedFeatures(grantedScopes);
+    const deniedFeatures = authState.features.filter(feature => !grantedFeatures.includes(feature));
+
+    if (deniedFeatures.length > 0) {
+      logger.warn(`User ${userInfo.email} did not grant requested features: ${deniedFeatures.join(', ')}`);
     }
 
+    // Store user and tokens in database
+    const user = await createOrUpdateUser(userInfo.email, tokens, profile);
+    
     logger.info(`User ${userInfo.email} successfully authenticated and stored`);
 
+    if (authState.redirect_to) {
+      return res.redirect(authState.redirect_to);
+    }
+
     res.send(`
       <html>
       <head>
@@ -378,17 +492,20 @@ app.get('/auth/callback', async (req, res) => {
           <h1 class="success">✅ Authorization Successful!</h1>
           <p>Hello <strong>${userInfo.name}</strong> (${userInfo.email})</p>
             <div class="info">
-            <h3>🔒 Permissions Granted:</h3>
+            <h3>🔒 Connected Data Sources:</h3>
             <ul style="text-align: left;">
-              <li>Google Chat: ${permissions.chat ? '✅' : '❌'}</li>
-              <li>Google Gmail: ${permissions.gmail ? '✅' : '❌'}</li>
+              ${Object.entries(googleAuth.features).map(([feature, { label }]) => `
+                <li>${label}: ${grantedFeatures.includes(feature)
+                  ? '✅'
+                  : `❌ <a href="/auth?features=${feature}&login_hint=${encodeURIComponent(userInfo.email)}">Connect</a>`}</li>
+              `).join('')}
             </ul>
           </div>
 
-          ${missingPermissions.length > 0 ? `
+          ${deniedFeatures.length > 0 ? `
             <div class="warning">
-              <strong>⚠️ Some permissions are missing.</strong><br>
-              Data collection for ${missingPermissions.join(', ')} may not work properly.
+              <strong>⚠️ Some requested access was not granted.</strong><br>
+              Data collection for ${deniedFeatures.join(', ')} will be skipped until you connect it.
             </div>
           ` : ''}
           
@@ -418,10 +535,52 @@ app.get('/auth/callback', async (req, res) => {
   }
 });
 
+// Disconnect account: revoke Google tokens, deactivate the user and optionally purge their data
+// Users may disconnect themselves; admins may disconnect anyone
+app.post('/auth/revoke', requireScope('account:write'), async (req, res) => {
+  try {
+    const { email, user_id: userId, purge } = req.body;
+
+    if (!email && !userId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Either email or user_id is required'
+      });
+    }
+
+    const user = await accountDisconnectService.findUser({ userId, email });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only disconnect your own account' });
+    }
+
+    const report = await accountDisconnectService.disconnectUser(user, {
+      purge: purge === true || purge === 'true',
+      requestedBy: req.auth.email,
+      requestedVia: 'api'
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    logger.error('Error disconnecting account:', error);
+    res.status(500).json({ error: 'Failed to disconnect account' });
+  }
+});
+
 // System statistics endpoint
-app.get('/stats', async (req, res) => {
-  try {    const stats = await getDashboardStats();
-    const activeUsers = await getAllActiveUsers();
+app.get('/stats', requireAdmin, async (req, res) => {
+  try {
+    if (!req.auth.orgId) {
+      return res.status(403).json({ error: 'Your account does not belong to a registered organization' });
+    }
+    const stats = await getDashboardStats(req.auth.orgId);
+    const activeUsers = await getAllActiveUsers(req.auth.orgId);
     
     res.json({
       timestamp: new Date().toISOString(),
@@ -438,7 +597,7 @@ app.get('/stats', async (req, res) => {
 });
 
 // User-specific stats endpoint
-app.get('/user/:email/stats', async (req, res) => {
+app.get('/user/:email/stats', requireScope('stats:read'), async (req, res) => {
   try {
     const { email } = req.params;    const user = await getUserByEmail(email);
     
@@ -446,8 +605,12 @@ app.get('/user/:email/stats', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (!canAccessUser(req, user)) {
+      return res.status(403).json({ error: 'You can only view your own statistics' });
+    }
+
     const stats = await getUserStats(user.id);
-    const recentLogs = await getRecentSyncLogs(user.id);
+    const recentLogs = await getRecentSyncLogs(user.id, 10, parseSyncLogFilters(req.query));
     
     res.json({
       user: {
@@ -464,6 +627,44 @@ app.get('/user/:email/stats', async (req, res) => {
   }
 });
 
+// Pub/Sub push receiver. Each notification triggers a fetch of just the mailbox or Chat space
+// it names. A 2xx response acknowledges the message; errors make Pub/Sub redeliver it later.
+app.post(PUSH_PATH, async (req, res) => {
+  let service;
+  try {
+    service = getPushService();
+  } catch (error) {
+    logger.error('Failed to initialize push service:', error);
+    return res.status(503).json({ error: 'Push ingestion is unavailable' });
+  }
+
+  try {
+    await service.verifyRequest({ token: req.query.token, authorization: req.headers.authorization });
+  } catch (error) {
+    logger.warn(`Rejected push delivery: ${error.message}`);
+    return res.status(error.code === 'PUSH_NOT_CONFIGURED' ? 503 : 401).json({ error: error.message });
+  }
+
+  try {
+    const result = await service.handlePush(req.body);
+    logger.info(`Push ${req.body.message.messageId || ''}: ${JSON.stringify(result)}`);
+    res.status(result.handled ? 200 : 202).json(result);
+  } catch (error) {
+    if (error.code === 'PUSH_INVALID') {
+      // Redelivering a malformed message won't help - acknowledge and drop it
+      logger.warn(`Dropped invalid push message: ${error.message}`);
+      return res.status(202).json({ handled: false, reason: error.message });
+    }
+    if (error.code === 'PUSH_BUSY') {
+      // Pub/Sub redelivers with backoff once the other run has let go of the lock
+      logger.info(`Deferred push notification: ${error.message}`);
+      return res.status(503).json({ error: error.message });
+    }
+    logger.error('Error handling push notification:', error);
+    res.status(500).json({ error: 'Failed to process notification' });
+  }
+});
+
 // Message rewrite endpoint
 app.post('/api/rewrite-message', async (req, res) => {
   try {
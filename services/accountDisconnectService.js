@@ -0,0 +1,86 @@
+require('dotenv').config();
+const winston = require('winston');
+
+const GoogleAuthManager = require('../utils/googleAuth');
+const {
+  getUserById,
+  getUserByEmail,
+  deactivateUser,
+  purgeUserData,
+  createDeletionReport
+} = require('../utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+class AccountDisconnectService {
+  constructor(googleAuth = null) {
+    this.googleAuth = googleAuth || new GoogleAuthManager();
+  }
+
+  // Find the user by id or email
+  async findUser({ userId, email }) {
+    if (userId) return await getUserById(userId);
+    if (email) return await getUserByEmail(email);
+    return null;
+  }
+
+  // Revoke the user's Google grant, mark them inactive and optionally purge their stored data.
+  // Every call writes a DeletionReport, which is returned as the audit record. requestedBy must be
+  // the authenticated caller - this is destructive and never runs on behalf of an anonymous request.
+  async disconnectUser(user, { purge = false, requestedBy, requestedVia }) {
+    if (!requestedBy) {
+      const error = new Error('Disconnecting an account requires an authenticated requester');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+    logger.info(`Disconnecting ${user.email} (purge=${purge}, requested by ${requestedBy} via ${requestedVia})`);
+
+    const report = {
+      org_id: user.org_id,
+      user_id: user._id,
+      email: user.email,
+      requested_by: requestedBy,
+      requested_via: requestedVia,
+      purge_requested: purge
+    };
+
+    // Revoke before deactivating - deactivateUser drops the stored tokens
+    const revokeResult = await this.googleAuth.revokeTokens({
+      auth_mode: user.auth_mode,
+      access_token: user.access_token,
+      refresh_token: user.refresh_token
+    });
+    report.token_revoked = revokeResult.revoked;
+    if (revokeResult.error) {
+      report.revoke_error = revokeResult.error;
+    }
+
+    await deactivateUser(user._id);
+
+    if (purge) {
+      report.deleted_counts = await purgeUserData(user);
+      logger.info(`Purged data for ${user.email}: ${JSON.stringify(report.deleted_counts)}`);
+    }
+
+    report.completed_at = new Date();
+    const savedReport = await createDeletionReport(report);
+
+    logger.info(`✅ Disconnected ${user.email}, report ${savedReport._id}`);
+    return savedReport;
+  }
+}
+
+module.exports = AccountDisconnectService;
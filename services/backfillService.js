@@ -0,0 +1,282 @@
+require('dotenv').config();
+const winston = require('winston');
+
+const GoogleAuthManager = require('../utils/googleAuth');
+const { isNearBudget } = require('../utils/apiUsage');
+const {
+  getAllActiveUsers,
+  getSpaces,
+  getSpacesWithCursors,
+  getStoredGmailMessageIds,
+  getChatReactionCounts,
+  createBackfillJob,
+  claimBackfillJob,
+  saveBackfillCheckpoint,
+  releaseBackfillJob,
+  getBackfillJob
+} = require('../utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// A job that fails this many runs in a row is marked failed instead of being retried
+const MAX_BACKFILL_ATTEMPTS = 5;
+
+function backfillError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_BACKFILL';
+  return error;
+}
+
+// Imports a date range of Chat or Gmail history for one user. Jobs advance page by page and
+// save a checkpoint after every page, so a run stopped by a deadline, timeout or restart
+// continues where it left off. Messages go through the same storage path as the regular sync,
+// but the incremental sync state (space cursors, Gmail history ID) is never touched.
+class BackfillService {
+  // fetcher is a DataFetcher; it's only needed to run jobs, not to create them
+  constructor(fetcher = null, googleAuth = null) {
+    this.fetcher = fetcher;
+    this.googleAuth = googleAuth || fetcher?.googleAuth || new GoogleAuthManager();
+  }
+
+  // Validate a request and queue the job. Without spaceIds a Chat backfill covers every space
+  // the user is a member of.
+  async createJob({ user, source, spaceIds = [], startDate, endDate, requestedBy }) {
+    if (!['chat', 'gmail'].includes(source)) {
+      throw backfillError('source must be chat or gmail');
+    }
+    const start = new Date(startDate);
+    const end = endDate ? new Date(endDate) : new Date();
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw backfillError('A valid date range is required (start before end)');
+    }
+    if (!this.googleAuth.hasFeature(user.granted_scopes, source)) {
+      throw backfillError(`${user.email} has not granted ${source} access`);
+    }
+
+    let jobSpaceIds = [];
+    if (source === 'chat') {
+      if (spaceIds.length > 0) {
+        const known = new Set((await getSpaces(user.org_id, { enabledOnly: false })).map(space => space.space_id));
+        const unknown = spaceIds.filter(spaceId => !known.has(spaceId));
+        if (unknown.length > 0) {
+          throw backfillError(`Unknown spaces: ${unknown.join(', ')}`);
+        }
+        jobSpaceIds = spaceIds;
+      } else {
+        jobSpaceIds = (await getSpacesWithCursors(user.org_id, user._id || user.id))
+          .filter(({ cursor }) => cursor && cursor.is_member !== false)
+          .map(({ space }) => space.space_id);
+      }
+      if (jobSpaceIds.length === 0) {
+        throw backfillError(`No Chat spaces to backfill for ${user.email}`);
+      }
+    }
+
+    const job = await createBackfillJob({
+      org_id: user.org_id,
+      user_id: user._id || user.id,
+      source,
+      space_ids: jobSpaceIds,
+      start_date: start,
+      end_date: end,
+      requested_by: requestedBy
+    });
+    logger.info(`Queued ${source} backfill ${job._id} for ${user.email} (${start.toISOString()} - ${end.toISOString()})`);
+    return job;
+  }
+
+  // Run one job (or the oldest waiting one) until it completes or the deadline passes.
+  // Returns the job as it was left, or null when there was nothing to run.
+  async runJob(jobId = null, { deadline = null } = {}) {
+    const job = await claimBackfillJob(jobId);
+    if (!job) return null;
+
+    try {
+      const [user] = await getAllActiveUsers(job.org_id, job.user_id);
+      if (!user) {
+        return await this.release(job, 'failed', 'User is inactive or needs re-authorization');
+      }
+      await this.fetcher.refreshUserTokens(user);
+
+      logger.info(`Running ${job.source} backfill ${job._id} for ${user.email}`);
+      const finished = job.source === 'chat'
+        ? await this.runChatBackfill(job, user, deadline)
+        : await this.runGmailBackfill(job, user, deadline);
+
+      return await this.release(job, finished ? 'completed' : 'pending');
+    } catch (error) {
+      logger.error(`Backfill ${job._id} failed: ${error.message}`, { stack: error.stack });
+      const status = job.attempts + 1 >= MAX_BACKFILL_ATTEMPTS ? 'failed' : 'pending';
+      return await this.release(job, status, error.message);
+    }
+  }
+
+  // End the run. A job cancelled while running keeps its cancelled state.
+  async release(job, status, lastError = null) {
+    const released = await releaseBackfillJob(job._id, status, lastError);
+    if (released) {
+      logger.info(`Backfill ${job._id} is ${released.status}: ${released.progress.messages_stored} messages from ${released.progress.pages_fetched} pages so far`);
+    }
+    return released || await getBackfillJob(job._id);
+  }
+
+  // Run waiting jobs one after another until none are left or the deadline passes
+  async runPendingJobs({ deadline = null } = {}) {
+    const jobs = [];
+    while (!deadline || Date.now() < deadline) {
+      const job = await this.runJob(null, { deadline });
+      if (!job) break;
+      jobs.push(job);
+      if (job.status === 'pending') break; // Out of time, or failed and waiting for a retry
+    }
+    return jobs;
+  }
+
+  // Save the checkpoint after a page. Returns false when the job should stop: it was cancelled,
+  // the deadline has passed or the API's quota budget is nearly used up.
+  async checkpoint(job, checkpoint, progress, deadline) {
+    const saved = await saveBackfillCheckpoint(job._id, checkpoint, progress);
+    Object.assign(job, { checkpoint: saved.checkpoint, progress: saved.progress });
+    logger.info(`Backfill ${job._id}: ${saved.progress.messages_stored} messages from ${saved.progress.pages_fetched} pages` +
+      (job.source === 'chat' ? `, ${saved.progress.spaces_done}/${job.space_ids.length} spaces done` : ''));
+    if (saved.status === 'cancelled') {
+      logger.info(`Backfill ${job._id} was cancelled`);
+      return false;
+    }
+    if (await isNearBudget(job.source)) {
+      logger.info(`Pausing backfill ${job._id}: the ${job.source} API budget is nearly used up`);
+      return false;
+    }
+    return !deadline || Date.now() < deadline;
+  }
+
+  // Returns true once every space has been imported
+  async runChatBackfill(job, user, deadline) {
+    const chatClient = this.googleAuth.createChatClient(user.google_tokens);
+    const spaces = new Map((await getSpaces(job.org_id, { enabledOnly: false })).map(space => [space.space_id, space]));
+    const filter = `createTime > "${job.start_date.toISOString()}" AND createTime < "${job.end_date.toISOString()}"`;
+
+    let { space_index: spaceIndex = 0, page_token: pageToken = null } = job.checkpoint || {};
+
+    while (spaceIndex < job.space_ids.length) {
+      const registered = spaces.get(job.space_ids[spaceIndex]);
+      const space = {
+        space_id: job.space_ids[spaceIndex],
+        space_name: registered?.space_name || job.space_ids[spaceIndex],
+        spaceType: registered?.space_type || 'SPACE'
+      };
+      const memberNames = Object.fromEntries((registered?.members || []).map(member => [member.id, member.name]));
+
+      let response;
+      try {
+        response = await this.googleAuth.executeWithRetry(() => chatClient.spaces.messages.list({
+          parent: space.space_id,
+          pageSize: 100,
+          orderBy: 'createTime asc',
+          filter,
+          showDeleted: true,
+          pageToken: pageToken || undefined
+        }), { api: 'chat' });
+      } catch (error) {
+        const status = error.response?.status || error.code;
+        if (status !== 403 && status !== 404) throw error;
+        // The space is gone or the user can't read it any more - move on to the next one
+        logger.warn(`Skipping ${space.space_name} in backfill ${job._id}: ${error.message}`);
+        spaceIndex++;
+        pageToken = null;
+        if (!await this.checkpoint(job, { space_index: spaceIndex, page_token: null }, { spaces_done: 1 }, deadline)) return false;
+        continue;
+      }
+
+      const messages = response.data.messages || [];
+      const storedReactionCounts = await getChatReactionCounts(user.id, messages.map(message => message.name));
+      const documents = [];
+      for (const message of messages) {
+        documents.push(await this.fetcher.buildChatMessage(user, space, message, memberNames, storedReactionCounts));
+      }
+      const stored = await this.fetcher.storeSpaceMessages(documents);
+
+      pageToken = response.data.nextPageToken || null;
+      const spaceDone = !pageToken;
+      if (spaceDone) spaceIndex++;
+
+      const keepGoing = await this.checkpoint(
+        job,
+        { space_index: spaceIndex, page_token: pageToken },
+        { pages_fetched: 1, messages_stored: stored, spaces_done: spaceDone ? 1 : 0 },
+        deadline
+      );
+      if (!keepGoing) return spaceIndex >= job.space_ids.length;
+    }
+    return true;
+  }
+
+  // Returns true once the whole date range has been imported. Messages that fail to fetch are kept
+  // on the checkpoint and tried again after the last page; the job can't complete until they are in.
+  async runGmailBackfill(job, user, deadline) {
+    const gmailClient = this.googleAuth.createGmailClient(user.google_tokens);
+    // Gmail's after:/before: take seconds since the epoch
+    const query = `after:${Math.floor(job.start_date.getTime() / 1000)} before:${Math.floor(job.end_date.getTime() / 1000)}`;
+    let pageToken = job.checkpoint?.page_token || null;
+    let retryIds = job.checkpoint?.retry_ids || [];
+    // A job resumed after its last page only has failed messages left
+    let listed = !pageToken && retryIds.length > 0;
+
+    while (!listed) {
+      const response = await this.googleAuth.executeWithRetry(() => gmailClient.users.messages.list({
+        userId: 'me',
+        maxResults: 100,
+        q: query,
+        pageToken: pageToken || undefined
+      }), { api: 'gmail' });
+
+      const messageIds = (response.data.messages || []).map(message => message.id);
+      const storedIds = await getStoredGmailMessageIds(user.id, messageIds);
+      const failedIds = new Set();
+      const stored = await this.fetcher.storeGmailMessages(gmailClient, user, messageIds.filter(id => !storedIds.has(id)), failedIds);
+      retryIds = [...new Set([...retryIds, ...failedIds])];
+
+      pageToken = response.data.nextPageToken || null;
+      listed = !pageToken;
+      const keepGoing = await this.checkpoint(
+        job,
+        { space_index: 0, page_token: pageToken, retry_ids: retryIds },
+        { pages_fetched: 1, messages_stored: stored },
+        deadline
+      );
+      if (!keepGoing) return listed && retryIds.length === 0;
+    }
+
+    if (retryIds.length === 0) return true;
+
+    const storedIds = await getStoredGmailMessageIds(user.id, retryIds);
+    const failedIds = new Set();
+    const stored = await this.fetcher.storeGmailMessages(gmailClient, user, retryIds.filter(id => !storedIds.has(id)), failedIds);
+    if (failedIds.size === 0) {
+      await this.checkpoint(job, { space_index: 0, page_token: null, retry_ids: [] }, { messages_stored: stored }, deadline);
+      return true;
+    }
+
+    // Saving progress resets the job's failed attempts, so only save when some messages got in;
+    // a message that never fetches eventually fails the job
+    if (failedIds.size < retryIds.length) {
+      await this.checkpoint(job, { space_index: 0, page_token: null, retry_ids: [...failedIds] }, { messages_stored: stored }, deadline);
+    }
+    throw new Error(`${failedIds.size} Gmail messages could not be fetched; they are retried on the next run`);
+  }
+}
+
+module.exports = BackfillService;
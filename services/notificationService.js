@@ -0,0 +1,58 @@
+require('dotenv').config();
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Sends user-facing notices. The dashboard always shows them (it reads the User record);
+// NOTIFICATION_WEBHOOK_URL additionally posts them to a Google Chat incoming webhook
+// (or any endpoint accepting {"text": "..."}).
+class NotificationService {
+  constructor() {
+    this.webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL || null;
+  }
+
+  // Returns the list of channels the notice went out on
+  async notifyReauthRequired(user, reauthUrl, reason) {
+    const channels = ['dashboard'];
+    const text = `🔐 PM Assistant lost access to ${user.email}'s Google account (${reason}). ` +
+      `Data collection is paused until access is granted again: ${reauthUrl}`;
+
+    if (this.webhookUrl) {
+      try {
+        await this.postToWebhook(text);
+        channels.push('webhook');
+      } catch (error) {
+        logger.error(`Failed to send re-auth notice for ${user.email} to webhook: ${error.message}`);
+      }
+    }
+
+    logger.info(`Re-auth notice for ${user.email} sent via ${channels.join(', ')}`);
+    return channels;
+  }
+
+  async postToWebhook(text) {
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+      body: JSON.stringify({ text })
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,453 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const winston = require('winston');
+
+const { mapWithConcurrency } = require('../utils/rateLimiter');
+const { HOST_ID } = require('../utils/jobLock');
+const {
+  getActiveOrganizations,
+  getOrganizationById,
+  getAllActiveUsers,
+  getUserByEmail,
+  getSpaces,
+  getSpaceMemberUserIds,
+  getPushSubscription,
+  getPushSubscriptionByName,
+  savePushSubscription,
+  recordPushNotification,
+  createJobRun,
+  finishJobRun
+} = require('../utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Pub/Sub topic (projects/{project}/topics/{topic}) that Gmail watches and Workspace Events
+// subscriptions publish to. Push ingestion is off while it isn't set.
+const PUBSUB_TOPIC = process.env.PUBSUB_TOPIC || null;
+
+// Subscriptions are renewed once they expire within this window (Gmail watches and Chat
+// subscriptions both last up to 7 days)
+const PUSH_RENEW_BEFORE_MS = (parseInt(process.env.PUSH_RENEW_BEFORE_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Pushed changes run the organization's analysis at most this often (0 leaves it to the fetch cycle)
+const PUSH_ANALYSIS_INTERVAL_MS = parseInt(process.env.PUSH_ANALYSIS_INTERVAL_MINUTES ?? '5', 10) * 60 * 1000;
+
+// Chat changes a space subscription is notified about
+const CHAT_EVENT_TYPES = [
+  'google.workspace.chat.message.v1.created',
+  'google.workspace.chat.message.v1.updated',
+  'google.workspace.chat.message.v1.deleted',
+  'google.workspace.chat.reaction.v1.created',
+  'google.workspace.chat.reaction.v1.deleted'
+];
+
+const LIFECYCLE_EVENT_PREFIX = 'google.workspace.events.subscription.v1.';
+
+function pushError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Turns Pub/Sub push deliveries into targeted fetches: a Gmail notification syncs that mailbox's
+// history, a Workspace Events notification fetches the one Chat space that changed. Also creates
+// and renews the Gmail watches and Chat space subscriptions that produce the notifications.
+// The regular fetch cycle keeps running as a safety net for missed or late notifications.
+class PushService {
+  // fetcher is a DataFetcher; it's only needed to handle notifications, not to manage subscriptions
+  constructor(fetcher = null, googleAuth = null) {
+    this.fetcher = fetcher;
+    this.googleAuth = googleAuth || fetcher?.googleAuth;
+    // Fetches in progress by mailbox or space, so a burst of notifications causes one rerun at most
+    this.inFlight = new Map();
+    this.lastAnalysisAt = new Map();
+  }
+
+  isEnabled() {
+    return !!PUBSUB_TOPIC;
+  }
+
+  // Check that a delivery comes from our Pub/Sub push subscription: by the ?token= configured on
+  // the push endpoint (PUBSUB_VERIFICATION_TOKEN), by the OIDC token Pub/Sub signs
+  // (PUBSUB_PUSH_AUDIENCE, optionally PUBSUB_PUSH_SERVICE_ACCOUNT), or both when both are set
+  async verifyRequest({ token, authorization }) {
+    const expectedToken = process.env.PUBSUB_VERIFICATION_TOKEN;
+    const audience = process.env.PUBSUB_PUSH_AUDIENCE;
+    if (!expectedToken && !audience) {
+      throw pushError('Push ingestion is not configured', 'PUSH_NOT_CONFIGURED');
+    }
+
+    if (expectedToken && !(token && safeEqual(token, expectedToken))) {
+      throw pushError('Invalid push verification token', 'PUSH_UNAUTHORIZED');
+    }
+
+    if (audience) {
+      const idToken = /^Bearer (.+)$/.exec(authorization || '')?.[1];
+      if (!idToken) throw pushError('Missing push OIDC token', 'PUSH_UNAUTHORIZED');
+      try {
+        const ticket = await this.googleAuth.createOAuth2Client().verifyIdToken({ idToken, audience });
+        const payload = ticket.getPayload();
+        const serviceAccount = process.env.PUBSUB_PUSH_SERVICE_ACCOUNT;
+        if (!payload.email_verified || (serviceAccount && payload.email !== serviceAccount)) {
+          throw new Error(`unexpected signer ${payload.email}`);
+        }
+      } catch (error) {
+        throw pushError(`Invalid push OIDC token: ${error.message}`, 'PUSH_UNAUTHORIZED');
+      }
+    }
+  }
+
+  // Handle one push delivery ({ message: { data, attributes, messageId }, subscription }).
+  // Returns what was done; throws PUSH_INVALID for bodies that aren't Pub/Sub messages.
+  async handlePush(body) {
+    const message = body?.message;
+    if (!message || typeof message !== 'object') {
+      throw pushError('Not a Pub/Sub push message', 'PUSH_INVALID');
+    }
+
+    const attributes = message.attributes || {};
+    let data = {};
+    if (message.data) {
+      try {
+        data = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+      } catch (error) {
+        throw pushError(`Undecodable message data: ${error.message}`, 'PUSH_INVALID');
+      }
+    }
+
+    // Workspace Events are CloudEvents; their metadata travels in ce-* attributes
+    if (attributes['ce-type']) {
+      return await this.handleWorkspaceEvent(attributes, data);
+    }
+    if (data.emailAddress && /^\d+$/.test(String(data.historyId))) {
+      return await this.handleGmailNotification(data);
+    }
+
+    logger.warn(`Ignoring unrecognized push message ${message.messageId || ''}`);
+    return { handled: false, reason: 'unrecognized message' };
+  }
+
+  // { emailAddress, historyId } - the mailbox changed up to historyId
+  async handleGmailNotification({ emailAddress, historyId }) {
+    const email = String(emailAddress).toLowerCase();
+    const storedUser = await getUserByEmail(email);
+    const [user] = storedUser ? await getAllActiveUsers(null, storedUser._id) : [];
+    if (!user || !this.googleAuth.hasFeature(user.granted_scopes, 'gmail')) {
+      logger.warn(`Ignoring Gmail notification for ${email}: no active user with Gmail access`);
+      return { handled: false, reason: 'unknown mailbox' };
+    }
+
+    await recordPushNotification('gmail_watch', email);
+    // Redelivered and out-of-order notifications may already be covered by the last sync
+    if (user.gmail_history_id && BigInt(historyId) <= BigInt(user.gmail_history_id)) {
+      return { handled: true, kind: 'gmail', target: email, changed: 0 };
+    }
+
+    const changed = await this.runCoalesced(`gmail:${user.id}`, async () => {
+      // Re-read the user: a previous run may have moved the history ID on
+      const [current] = await getAllActiveUsers(null, user.id);
+      if (!current) return 0;
+      return await this.runPushFetch([current], 'gmail', () => this.fetcher.collectGmailData(current));
+    });
+    await this.analyzeAfterPush(user.org_id, changed);
+    return { handled: true, kind: 'gmail', target: email, changed };
+  }
+
+  async handleWorkspaceEvent(attributes, data) {
+    const type = attributes['ce-type'];
+    if (type.startsWith(LIFECYCLE_EVENT_PREFIX)) {
+      return await this.handleLifecycleEvent(type.slice(LIFECYCLE_EVENT_PREFIX.length), attributes, data);
+    }
+
+    // ce-subject is the space the event happened in: //chat.googleapis.com/spaces/{id}
+    const spaceId = /\/\/chat\.googleapis\.com\/(spaces\/[^/]+)/.exec(attributes['ce-subject'] || '')?.[1];
+    if (!type.startsWith('google.workspace.chat.') || !spaceId) {
+      logger.warn(`Ignoring Workspace event ${type} for ${attributes['ce-subject'] || 'unknown subject'}`);
+      return { handled: false, reason: 'unsupported event' };
+    }
+
+    await recordPushNotification('chat_space', spaceId);
+    const changed = await this.runCoalesced(`chat:${spaceId}`, () => this.fetchChatSpace(spaceId));
+    return { handled: true, kind: 'chat', target: spaceId, event: type, changed };
+  }
+
+  // Fetch the space for every active user syncing it - each user keeps their own copy
+  async fetchChatSpace(spaceId) {
+    const users = [];
+    for (const userId of await getSpaceMemberUserIds(spaceId)) {
+      const [user] = await getAllActiveUsers(null, userId);
+      if (user && this.googleAuth.hasFeature(user.granted_scopes, 'chat')) users.push(user);
+    }
+    if (users.length === 0) {
+      logger.warn(`Chat event for ${spaceId} but no active user syncs that space`);
+      return 0;
+    }
+
+    const changedOrgs = new Set();
+    const changed = await this.runPushFetch(users, 'chat', (user) => this.fetcher.collectChatData(user, { spaceIds: [spaceId] }), {
+      onChanged: user => changedOrgs.add(String(user.org_id))
+    });
+    for (const orgId of changedOrgs) {
+      await this.analyzeAfterPush(orgId, changed);
+    }
+    return changed;
+  }
+
+  // Fetch one source for the given users as a 'push' run, under the same per-user locks as the
+  // fetch cycle. Throws PUSH_BUSY when a user was locked by another run, so the notification is
+  // redelivered later instead of being lost.
+  async runPushFetch(users, source, fetch, { onChanged = null } = {}) {
+    const run = await createJobRun('push', HOST_ID);
+    let changed = 0;
+    let locked = 0;
+    let runError = null;
+    try {
+      const results = await mapWithConcurrency(users, users.length, async (user) => {
+        await this.fetcher.refreshUserTokens(user);
+        return await this.fetcher.collectSource(run, user, source, () => fetch(user));
+      });
+      results.forEach(({ value, error }, index) => {
+        if (error) {
+          logger.error(`Push ${source} fetch failed for ${users[index].email}: ${error.message}`);
+          runError = runError || error;
+        } else if (value === null) {
+          locked++;
+        } else if (value > 0) {
+          changed += value;
+          if (onChanged) onChanged(users[index]);
+        }
+      });
+    } finally {
+      await finishJobRun(run._id).catch(error => logger.error(`Failed to close run ${run._id}: ${error.message}`));
+    }
+
+    if (runError && users.length === 1) throw runError;
+    if (locked > 0) {
+      throw pushError(`${source} is being collected by another run for ${locked} user(s)`, 'PUSH_BUSY');
+    }
+    return changed;
+  }
+
+  // expirationReminder / expired / suspended notices about one of our Chat subscriptions
+  async handleLifecycleEvent(event, attributes, data) {
+    // ce-source is //workspaceevents.googleapis.com/subscriptions/{id}
+    const subscriptionName = /(subscriptions\/[^/]+)$/.exec(attributes['ce-source'] || data.subscription?.name || '')?.[1];
+    const subscription = subscriptionName ? await getPushSubscriptionByName(subscriptionName) : null;
+    if (!subscription) {
+      logger.warn(`Lifecycle event ${event} for unknown subscription ${subscriptionName || ''}`);
+      return { handled: false, reason: 'unknown subscription' };
+    }
+
+    logger.info(`Subscription ${subscriptionName} for ${subscription.target}: ${event}`);
+    if (event === 'expirationReminder') {
+      await this.renewSubscription(subscription);
+    } else if (event === 'expired' || event === 'suspended') {
+      await savePushSubscription(subscription.kind, subscription.target, {
+        status: event,
+        last_error: data.subscription?.suspensionReason || null
+      });
+    }
+    return { handled: true, kind: 'lifecycle', target: subscription.target, event };
+  }
+
+  // Run task for a key unless it is already running; notifications that arrive meanwhile make
+  // the running task go round once more instead of starting a parallel fetch
+  async runCoalesced(key, task) {
+    const running = this.inFlight.get(key);
+    if (running) {
+      running.again = true;
+      return await running.promise;
+    }
+
+    const entry = { again: false };
+    entry.promise = (async () => {
+      let total = 0;
+      try {
+        do {
+          entry.again = false;
+          total += await task();
+        } while (entry.again);
+        return total;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+    this.inFlight.set(key, entry);
+    return await entry.promise;
+  }
+
+  // Refresh the organization's suggestions after pushed changes, throttled per organization
+  async analyzeAfterPush(orgId, changed) {
+    if (!(changed > 0) || !(PUSH_ANALYSIS_INTERVAL_MS > 0) || !orgId) return;
+    const key = String(orgId);
+    if (Date.now() - (this.lastAnalysisAt.get(key) || 0) < PUSH_ANALYSIS_INTERVAL_MS) return;
+    this.lastAnalysisAt.set(key, Date.now());
+
+    try {
+      const organization = await getOrganizationById(orgId);
+      if (organization) {
+        await this.fetcher.llmAnalyzer.analyzeMessagesForResponsePrediction(organization);
+      }
+    } catch (error) {
+      logger.error(`Analysis after push failed: ${error.message}`);
+    }
+  }
+
+  // Make sure every active Gmail user has a watch and every enabled Chat space someone syncs has
+  // a subscription, renewing the ones close to expiry. Run from the fetch cycle.
+  async ensureSubscriptions() {
+    if (!this.isEnabled()) return { created: 0, renewed: 0, failed: 0 };
+    const counts = { created: 0, renewed: 0, failed: 0 };
+    const count = (result) => { if (result) counts[result]++; };
+
+    for (const organization of await getActiveOrganizations()) {
+      const users = await getAllActiveUsers(organization._id);
+
+      for (const user of users.filter(user => this.googleAuth.hasFeature(user.granted_scopes, 'gmail'))) {
+        count(await this.ensureGmailWatch(user));
+      }
+
+      const chatUsers = new Map(users
+        .filter(user => this.googleAuth.hasFeature(user.granted_scopes, 'chat'))
+        .map(user => [String(user.id), user]));
+      if (chatUsers.size === 0) continue;
+
+      for (const space of await getSpaces(organization._id)) {
+        if (space.archived_at) continue;
+        const memberIds = (await getSpaceMemberUserIds(space.space_id)).map(String);
+        const members = memberIds.filter(id => chatUsers.has(id)).map(id => chatUsers.get(id));
+        if (members.length > 0) {
+          count(await this.ensureChatSubscription(space.space_id, members));
+        }
+      }
+    }
+
+    if (counts.created + counts.renewed + counts.failed > 0) {
+      logger.info(`Push subscriptions: ${counts.created} created, ${counts.renewed} renewed, ${counts.failed} failed`);
+    }
+    return counts;
+  }
+
+  needsRenewal(subscription) {
+    return !subscription.expires_at || subscription.expires_at.getTime() - Date.now() < PUSH_RENEW_BEFORE_MS;
+  }
+
+  // Returns 'created', 'renewed', 'failed' or null when nothing had to be done
+  async ensureGmailWatch(user) {
+    const existing = await getPushSubscription('gmail_watch', user.email);
+    if (existing?.status === 'active' && existing.topic === PUBSUB_TOPIC && !this.needsRenewal(existing)) {
+      return null;
+    }
+
+    try {
+      await this.fetcher?.refreshUserTokens(user);
+      const watch = await this.googleAuth.watchGmail(user.google_tokens, PUBSUB_TOPIC);
+      await savePushSubscription('gmail_watch', user.email, {
+        org_id: user.org_id,
+        user_id: user.id,
+        topic: PUBSUB_TOPIC,
+        status: 'active',
+        expires_at: new Date(Number(watch.expiration)),
+        renewed_at: new Date(),
+        last_error: null
+      });
+      return existing ? 'renewed' : 'created';
+    } catch (error) {
+      logger.error(`Gmail watch failed for ${user.email}: ${error.message}`);
+      await savePushSubscription('gmail_watch', user.email, {
+        org_id: user.org_id, user_id: user.id, topic: PUBSUB_TOPIC, status: 'failed', last_error: error.message
+      });
+      return 'failed';
+    }
+  }
+
+  // members are the active Chat users syncing the space; the subscription's owner is kept while
+  // they are still one of them
+  async ensureChatSubscription(spaceId, members) {
+    const existing = await getPushSubscription('chat_space', spaceId);
+    const owner = members.find(member => String(member.id) === String(existing?.user_id)) || members[0];
+    const usable = existing?.subscription_name && existing.topic === PUBSUB_TOPIC &&
+      String(existing.user_id) === String(owner.id);
+
+    if (usable && existing.status === 'active' && !this.needsRenewal(existing)) return null;
+
+    try {
+      await this.fetcher?.refreshUserTokens(owner);
+      let subscription = null;
+      if (usable && existing.status !== 'expired') {
+        try {
+          subscription = existing.status === 'suspended'
+            ? await this.googleAuth.reactivateEventSubscription(owner.google_tokens, existing.subscription_name)
+            : await this.googleAuth.renewEventSubscription(owner.google_tokens, existing.subscription_name);
+        } catch (error) {
+          // Deleted on Google's side - create a new one below
+          if ((error.response?.status || error.code) !== 404) throw error;
+        }
+      }
+      const created = !subscription;
+      if (created) {
+        subscription = await this.googleAuth.createEventSubscription(owner.google_tokens, {
+          targetResource: `//chat.googleapis.com/${spaceId}`,
+          eventTypes: CHAT_EVENT_TYPES,
+          pubsubTopic: PUBSUB_TOPIC
+        });
+      }
+      if (!subscription) throw new Error('the subscription operation has not finished yet');
+
+      await savePushSubscription('chat_space', spaceId, {
+        org_id: owner.org_id,
+        user_id: owner.id,
+        subscription_name: subscription.name,
+        topic: PUBSUB_TOPIC,
+        status: 'active',
+        expires_at: subscription.expireTime ? new Date(subscription.expireTime) : null,
+        renewed_at: new Date(),
+        last_error: null
+      });
+      return created && !existing ? 'created' : 'renewed';
+    } catch (error) {
+      logger.error(`Chat subscription for ${spaceId} failed: ${error.message}`);
+      await savePushSubscription('chat_space', spaceId, {
+        org_id: owner.org_id, user_id: owner.id, topic: PUBSUB_TOPIC, status: 'failed', last_error: error.message
+      });
+      return 'failed';
+    }
+  }
+
+  // Renew one subscription now, e.g. on an expirationReminder
+  async renewSubscription(subscription) {
+    const [owner] = await getAllActiveUsers(subscription.org_id, subscription.user_id);
+    if (!owner) {
+      await savePushSubscription(subscription.kind, subscription.target, {
+        status: 'expired', last_error: 'Owner is inactive or needs re-authorization'
+      });
+      return 'failed';
+    }
+    if (subscription.kind === 'gmail_watch') {
+      return await this.ensureGmailWatch(owner);
+    }
+    await savePushSubscription(subscription.kind, subscription.target, { expires_at: null }); // Force the renewal
+    return await this.ensureChatSubscription(subscription.target, [owner]);
+  }
+}
+
+module.exports = PushService;
@@ -0,0 +1,142 @@
+require('dotenv').config();
+const winston = require('winston');
+const {
+  connectToMongoDB,
+  Organization,
+  User,
+  GmailMessage,
+  ChatMessage,
+  ChatThread,
+  LLMAnalysisResult,
+  DeletionReport,
+  createOrganization,
+  mongoose
+} = require('./utils/mongodb');
+const { encryptToken } = require('./utils/tokenCrypto');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Registers an organization (or updates an existing one with the same domain) and attaches
+// existing users of that domain - plus their messages - to it.
+// Passing --legacy also claims analysis results stored before organizations existed.
+async function setupOrganization({ name, domain, slug, timezone, llm, legacy = false }) {
+  await connectToMongoDB();
+
+  domain = domain.toLowerCase();
+  slug = slug || domain.split('.')[0];
+
+  let organization = await Organization.findOne({ domain });
+  if (organization) {
+    organization.name = name || organization.name;
+    if (timezone) organization.settings.timezone = timezone;
+    if (llm) organization.llm = { ...llm, api_key: encryptToken(llm.api_key) };
+    await organization.save();
+    logger.info(`Updated organization ${organization.slug} (${domain})`);
+  } else {
+    organization = await createOrganization({
+      name: name || domain,
+      slug,
+      domain,
+      settings: timezone ? { timezone } : {},
+      llm
+    });
+    logger.info(`🏢 Created organization ${organization.slug} (${domain})`);
+  }
+
+  // Attach users of this domain that aren't in an organization yet
+  const domainPattern = new RegExp(`@${domain.replace(/\./g, '\\.')}$`, 'i');
+  const users = await User.find({ email: domainPattern, org_id: null }, { _id: 1 });
+  const userIds = users.map(user => user._id);
+
+  // updateMany skips the save hooks so updated_at reflects real user activity only
+  const summary = {
+    users: (await User.updateMany({ _id: { $in: userIds } }, { $set: { org_id: organization._id } })).modifiedCount,
+    chat_messages: (await ChatMessage.updateMany({ user_id: { $in: userIds }, org_id: null }, { $set: { org_id: organization._id } })).modifiedCount,
+    chat_threads: (await ChatThread.updateMany({ user_id: { $in: userIds }, org_id: null }, { $set: { org_id: organization._id } })).modifiedCount,
+    gmail_messages: (await GmailMessage.updateMany({ user_id: { $in: userIds }, org_id: null }, { $set: { org_id: organization._id } })).modifiedCount,
+    deletion_reports: (await DeletionReport.updateMany({ email: domainPattern, org_id: null }, { $set: { org_id: organization._id } })).modifiedCount,
+    llm_results: 0
+  };
+
+  if (legacy) {
+    summary.llm_results = (await LLMAnalysisResult.updateMany({ org_id: null }, { $set: { org_id: organization._id } })).modifiedCount;
+  }
+
+  logger.info(`Attached ${summary.users} users, ${summary.chat_messages} chat messages, ` +
+    `${summary.gmail_messages} Gmail messages, ${summary.deletion_reports} deletion reports ` +
+    `and ${summary.llm_results} analysis results`);
+
+  return { organization, summary };
+}
+
+// Read "--flag value" pairs from the command line
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// Command line interface
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.domain) {
+    console.log('Usage: npm run setup-org -- --domain example.com [--name "Example Team"] [--slug example]');
+    console.log('         [--timezone Asia/Kolkata] [--legacy]');
+    console.log('         [--llm-endpoint URL --llm-api-key KEY [--llm-deployment NAME] [--llm-api-version VERSION]]');
+    process.exit(1);
+  }
+
+  const llm = args['llm-endpoint'] && args['llm-api-key'] ? {
+    endpoint: args['llm-endpoint'],
+    api_key: args['llm-api-key'],
+    deployment: args['llm-deployment'],
+    api_version: args['llm-api-version']
+  } : null;
+
+  try {
+    await setupOrganization({
+      name: args.name,
+      domain: args.domain,
+      slug: args.slug,
+      timezone: args.timezone,
+      llm,
+      legacy: args.legacy === true
+    });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Organization setup failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { setupOrganization };
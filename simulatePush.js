@@ -0,0 +1,157 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const winston = require('winston');
+const { getPushSubscriptions, mongoose } = require('./utils/mongodb');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/api/push/pubsub`;
+
+// Read "--flag value" pairs from the command line
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next === undefined || next.startsWith('--') ? true : argv[++i];
+  }
+  return args;
+}
+
+// Wrap a payload the way a Pub/Sub push subscription delivers it
+function buildEnvelope(data, attributes = {}) {
+  return {
+    message: {
+      data: Buffer.from(JSON.stringify(data)).toString('base64'),
+      attributes,
+      messageId: `sim-${crypto.randomBytes(6).toString('hex')}`,
+      publishTime: new Date().toISOString()
+    },
+    subscription: 'projects/local/subscriptions/push-simulator'
+  };
+}
+
+// What Gmail publishes after a users.watch: the mailbox and its latest history ID
+function buildGmailPush(emailAddress, historyId) {
+  return buildEnvelope({ emailAddress, historyId: String(historyId) });
+}
+
+// A Workspace Events CloudEvent about a Chat space; event is e.g. message.created or reaction.deleted
+function buildChatPush(spaceId, event = 'message.created', subscriptionName = 'subscriptions/simulated') {
+  const [resource, action] = event.split('.');
+  return buildEnvelope({}, {
+    'ce-id': crypto.randomUUID(),
+    'ce-specversion': '1.0',
+    'ce-type': `google.workspace.chat.${resource}.v1.${action}`,
+    'ce-source': `//workspaceevents.googleapis.com/${subscriptionName}`,
+    'ce-subject': `//chat.googleapis.com/${spaceId}`,
+    'ce-time': new Date().toISOString()
+  });
+}
+
+// A subscription lifecycle event: expirationReminder, expired or suspended
+function buildLifecyclePush(subscriptionName, event = 'expirationReminder') {
+  return buildEnvelope({ subscription: { name: subscriptionName } }, {
+    'ce-id': crypto.randomUUID(),
+    'ce-specversion': '1.0',
+    'ce-type': `google.workspace.events.subscription.v1.${event}`,
+    'ce-source': `//workspaceevents.googleapis.com/${subscriptionName}`,
+    'ce-time': new Date().toISOString()
+  });
+}
+
+// POST envelopes to the receiver one after another, as Pub/Sub would deliver them
+async function replayPushes(envelopes, { url = DEFAULT_URL, token = process.env.PUBSUB_VERIFICATION_TOKEN } = {}) {
+  const target = new URL(url);
+  if (token) target.searchParams.set('token', token);
+
+  const results = [];
+  for (const envelope of envelopes) {
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(envelope)
+    });
+    const body = await response.text();
+    logger.info(`${envelope.message?.messageId || 'message'} -> ${response.status} ${body}`);
+    results.push({ status: response.status, body });
+  }
+  return results;
+}
+
+// Envelopes from a JSON file holding one envelope or an array of them (e.g. captured deliveries)
+function loadEnvelopes(file) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(content) ? content : [content];
+}
+
+// Command line interface
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.list && !args.gmail && !args.chat && !args.lifecycle && !args.file) {
+    console.log('Usage: npm run simulate-push -- --gmail jane@example.com [--history-id 123456]');
+    console.log('       npm run simulate-push -- --chat spaces/AAAA [--event message.created|message.updated|message.deleted|reaction.created]');
+    console.log('       npm run simulate-push -- --lifecycle subscriptions/xyz [--event expirationReminder|expired|suspended]');
+    console.log('       npm run simulate-push -- --file payloads.json');
+    console.log('       npm run simulate-push -- --list');
+    console.log(`       [--url ${DEFAULT_URL}] [--count 1]`);
+    process.exit(1);
+  }
+
+  try {
+    if (args.list) {
+      for (const subscription of await getPushSubscriptions()) {
+        logger.info(`${subscription.kind} ${subscription.target} [${subscription.status}] ` +
+          `${subscription.subscription_name || ''} expires ${subscription.expires_at ? subscription.expires_at.toISOString() : 'unknown'}`);
+      }
+      await mongoose.disconnect();
+      process.exit(0);
+    }
+
+    let envelopes;
+    if (args.file) {
+      envelopes = loadEnvelopes(args.file);
+    } else {
+      const count = parseInt(args.count, 10) || 1;
+      envelopes = Array.from({ length: count }, () => {
+        if (args.gmail) return buildGmailPush(args.gmail, args['history-id'] || Date.now());
+        if (args.chat) return buildChatPush(args.chat, args.event === true ? undefined : args.event);
+        return buildLifecyclePush(args.lifecycle, args.event === true ? undefined : args.event);
+      });
+    }
+
+    await replayPushes(envelopes, { url: args.url || DEFAULT_URL });
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Push simulation failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildGmailPush,
+  buildChatPush,
+  buildLifecyclePush,
+  replayPushes
+};
@@ -2,7 +2,7 @@ require('dotenv').config();
 const winston = require('winston');
 const { google } = require('googleapis');
 const GoogleAuthManager = require('./utils/googleAuth');
-const { connectToMongoDB, getAllActiveUsers } = require('./utils/mongodb');
+const { connectToMongoDB, getAllActiveUsers, getEmailDomain } = require('./utils/mongodb');
 
 // Configure logger for detailed output
 const logger = winston.createLogger({
@@ -41,6 +41,7 @@ class ChatAPITester {
       }
 
       const user = users[0]; // Get first user
+      this.userDomain = getEmailDomain(user.email);
       logger.info(`👤 Testing with user: ${user.email}`);
 
       // Refresh tokens if needed
@@ -628,7 +629,7 @@ class ChatAPITester {
       // Try to list users in the domain
       try {
         const usersResponse = await directoryClient.users.list({
-          domain: 'iitkgp.ac.in', // Your domain
+          domain: this.userDomain, // The tested user's Workspace domain
           maxResults: 5
         });
         
@@ -686,7 +687,7 @@ class ChatAPITester {
       // Try to access organization directory only if we have admin access
       if (adminCheck.hasAdminAccess) {
         try {
-          const directoryData = await this.googleAuth.fetchOrganizationDirectory(tokens, 10);
+          const directoryData = await this.googleAuth.fetchOrganizationDirectory(tokens, this.userDomain, 10);
           
           console.log('\n🏢 ORGANIZATION DIRECTORY DATA:');
           console.log('='.repeat(60));
@@ -1,8 +1,6 @@
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
 const winston = require('winston');
-const { connectToMongoDB, ChatMessage } = require('./utils/mongodb');
+const { connectToMongoDB, ChatMessage, Space, SpaceCursor, getOrganizationBySlug, mongoose } = require('./utils/mongodb');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -19,18 +17,25 @@ const logger = winston.createLogger({
   ]
 });
 
+// Rebuilds the per-user space cursors from the chat messages already stored in MongoDB.
+// Useful after restoring messages or if cursors fell behind: each cursor is moved up to the
+// newest stored message the user has in that space (never backwards).
 class SpaceLatestMessageUpdater {
-  constructor() {
-    this.spacesFilePath = path.join(__dirname, 'spaces_with_space_types.json');
-    this.outputFilePath = path.join(__dirname, 'spaces_with_latest_messages.json');
+  constructor({ orgSlug = null } = {}) {
+    this.orgSlug = orgSlug;
   }
 
   async loadSpacesData() {
     try {
-      logger.info('📂 Loading spaces data from JSON file...');
-      const data = await fs.readFile(this.spacesFilePath, 'utf8');
-      const spaces = JSON.parse(data);
-      logger.info(`✅ Loaded ${spaces.length} spaces from file`);
+      logger.info('📂 Loading spaces from MongoDB...');
+      const filter = { enabled: { $ne: false } };
+      if (this.orgSlug) {
+        const organization = await getOrganizationBySlug(this.orgSlug);
+        if (!organization) throw new Error(`Unknown organization: ${this.orgSlug}`);
+        filter.org_id = organization._id;
+      }
+      const spaces = await Space.find(filter, null, { sort: { space_name: 1 } });
+      logger.info(`✅ Loaded ${spaces.length} spaces`);
       return spaces;
     } catch (error) {
       logger.error('❌ Error loading spaces data:', error.message);
@@ -38,29 +43,27 @@ class SpaceLatestMessageUpdater {
     }
   }
 
-  async getLatestMessageTimeForSpace(spaceId) {
+  // Newest stored message time per user in a space
+  async getLatestMessageTimesForSpace(spaceId) {
     try {
-      const latestMessage = await ChatMessage.findOne(
-        { space_id: spaceId },
-        { message_time: 1 },
-        { sort: { message_time: -1 } }
-      );
-      
-      return latestMessage?.message_time || null;
+      return await ChatMessage.aggregate([
+        { $match: { space_id: spaceId } },
+        { $group: { _id: '$user_id', latest_message_time: { $max: '$message_time' } } }
+      ]);
     } catch (error) {
-      logger.error(`❌ Error fetching latest message for space ${spaceId}:`, error.message);
-      return null;
+      logger.error(`❌ Error fetching latest messages for space ${spaceId}:`, error.message);
+      return [];
     }
   }
 
   async updateSpacesWithLatestMessages() {
     try {
-      logger.info('🚀 Starting spaces update with latest message times...');
+      logger.info('🚀 Starting space cursor update with latest message times...');
       
       // Connect to MongoDB
       await connectToMongoDB();
       
-      // Load spaces data
+      // Load spaces
       const spaces = await this.loadSpacesData();
       
       // Process each space
@@ -69,46 +72,53 @@ class SpaceLatestMessageUpdater {
       
       for (let i = 0; i < spaces.length; i++) {
         const space = spaces[i];
-        const spaceId = space.space_id;
         
         logger.info(`📊 Processing space ${i + 1}/${spaces.length}: ${space.space_name}`);
         
-        // Get latest message time for this space
-        const latestMessageTime = await this.getLatestMessageTimeForSpace(spaceId);
-        
-        // Create updated space object
-        const updatedSpace = {
-          ...space,
-          latest_message_time: latestMessageTime
-        };
+        const latestPerUser = await this.getLatestMessageTimesForSpace(space.space_id);
+        let cursorsUpdated = 0;
+
+        for (const { _id: userId, latest_message_time: latestMessageTime } of latestPerUser) {
+          // $max only moves cursors forward; a newer cursor already covers these messages
+          const result = await SpaceCursor.updateOne(
+            { user_id: userId, space_id: space.space_id },
+            {
+              $max: { last_message_time: latestMessageTime },
+              $setOnInsert: { has_new_msg: false, updated_at: new Date() }
+            },
+            { upsert: true }
+          );
+          cursorsUpdated += result.modifiedCount + result.upsertedCount;
+        }
+
+        const latestMessageTime = latestPerUser.reduce(
+          (latest, entry) => (!latest || entry.latest_message_time > latest ? entry.latest_message_time : latest),
+          null
+        );
         
-        updatedSpaces.push(updatedSpace);
+        updatedSpaces.push({
+          space_id: space.space_id,
+          space_name: space.space_name,
+          total_members: space.total_members,
+          latest_message_time: latestMessageTime,
+          cursors_updated: cursorsUpdated
+        });
         
         // Log result
         if (latestMessageTime) {
-          logger.info(`  ✅ Latest message: ${latestMessageTime.toISOString()}`);
+          logger.info(`  ✅ Latest message: ${latestMessageTime.toISOString()} (${cursorsUpdated} cursors updated)`);
         } else {
           logger.info(`  ⚠️ No messages found in this space`);
         }
       }
       
-      // Save updated data
-      logger.info('💾 Saving updated spaces data...');
-      await fs.writeFile(
-        this.outputFilePath, 
-        JSON.stringify(updatedSpaces, null, 2),
-        'utf8'
-      );
-      
-      logger.info(`✅ Successfully saved updated data to: ${this.outputFilePath}`);
-      
       // Display summary
       this.displaySummary(updatedSpaces);
       
       return updatedSpaces;
       
     } catch (error) {
-      logger.error('❌ Error updating spaces with latest messages:', error.message);
+      logger.error('❌ Error updating space cursors with latest messages:', error.message);
       throw error;
     }
   }
@@ -176,28 +186,25 @@ class SpaceLatestMessageUpdater {
     try {
       logger.info('🔍 Validating results...');
       
-      // Check if output file exists
-      const data = await fs.readFile(this.outputFilePath, 'utf8');
-      const spaces = JSON.parse(data);
+      const spaces = await this.loadSpacesData();
       
-      // Validate structure
-      let validSpaces = 0;
-      let spacesWithLatestTime = 0;
+      // Every space with stored messages should have at least one cursor
+      let spacesWithCursors = 0;
+      let totalCursors = 0;
       
       for (const space of spaces) {
-        if (space.space_id && space.space_name && space.hasOwnProperty('latest_message_time')) {
-          validSpaces++;
-          if (space.latest_message_time !== null) {
-            spacesWithLatestTime++;
-          }
+        const cursorCount = await SpaceCursor.countDocuments({ space_id: space.space_id });
+        totalCursors += cursorCount;
+        if (cursorCount > 0) {
+          spacesWithCursors++;
         }
       }
       
       logger.info(`✅ Validation complete:`);
-      logger.info(`   Valid spaces: ${validSpaces}/${spaces.length}`);
-      logger.info(`   Spaces with latest_message_time: ${spacesWithLatestTime}/${spaces.length}`);
+      logger.info(`   Spaces with sync cursors: ${spacesWithCursors}/${spaces.length}`);
+      logger.info(`   Total sync cursors: ${totalCursors}`);
       
-      return { validSpaces, spacesWithLatestTime, totalSpaces: spaces.length };
+      return { spacesWithCursors, totalCursors, totalSpaces: spaces.length };
       
     } catch (error) {
       logger.error('❌ Validation failed:', error.message);
@@ -209,7 +216,8 @@ class SpaceLatestMessageUpdater {
 // Command line interface
 async function main() {
   try {
-    const updater = new SpaceLatestMessageUpdater();
+    const orgIndex = process.argv.indexOf('--org');
+    const updater = new SpaceLatestMessageUpdater({ orgSlug: orgIndex !== -1 ? process.argv[orgIndex + 1] : null });
     
     logger.info('🎯 Starting spaces latest message update process...');
     
@@ -220,15 +228,16 @@ async function main() {
     await updater.validateResults();
     
     logger.info('🎉 Script completed successfully!');
+    await mongoose.disconnect();
     process.exit(0);
     
   } catch (error) {
     logger.error('❌ Script failed:', error.message);
     console.log('\n💡 This script:');
-    console.log('   1. Reads spaces from spaces_and_members_updated.json');
-    console.log('   2. Queries MongoDB for latest message_time for each space');
-    console.log('   3. Adds latest_message_time field to each space');
-    console.log('   4. Saves results to spaces_with_latest_messages.json');
+    console.log('   1. Reads enabled spaces from the Space collection (optionally --org <slug>)');
+    console.log('   2. Queries MongoDB for each user\'s latest message_time in each space');
+    console.log('   3. Moves each user\'s SpaceCursor forward to that time');
+    console.log('   4. Run "npm run import-spaces" first if spaces still live in JSON files');
     process.exit(1);
   }
 }
@@ -0,0 +1,179 @@
+const {
+  getSessionByToken,
+  findActiveApiToken,
+  getUserById,
+  getOrganizationForEmail
+} = require('./mongodb');
+
+// Authentication and role-based authorization shared by server.js and dashboard.js.
+// Callers are identified either by a dashboard session cookie (Google sign-in) or by a
+// scoped API token sent as "Authorization: Bearer pmk_...".
+
+const SESSION_COOKIE = 'pm_session';
+const SESSION_TTL_HOURS = 12;
+
+// Scopes a signed-in dashboard user gets; admins additionally get 'admin'
+const SESSION_SCOPES = ['stats:read', 'messages:read', 'analysis:read', 'account:write'];
+
+// Minimal Cookie header parser (avoids pulling in cookie-parser for one cookie)
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) continue;
+    const name = part.slice(0, separatorIndex).trim();
+    const value = part.slice(separatorIndex + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+// Emails listed in ADMIN_EMAILS are admins even before their User record says so
+function resolveRole(user, email) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+  const candidateEmail = (user?.email || email || '').toLowerCase();
+  if (user?.role === 'admin' || adminEmails.includes(candidateEmail)) {
+    return 'admin';
+  }
+  return 'user';
+}
+
+// Only allow same-origin relative paths as post-login redirect targets
+function sanitizeRedirectTarget(target) {
+  if (typeof target !== 'string' || !target.startsWith('/') || target.startsWith('//') || target.includes('\\')) {
+    return null;
+  }
+  return target;
+}
+
+function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000
+  };
+}
+
+// Resolve the caller and attach req.auth = { type, userId, orgId, email, role, scopes }.
+// Anonymous requests pass through with req.auth = null; use requireAuth to reject them.
+async function authenticate(req, res, next) {
+  req.auth = null;
+  try {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer pmk_')) {
+      const apiToken = await findActiveApiToken(authHeader.slice('Bearer '.length));
+      const owner = apiToken ? await getUserById(apiToken.user_id) : null;
+      // Tokens stop working once their owner disconnects their account
+      if (!owner || owner.is_active === false) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+
+      const role = resolveRole(owner);
+      req.auth = {
+        type: 'token',
+        tokenId: String(apiToken._id),
+        userId: String(owner._id),
+        orgId: owner.org_id ? String(owner.org_id) : null,
+        email: owner.email,
+        role,
+        // A token can never exceed its owner's role
+        scopes: apiToken.scopes.filter(scope => scope !== 'admin' || role === 'admin')
+      };
+      return next();
+    }
+
+    const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionToken ? await getSessionByToken(sessionToken) : null;
+    if (session) {
+      const user = session.user_id ? await getUserById(session.user_id) : null;
+      const role = resolveRole(user, session.email);
+      // Signed-in people without a connected account still belong to their email domain's org
+      const orgId = user?.org_id || (await getOrganizationForEmail(session.email))?._id;
+      req.auth = {
+        type: 'session',
+        userId: user ? String(user._id) : null,
+        orgId: orgId ? String(orgId) : null,
+        email: session.email,
+        role,
+        scopes: role === 'admin' ? [...SESSION_SCOPES, 'admin'] : SESSION_SCOPES
+      };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Reject anonymous callers. Browser page requests are redirected to loginPath when given.
+function requireAuth({ loginPath = null } = {}) {
+  return (req, res, next) => {
+    if (req.auth) return next();
+    if (loginPath && req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+      return res.redirect(`${loginPath}?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({ error: 'Authentication required' });
+  };
+}
+
+function hasScope(req, scope) {
+  return !!req.auth && req.auth.scopes.includes(scope);
+}
+
+function isAdmin(req) {
+  return !!req.auth && req.auth.role === 'admin' && hasScope(req, 'admin');
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({ error: `Missing required scope: ${scope}` });
+    }
+    next();
+  };
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+  if (!isAdmin(req)) return res.status(403).json({ error: 'Admin access required' });
+  next();
+}
+
+// Users may only see their own data; admins may see everyone's within their organization
+function canAccessUser(req, user) {
+  if (!req.auth || !user) return false;
+  if (!!req.auth.userId && req.auth.userId === String(user._id || user.id)) return true;
+  return isAdmin(req) && isSameOrganization(req, user.org_id);
+}
+
+function isSameOrganization(req, orgId) {
+  return !!req.auth && !!req.auth.orgId && !!orgId && req.auth.orgId === String(orgId);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  SESSION_SCOPES,
+  parseCookies,
+  resolveRole,
+  sanitizeRedirectTarget,
+  sessionCookieOptions,
+  authenticate,
+  requireAuth,
+  requireScope,
+  requireAdmin,
+  hasScope,
+  isAdmin,
+  isSameOrganization,
+  canAccessUser
+};
@@ -0,0 +1,160 @@
+// Google API call accounting. Every client GoogleAuthManager hands out counts its calls by API,
+// method and user. Counts are buffered in memory and added to per-minute and per-day totals in
+// MongoDB every API_USAGE_FLUSH_SECONDS (and at the end of each fetch cycle).
+//
+// GOOGLE_API_MINUTE_BUDGETS / GOOGLE_API_DAILY_BUDGETS format: "chat:3000,gmail:1000000" - calls the
+// whole project may make per minute / per UTC day. GOOGLE_API_USER_MINUTE_BUDGETS is the same for
+// each user. Low-priority work (backfills, space member lookups) is deferred once usage reaches
+// QUOTA_DEFER_THRESHOLD of a budget. APIs without a budget are never deferred.
+
+const { incrementApiUsage, getApiUsageCount } = require('./mongodb');
+
+const FLUSH_INTERVAL_MS = (parseInt(process.env.API_USAGE_FLUSH_SECONDS, 10) || 10) * 1000;
+const QUOTA_DEFER_THRESHOLD = parseFloat(process.env.QUOTA_DEFER_THRESHOLD) || 0.8;
+
+// Budget checks read MongoDB; an answer is reused for this long
+const BUDGET_CHECK_CACHE_MS = 15 * 1000;
+
+function parseBudgets(config = '') {
+  const budgets = {};
+  for (const entry of String(config || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [api, value] = entry.split(':');
+    const calls = parseInt(value, 10);
+    if (api && calls > 0) {
+      budgets[api.trim()] = calls;
+    }
+  }
+  return budgets;
+}
+
+const QUOTA_BUDGETS = {
+  minute: parseBudgets(process.env.GOOGLE_API_MINUTE_BUDGETS),
+  day: parseBudgets(process.env.GOOGLE_API_DAILY_BUDGETS),
+  user_minute: parseBudgets(process.env.GOOGLE_API_USER_MINUTE_BUDGETS)
+};
+
+// Start of the minute and of the UTC day a moment falls in
+function getUsageBuckets(date = new Date()) {
+  return {
+    minute: new Date(Math.floor(date.getTime() / 60000) * 60000),
+    day: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  };
+}
+
+// Counts not yet written to MongoDB, keyed by api|method|user|minute
+const pending = new Map();
+let flushTimer = null;
+
+function recordApiCall(api, method, user = null, count = 1) {
+  const { minute, day } = getUsageBuckets();
+  const key = [api, method, user || '', minute.getTime()].join('|');
+  const entry = pending.get(key) || { api, method, user: user || '', minute, day, count: 0 };
+  entry.count += count;
+  pending.set(key, entry);
+
+  if (!flushTimer && process.env.MONGODB_URI) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushApiUsage();
+    }, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+}
+
+// Write buffered counts to MongoDB. Counts that fail to save are kept for the next flush.
+async function flushApiUsage() {
+  if (pending.size === 0 || !process.env.MONGODB_URI) return;
+  const entries = [...pending.values()];
+  pending.clear();
+
+  try {
+    await incrementApiUsage(entries);
+  } catch (error) {
+    console.error(`Failed to store Google API usage: ${error.message}`);
+    for (const entry of entries) {
+      const key = [entry.api, entry.method, entry.user, entry.minute.getTime()].join('|');
+      const current = pending.get(key);
+      pending.set(key, current ? { ...current, count: current.count + entry.count } : entry);
+    }
+  }
+}
+
+// Calls this process has counted but not written yet
+function getPendingCount(api, period, bucket, user = null) {
+  let count = 0;
+  for (const entry of pending.values()) {
+    if (entry.api === api && entry[period].getTime() === bucket.getTime() && (!user || entry.user === user)) {
+      count += entry.count;
+    }
+  }
+  return count;
+}
+
+const budgetChecks = new Map();
+
+// Whether api has used up QUOTA_DEFER_THRESHOLD of its per-minute or per-day budget, or of the
+// user's per-minute budget when a user is given. A failed check doesn't hold work back.
+async function isNearBudget(api, user = null) {
+  const key = `${api}|${user || ''}`;
+  const cached = budgetChecks.get(key);
+  if (cached && Date.now() - cached.at < BUDGET_CHECK_CACHE_MS) return cached.near;
+
+  const { minute, day } = getUsageBuckets();
+  const checks = [
+    { period: 'minute', bucket: minute, user: null, budget: QUOTA_BUDGETS.minute[api] },
+    { period: 'day', bucket: day, user: null, budget: QUOTA_BUDGETS.day[api] },
+    { period: 'minute', bucket: minute, user, budget: user ? QUOTA_BUDGETS.user_minute[api] : null }
+  ].filter(check => check.budget > 0);
+
+  let near = false;
+  try {
+    for (const check of checks) {
+      const used = await getApiUsageCount({ period: check.period, bucket: check.bucket, api, user: check.user }) +
+        getPendingCount(api, check.period, check.bucket, check.user);
+      if (used >= check.budget * QUOTA_DEFER_THRESHOLD) {
+        near = true;
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to check the ${api} API budget: ${error.message}`);
+  }
+
+  budgetChecks.set(key, { near, at: Date.now() });
+  return near;
+}
+
+// Wrap a googleapis client so every method call is counted under its method path,
+// e.g. spaces.messages.list for the Chat client. The proxy sits on an empty object inheriting from
+// the client: googleapis defines resources as read-only properties, which a proxy of the client
+// itself would have to return unwrapped.
+function instrumentClient(client, api, user = null, path = []) {
+  return new Proxy(Object.create(client), {
+    get(target, property) {
+      const value = client[property];
+      if (typeof property !== 'string' || property === 'context' || property.startsWith('_')) {
+        return value;
+      }
+      if (typeof value === 'function') {
+        return (...args) => {
+          recordApiCall(api, [...path, property].join('.'), user);
+          return value.apply(client, args);
+        };
+      }
+      if (value && typeof value === 'object') {
+        return instrumentClient(value, api, user, [...path, property]);
+      }
+      return value;
+    }
+  });
+}
+
+module.exports = {
+  recordApiCall,
+  flushApiUsage,
+  isNearBudget,
+  instrumentClient,
+  getUsageBuckets,
+  QUOTA_BUDGETS,
+  QUOTA_DEFER_THRESHOLD
+};
@@ -0,0 +1,165 @@
+// Turns a Gmail API message (format: 'full') into clean, storable fields.
+// The MIME tree is walked for the message body - text/plain when present, otherwise text/html
+// converted to text - and the body is cut at the quoted history and signature so only what the
+// sender actually wrote this time is kept.
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// Lines that start the quoted history of a reply or forward
+const QUOTE_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/i, // Gmail, Apple Mail
+  /^-{2,}\s*Original Message\s*-{2,}/i, // Outlook
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/, // Outlook web separator
+  /^From:\s.+$/i // Outlook "From: ... Sent: ..." header block
+];
+
+// Lines that start a signature
+const SIGNATURE_PATTERNS = [
+  /^--\s*$/, // RFC 3676 delimiter "-- "
+  /^Sent from my \w+/i,
+  /^Get Outlook for \w+/i
+];
+
+function decodeBase64Url(data) {
+  if (!data) return '';
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function getHeader(headers, name) {
+  return (headers || []).find(header => header.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+// Depth-first list of every MIME part, the payload itself included
+function flattenParts(part, parts = []) {
+  if (!part) return parts;
+  parts.push(part);
+  for (const child of part.parts || []) {
+    flattenParts(child, parts);
+  }
+  return parts;
+}
+
+// Attachments live in parts with a filename; their data is fetched separately by attachment ID
+function isAttachmentPart(part) {
+  return !!part.filename && !!(part.body?.attachmentId || part.body?.data);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Plain text from an HTML body: scripts, styles and quoted blocks are dropped, block elements
+// become line breaks and every other tag is removed
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<div[^>]*class="?gmail_quote[\s\S]*$/i, '') // Gmail wraps the quoted history in div.gmail_quote
+      .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Cut the body at the first quoted-history header or signature and drop "> " quoted lines
+function stripQuotedText(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (SIGNATURE_PATTERNS.some(pattern => pattern.test(line))) break;
+    // Long "On <date>, <name> wrote:" headers get wrapped over two lines
+    if (/^On\s/i.test(line) && /wrote:\s*$/i.test((lines[i + 1] || '').trim())) break;
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line))) {
+      // "From:" only starts a quote when it is followed by the rest of a header block
+      if (/^From:/i.test(line) && !/^(Sent|Date|To|Subject):/i.test((lines[i + 1] || '').trim())) {
+        kept.push(lines[i]);
+        continue;
+      }
+      break;
+    }
+    if (line.startsWith('>')) continue;
+    kept.push(lines[i]);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// The message body as text, preferring text/plain over text/html
+function extractBody(payload) {
+  const parts = flattenParts(payload).filter(part => !isAttachmentPart(part) && part.body?.data);
+
+  const plainPart = parts.find(part => part.mimeType === 'text/plain');
+  if (plainPart) {
+    return { text: decodeBase64Url(plainPart.body.data), format: 'text' };
+  }
+
+  const htmlPart = parts.find(part => part.mimeType === 'text/html');
+  if (htmlPart) {
+    return { text: htmlToText(decodeBase64Url(htmlPart.body.data)), format: 'html' };
+  }
+
+  return { text: '', format: null };
+}
+
+function extractAttachments(payload) {
+  return flattenParts(payload)
+    .filter(isAttachmentPart)
+    .map(part => ({
+      filename: part.filename,
+      mime_type: part.mimeType || null,
+      size: part.body?.size || 0,
+      attachment_id: part.body?.attachmentId || null,
+      content_id: getHeader(part.headers, 'Content-ID').replace(/[<>]/g, '') || null
+    }));
+}
+
+// "<a@example.com> <b@example.com>" -> ['<a@example.com>', '<b@example.com>']
+function parseMessageIds(value) {
+  return value.match(/<[^>]+>/g) || [];
+}
+
+// Everything collectGmailData stores besides the sender, subject and date
+function parseGmailMessage(message) {
+  const headers = message.payload?.headers || [];
+  const body = extractBody(message.payload);
+
+  return {
+    content: stripQuotedText(body.text) || message.snippet || '',
+    body_format: body.format,
+    cc: getHeader(headers, 'Cc'),
+    bcc: getHeader(headers, 'Bcc'),
+    rfc822_message_id: getHeader(headers, 'Message-ID') || null,
+    in_reply_to: getHeader(headers, 'In-Reply-To') || null,
+    references: parseMessageIds(getHeader(headers, 'References')),
+    attachments: extractAttachments(message.payload)
+  };
+}
+
+module.exports = {
+  parseGmailMessage,
+  extractBody,
+  extractAttachments,
+  stripQuotedText,
+  htmlToText,
+  decodeBase64Url
+};
@@ -1,5 +1,23 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const { google } = require('googleapis');
 const winston = require('winston');
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const { createRateLimiters } = require('./rateLimiter');
+const {
+  createRetryPolicies,
+  classifyRetryableError,
+  getRetryAfterMs,
+  getBackoffDelay,
+  getHttpStatus,
+  getErrorReason,
+  getCircuitBreaker,
+  getCircuitBreakerStatus,
+  DEFAULT_RETRY_POLICY
+} = require('./retryPolicy');
+const { recordUpstreamEvent } = require('./mongodb');
+const { instrumentClient, recordApiCall } = require('./apiUsage');
+const { HOST_ID } = require('./jobLock');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -21,61 +39,194 @@ const logger = winston.createLogger({
 
 class GoogleAuthManager {
   constructor() {
-    if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-      throw new Error('Missing Google OAuth configuration. Please check GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET environment variables.');
+    // Service account with domain-wide delegation is an alternative to per-user OAuth
+    this.serviceAccountKey = this.loadServiceAccountKey();
+
+    if ((!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) && !this.serviceAccountKey) {
+      throw new Error('Missing Google OAuth configuration. Please check GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET environment variables, or configure GOOGLE_SERVICE_ACCOUNT_KEY_FILE.');
     }    this.clientId = process.env.GOOGLE_CLIENT_ID;
     this.clientSecret = process.env.GOOGLE_CLIENT_SECRET;
     
     // Use ngrok URL if available, otherwise fall back to localhost
-    const baseUrl = process.env.NGROK_URL || `http://localhost:${process.env.PORT || 3000}`;
-    this.redirectUri = `${baseUrl}/auth/callback`;    // Required scopes for Google Chat and Gmail APIs
-    this.scopes = [
-      'https://www.googleapis.com/auth/chat.spaces.readonly',
-      'https://www.googleapis.com/auth/chat.messages.readonly',
-      'https://www.googleapis.com/auth/chat.memberships.readonly',
-      'https://www.googleapis.com/auth/chat.admin.spaces.readonly',
-      'https://www.googleapis.com/auth/gmail.readonly',
-      'https://www.googleapis.com/auth/chat.admin.memberships.readonly',
+    this.baseUrl = process.env.NGROK_URL || `http://localhost:${process.env.PORT || 3000}`;
+    this.redirectUri = `${this.baseUrl}/auth/callback`;
+
+    // Scopes requested on every sign-in, just enough to identify the user
+    this.baseScopes = [
+      'openid',
       'https://www.googleapis.com/auth/userinfo.email',
-      'https://www.googleapis.com/auth/userinfo.profile',
-      'https://www.googleapis.com/auth/directory.readonly',
-      'https://www.googleapis.com/auth/contacts'
+      'https://www.googleapis.com/auth/userinfo.profile'
     ];
 
+    // Optional data sources. Each one is consented to separately through incremental
+    // authorization; add new sources here and gate their collection with hasFeature().
+    this.features = {
+      chat: {
+        label: 'Google Chat',
+        scopes: [
+          'https://www.googleapis.com/auth/chat.spaces.readonly',
+          'https://www.googleapis.com/auth/chat.messages.readonly',
+          'https://www.googleapis.com/auth/chat.memberships.readonly'
+        ]
+      },
+      chat_admin: {
+        label: 'Google Chat (admin view)',
+        scopes: [
+          'https://www.googleapis.com/auth/chat.admin.spaces.readonly',
+          'https://www.googleapis.com/auth/chat.admin.memberships.readonly'
+        ]
+      },
+      gmail: {
+        label: 'Gmail',
+        scopes: ['https://www.googleapis.com/auth/gmail.readonly']
+      },
+      directory: {
+        label: 'Organization directory',
+        scopes: ['https://www.googleapis.com/auth/directory.readonly']
+      }
+    };
+
+    // Workspace users impersonated through the service account, and the features delegated to it
+    this.delegatedUsers = (process.env.GOOGLE_DELEGATED_USERS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    this.delegatedFeatures = this.normalizeFeatures(process.env.GOOGLE_DELEGATED_FEATURES || 'chat,gmail');
+
+    // One limiter per API, shared by every fetch that runs in parallel (see GOOGLE_API_RATE_LIMITS)
+    this.rateLimiters = createRateLimiters(process.env.GOOGLE_API_RATE_LIMITS);
+    // Retry policy overrides per API (see GOOGLE_API_RETRY_POLICIES); circuit breakers are process-wide
+    this.retryPolicies = createRetryPolicies(process.env.GOOGLE_API_RETRY_POLICIES);
+
     logger.info('Google Auth Manager initialized successfully');
   }
 
-  // Create OAuth2 client
-  createOAuth2Client() {
+  // Load the service account key from GOOGLE_SERVICE_ACCOUNT_KEY (JSON) or GOOGLE_SERVICE_ACCOUNT_KEY_FILE (path)
+  loadServiceAccountKey() {
+    try {
+      if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+        return JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+      }
+      if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE) {
+        return JSON.parse(fs.readFileSync(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE, 'utf8'));
+      }
+    } catch (error) {
+      logger.error(`Failed to load service account key: ${error.message}`);
+      throw error;
+    }
+    return null;
+  }
+
+  isServiceAccountEnabled() {
+    return !!this.serviceAccountKey;
+  }
+
+  // Scopes the service account is authorized for in the Admin console (domain-wide delegation)
+  getDelegatedScopes() {
+    return this.getScopesForFeatures(this.delegatedFeatures);
+  }
+
+  // Credentials object for a delegated user - stands in for stored OAuth tokens
+  createDelegatedCredentials(email) {
+    return { auth_mode: 'service_account', subject: email };
+  }
+
+  // JWT client impersonating a Workspace user
+  createServiceAccountClient(subject) {
+    if (!this.serviceAccountKey) {
+      throw new Error('Service account is not configured. Please set GOOGLE_SERVICE_ACCOUNT_KEY_FILE.');
+    }
+    return new google.auth.JWT({
+      email: this.serviceAccountKey.client_email,
+      key: this.serviceAccountKey.private_key,
+      scopes: this.getDelegatedScopes(),
+      subject
+    });
+  }
+
+  // Create OAuth2 client. The dashboard sign-in passes its own redirect URI.
+  createOAuth2Client(redirectUri = this.redirectUri) {
     return new google.auth.OAuth2(
       this.clientId,
       this.clientSecret,
-      this.redirectUri
+      redirectUri
     );
   }
-  // Generate authorization URL
-  generateAuthUrl(state = null) {
+  // Generate a PKCE verifier/challenge pair for the authorization code flow
+  async generatePkcePair() {
     const oauth2Client = this.createOAuth2Client();
+    const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+    return { codeVerifier, codeChallenge };
+  }
+
+  // Keep only known feature names, e.g. from a comma separated query parameter
+  normalizeFeatures(features) {
+    const list = Array.isArray(features) ? features : String(features || '').split(',');
+    return [...new Set(list.map(f => f.trim()).filter(f => this.features[f]))];
+  }
+
+  // Scopes for the base sign-in plus the requested features
+  getScopesForFeatures(features = []) {
+    const scopes = [...this.baseScopes];
+    for (const feature of this.normalizeFeatures(features)) {
+      scopes.push(...this.features[feature].scopes);
+    }
+    return [...new Set(scopes)];
+  }
+
+  // A feature is available once every one of its scopes has been granted.
+  // Users stored before granular consent have no granted_scopes and were granted everything.
+  hasFeature(grantedScopes, feature) {
+    if (!this.features[feature]) return false;
+    if (!Array.isArray(grantedScopes)) return true;
+    return this.features[feature].scopes.every(scope => grantedScopes.includes(scope));
+  }
+
+  getGrantedFeatures(grantedScopes) {
+    return Object.keys(this.features).filter(feature => this.hasFeature(grantedScopes, feature));
+  }
+
+  // Generate authorization URL. Only the requested features are asked for; previously
+  // granted scopes are kept through include_granted_scopes.
+  // Sign-in only flows (dashboard login) pass accessType 'online' since they need no refresh token.
+  generateAuthUrl(state = null, codeChallenge = null, { features = [], forceConsent = false, loginHint = null, redirectUri, accessType = 'offline' } = {}) {
+    const oauth2Client = this.createOAuth2Client(redirectUri);
     
-    // Generate state if not provided
-    const finalState = state || Math.random().toString(36).substring(7);
+    // Generate an unguessable state if not provided
+    const finalState = state || crypto.randomBytes(24).toString('hex');
     
-    const authUrl = oauth2Client.generateAuthUrl({
-      access_type: 'offline',
-      scope: this.scopes,
-      prompt: 'consent', // Force consent to get refresh token
+    const authOptions = {
+      access_type: accessType,
+      scope: this.getScopesForFeatures(features),
+      include_granted_scopes: true,
       state: finalState
-    });
+    };
+
+    // Google only issues a new refresh token on a consent screen
+    if (forceConsent) {
+      authOptions.prompt = 'consent';
+    }
+
+    if (loginHint) {
+      authOptions.login_hint = loginHint;
+    }
+
+    if (codeChallenge) {
+      authOptions.code_challenge = codeChallenge;
+      authOptions.code_challenge_method = 'S256';
+    }
+
+    const authUrl = oauth2Client.generateAuthUrl(authOptions);
 
     logger.info(`Generated auth URL for Google OAuth with state: ${finalState}`);
     return { authUrl, state: finalState };
   }
 
   // Exchange authorization code for tokens
-  async exchangeCodeForTokens(code) {
+  async exchangeCodeForTokens(code, codeVerifier = null, redirectUri) {
     try {
-      const oauth2Client = this.createOAuth2Client();
-      const { tokens } = await oauth2Client.getToken(code);
+      const oauth2Client = this.createOAuth2Client(redirectUri);
+      const { tokens } = await oauth2Client.getToken(codeVerifier ? { code, codeVerifier } : code);
       
       // Set credentials for user info retrieval
       oauth2Client.setCredentials(tokens);
@@ -83,16 +234,20 @@ class GoogleAuthManager {
       // Get user info
       const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
       const { data: userInfo } = await oauth2.userinfo.get();
+      const person = await this.fetchOwnPerson(oauth2Client);
 
       logger.info(`Successfully exchanged code for tokens for user: ${userInfo.email}`);
       
       return {
-        tokens,
+        tokens: this.encryptCredentials(tokens),
         userInfo: {
+          id: userInfo.id,
           email: userInfo.email,
           name: userInfo.name,
-          picture: userInfo.picture
-        }
+          picture: userInfo.picture,
+          locale: userInfo.locale
+        },
+        profile: this.buildUserProfile(userInfo, person)
       };
     } catch (error) {
       logger.error('Error exchanging code for tokens:', error);
@@ -100,16 +255,99 @@ class GoogleAuthManager {
     }
   }
 
-  // Create authenticated client from stored tokens
+  // Encrypt access/refresh tokens so they never leave this class in plaintext
+  encryptCredentials(credentials) {
+    return {
+      ...credentials,
+      access_token: encryptToken(credentials.access_token),
+      refresh_token: encryptToken(credentials.refresh_token)
+    };
+  }
+
+  // Decrypt stored tokens - the only place plaintext tokens are handled
+  decryptCredentials(tokens) {
+    return {
+      ...tokens,
+      access_token: decryptToken(tokens.access_token),
+      refresh_token: decryptToken(tokens.refresh_token)
+    };
+  }
+
+  // Revoke the user's grant at Google. Revoking the refresh token also invalidates its access tokens.
+  async revokeTokens(tokens) {
+    if (tokens?.auth_mode === 'service_account') {
+      return { revoked: false, error: 'Delegated access is managed in the Workspace Admin console' };
+    }
+    const { access_token, refresh_token } = this.decryptCredentials(tokens);
+    const token = refresh_token || access_token;
+    if (!token) {
+      return { revoked: false, error: 'No token stored' };
+    }
+
+    try {
+      const oauth2Client = this.createOAuth2Client();
+      await oauth2Client.revokeToken(token);
+      logger.info('Revoked Google OAuth grant');
+      return { revoked: true };
+    } catch (error) {
+      // invalid_token means the grant is already gone (e.g. removed from the Google account page)
+      const reason = error.response?.data?.error || error.message;
+      if (reason === 'invalid_token') {
+        logger.info('Google OAuth grant was already revoked');
+        return { revoked: true, alreadyRevoked: true };
+      }
+      logger.error(`Error revoking Google OAuth grant: ${reason}`);
+      return { revoked: false, error: reason };
+    }
+  }
+
+  // Classify an error from token refresh or an API call. Returns a reason when the user has to
+  // go through consent again, or null for errors that may go away on the next cycle.
+  classifyAuthError(error) {
+    const oauthError = error?.response?.data?.error;
+    const description = error?.response?.data?.error_description || error?.message || '';
+
+    if (oauthError === 'invalid_grant' || /invalid_grant/.test(description)) {
+      if (/revoked/i.test(description)) return 'token_revoked';
+      if (/expired/i.test(description)) return 'token_expired';
+      return 'invalid_grant';
+    }
+    if (/no refresh token/i.test(description)) {
+      return 'missing_refresh_token';
+    }
+    return null;
+  }
+
+  // Link that sends a user back through consent for the features they had granted before
+  getReauthUrl(user) {
+    const params = new URLSearchParams({
+      features: this.getGrantedFeatures(user.granted_scopes).join(','),
+      consent: '1',
+      login_hint: user.email
+    });
+    return `${this.baseUrl}/auth?${params.toString()}`;
+  }
+
+  // Create authenticated client from stored (encrypted) tokens
+  // createChatClient/createGmailClient/etc. work the same way for both auth modes.
   createAuthenticatedClient(tokens) {
+    if (tokens?.auth_mode === 'service_account') {
+      return this.createServiceAccountClient(tokens.subject);
+    }
     const oauth2Client = this.createOAuth2Client();
-    oauth2Client.setCredentials(tokens);
+    oauth2Client.setCredentials(this.decryptCredentials(tokens));
     return oauth2Client;
   }
-  // Refresh access token if needed
+  // Refresh access token if needed. Returns the original tokens object when nothing changed,
+  // otherwise the new credentials encrypted for storage.
   async refreshTokenIfNeeded(tokens) {
+    // Service account clients mint their own short-lived tokens, nothing to store
+    if (tokens?.auth_mode === 'service_account') {
+      return tokens;
+    }
     try {
       const oauth2Client = this.createAuthenticatedClient(tokens);
+      const previousAccessToken = oauth2Client.credentials.access_token;
       
       // Use Google's built-in token management - getAccessToken() automatically refreshes if needed
       try {
@@ -119,37 +357,271 @@ class GoogleAuthManager {
         const updatedCredentials = oauth2Client.credentials;
         
         logger.info('Token validation and refresh completed successfully');
-        return updatedCredentials;
+        if (updatedCredentials.access_token === previousAccessToken) {
+          return tokens;
+        }
+        return this.encryptCredentials(updatedCredentials);
       } catch (refreshError) {
         // If automatic refresh fails, try manual refresh
         logger.info('Attempting manual token refresh');
         const { credentials } = await oauth2Client.refreshAccessToken();
-        return credentials;
+        return this.encryptCredentials(credentials);
       }
     } catch (error) {
       logger.error('Error refreshing token:', error);
       throw error;
     }
-  }// Create Google Chat API client
+  }
+
+  // The account API calls made with these tokens are counted for (see utils/apiUsage.js)
+  getUsageAccount(tokens) {
+    return tokens?.email || tokens?.subject || null;
+  }
+
+  // Create Google Chat API client
   createChatClient(tokens) {
     const auth = this.createAuthenticatedClient(tokens);
-    return google.chat({ version: 'v1', auth });
+    return instrumentClient(google.chat({ version: 'v1', auth }), 'chat', this.getUsageAccount(tokens));
   }
   // Create Google Gmail API client
   createGmailClient(tokens) {
     const auth = this.createAuthenticatedClient(tokens);
-    return google.gmail({ version: 'v1', auth });
+    return instrumentClient(google.gmail({ version: 'v1', auth }), 'gmail', this.getUsageAccount(tokens));
   }
 
   // Create Google People API client
   createPeopleClient(tokens) {
     const auth = this.createAuthenticatedClient(tokens);
-    return google.people({ version: 'v1', auth });
+    return instrumentClient(google.people({ version: 'v1', auth }), 'people', this.getUsageAccount(tokens));
   }
   // Create Google Admin Directory API client
   createDirectoryClient(tokens) {
     const auth = this.createAuthenticatedClient(tokens);
-    return google.admin({ version: 'directory_v1', auth });
+    return instrumentClient(google.admin({ version: 'directory_v1', auth }), 'admin', this.getUsageAccount(tokens));
+  }
+
+  // The signed-in user's own People API record. Best effort: the profile falls back to userinfo.
+  async fetchOwnPerson(auth) {
+    try {
+      const people = instrumentClient(google.people({ version: 'v1', auth }), 'people');
+      const { data } = await this.executeWithRetry(() => people.people.get({
+        resourceName: 'people/me',
+        personFields: 'names,photos,locales'
+      }), { api: 'people' });
+      return data;
+    } catch (error) {
+      logger.warn(`Could not read People API profile: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Map userinfo + People API data onto the stored profile fields.
+  // The Google account ID doubles as the Chat user ID (users/{id}).
+  buildUserProfile(userInfo, person = null) {
+    const primary = items => (items || []).find(item => item.metadata?.primary) || (items || [])[0];
+    const accountId = userInfo?.id || person?.resourceName?.replace('people/', '');
+
+    return {
+      google_id: accountId || null,
+      name: primary(person?.names)?.displayName || userInfo?.name || null,
+      avatar_url: userInfo?.picture || primary(person?.photos)?.url || null,
+      chat_user_id: accountId ? `users/${accountId}` : null,
+      locale: primary(person?.locales)?.value || userInfo?.locale || null
+    };
+  }
+
+  // Fetch the profile for stored credentials (used for delegated users, who never sign in)
+  async fetchUserProfile(tokens) {
+    const auth = this.createAuthenticatedClient(tokens);
+    const oauth2 = google.oauth2({ version: 'v2', auth });
+    const { data: userInfo } = await oauth2.userinfo.get();
+    const person = await this.fetchOwnPerson(auth);
+    return this.buildUserProfile(userInfo, person);
+  }
+
+  // All Chat spaces, group chats and DMs the user belongs to (spaces.list, every page)
+  async listChatSpaces(tokens) {
+    const chatClient = this.createChatClient(tokens);
+    const spaces = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.executeWithRetry(() => chatClient.spaces.list({
+        pageSize: 1000,
+        pageToken,
+        filter: 'spaceType = "SPACE" OR spaceType = "GROUP_CHAT" OR spaceType = "DIRECT_MESSAGE"'
+      }), { api: 'chat' });
+
+      for (const space of response.data.spaces || []) {
+        spaces.push({
+          space_id: space.name,
+          space_name: space.displayName || null, // Empty for DMs and unnamed group chats
+          // spaceType replaced the deprecated type (ROOM/DM) field
+          space_type: space.spaceType || (space.type === 'DM' ? 'DIRECT_MESSAGE' : 'SPACE')
+        });
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return spaces;
+  }
+
+  // Human members of a space as { id: 'users/...', name }. Names are often empty with user credentials.
+  async listSpaceMembers(tokens, spaceId) {
+    const chatClient = this.createChatClient(tokens);
+    const members = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.executeWithRetry(() => chatClient.spaces.members.list({
+        parent: spaceId,
+        pageSize: 100,
+        pageToken,
+        filter: 'member.type = "HUMAN"'
+      }), { api: 'chat' });
+
+      for (const membership of response.data.memberships || []) {
+        if (membership.member?.name) {
+          members.push({ id: membership.member.name, name: membership.member.displayName || null });
+        }
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return members;
+  }
+
+  // Emoji reactions on a message as { emoji, user_id: 'users/...' }. Custom emoji are stored as :name:.
+  async listMessageReactions(tokens, messageName) {
+    const chatClient = this.createChatClient(tokens);
+    const reactions = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.executeWithRetry(() => chatClient.spaces.messages.reactions.list({
+        parent: messageName,
+        pageSize: 200,
+        pageToken
+      }), { api: 'chat' });
+
+      for (const reaction of response.data.reactions || []) {
+        const emoji = reaction.emoji?.unicode ||
+          (reaction.emoji?.customEmoji ? `:${reaction.emoji.customEmoji.emojiName || reaction.emoji.customEmoji.uid}:` : null);
+        if (emoji && reaction.user?.name) {
+          reactions.push({ emoji, user_id: reaction.user.name });
+        }
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return reactions;
+  }
+
+  // Fetch up to 100 Gmail messages in one HTTP batch request. Returns the messages that came back
+  // and the IDs that didn't (rate limited or failed), so the caller can fetch those one by one.
+  async batchGetGmailMessages(tokens, messageIds, format = 'full') {
+    if (messageIds.length === 0) return { messages: [], failedIds: [] };
+
+    const auth = this.createAuthenticatedClient(tokens);
+    const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+    const body = messageIds.map((messageId, index) => [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index}>`,
+      '',
+      `GET /gmail/v1/users/me/messages/${encodeURIComponent(messageId)}?format=${format}`,
+      '',
+      ''
+    ].join('\r\n')).join('') + `--${boundary}--`;
+
+    // Quota is charged per message in the batch
+    const response = await this.executeWithRetry(() => {
+      recordApiCall('gmail', 'users.messages.get', this.getUsageAccount(tokens), messageIds.length);
+      return auth.request({
+        url: 'https://gmail.googleapis.com/batch/gmail/v1',
+      method: 'POST',
+        headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+        data: body,
+        responseType: 'text'
+      });
+    }, { api: 'gmail', cost: messageIds.length });
+
+    const responseBoundary = /boundary="?([^";]+)"?/i.exec(response.headers['content-type'] || '')?.[1];
+    const messages = [];
+    for (const part of String(response.data).split(`--${responseBoundary}`)) {
+      // Each part is an HTTP response: status line, headers, blank line, JSON body
+      if (!/HTTP\/1\.1 200/.test(part)) continue;
+      const jsonStart = part.indexOf('{');
+      if (jsonStart === -1) continue;
+      try {
+        messages.push(JSON.parse(part.slice(jsonStart, part.lastIndexOf('}') + 1)));
+      } catch (error) {
+        logger.warn(`Could not parse a Gmail batch response part: ${error.message}`);
+      }
+    }
+
+    const returnedIds = new Set(messages.map(message => message.id));
+    return { messages, failedIds: messageIds.filter(messageId => !returnedIds.has(messageId)) };
+  }
+
+  // Start (or renew) Gmail push notifications for the mailbox. Returns { historyId, expiration };
+  // a watch lasts 7 days and calling this again simply extends it.
+  async watchGmail(tokens, topicName) {
+    const gmailClient = this.createGmailClient(tokens);
+    const response = await this.executeWithRetry(() => gmailClient.users.watch({
+      userId: 'me',
+      requestBody: { topicName }
+    }), { api: 'gmail' });
+    return response.data;
+  }
+
+  // Workspace Events subscriptions (googleapis has no client for this API yet, so the REST
+  // endpoints are called directly). Create, renew and reactivate return long-running operations;
+  // they finish immediately in practice, and the subscription is null if one hasn't.
+  async requestWorkspaceEvents(tokens, path, { method = 'GET', params, data } = {}) {
+    const auth = this.createAuthenticatedClient(tokens);
+    // e.g. subscriptions.create, subscriptions.patch, subscriptions.reactivate
+    const usageMethod = `subscriptions.${path.split(':')[1] || { GET: 'get', POST: 'create', PATCH: 'patch', DELETE: 'delete' }[method]}`;
+    const response = await this.executeWithRetry(() => {
+      recordApiCall('events', usageMethod, this.getUsageAccount(tokens));
+      return auth.request({
+        url: `https://workspaceevents.googleapis.com/v1/${path}`,
+        method,
+        params,
+        data
+      });
+    }, { api: 'events' });
+    return response.data;
+  }
+
+  async createEventSubscription(tokens, { targetResource, eventTypes, pubsubTopic }) {
+    const operation = await this.requestWorkspaceEvents(tokens, 'subscriptions', {
+      method: 'POST',
+      data: {
+        targetResource,
+        eventTypes,
+        notificationEndpoint: { pubsubTopic },
+        // Events only name the changed resource; the fetcher reads it through the normal sync
+        payloadOptions: { includeResource: false }
+      }
+    });
+    return operation.done ? operation.response : null;
+  }
+
+  // Extend the subscription to the longest lifetime allowed (a ttl of 0s)
+  async renewEventSubscription(tokens, subscriptionName) {
+    const operation = await this.requestWorkspaceEvents(tokens, subscriptionName, {
+      method: 'PATCH',
+      params: { updateMask: 'ttl' },
+      data: { ttl: '0s' }
+    });
+    return operation.done ? operation.response : null;
+  }
+
+  // Suspended subscriptions (e.g. after a permission error) stop sending events until reactivated
+  async reactivateEventSubscription(tokens, subscriptionName) {
+    const operation = await this.requestWorkspaceEvents(tokens, `${subscriptionName}:reactivate`, { method: 'POST' });
+    return operation.done ? operation.response : null;
   }
 
   // Fetch user details by user ID using People API
@@ -160,10 +632,10 @@ class GoogleAuthManager {
       // Extract the numeric ID from the full user resource name
       const numericId = userId.replace('users/', '');
       
-      const response = await peopleClient.people.get({
+      const response = await this.executeWithRetry(() => peopleClient.people.get({
         resourceName: `people/${numericId}`,
         personFields: 'names,emailAddresses,photos,organizations,phoneNumbers'
-      });
+      }), { api: 'people' });
       
       return response.data;
     } catch (error) {
@@ -202,13 +674,13 @@ class GoogleAuthManager {
     }
   }
 
-  // Fetch organization directory data
-  async fetchOrganizationDirectory(tokens, maxResults = 50) {
+  // Fetch organization directory data for the organization's Workspace domain
+  async fetchOrganizationDirectory(tokens, domain, maxResults = 50) {
     try {
       const directoryClient = this.createDirectoryClient(tokens);
       
       const response = await directoryClient.users.list({
-        domain: 'iitkgp.ac.in', // Your organization domain
+        domain,
         maxResults: maxResults,
         orderBy: 'email'
       });
@@ -238,30 +710,80 @@ class GoogleAuthManager {
     }
   }
 
-  // Handle API rate limiting with exponential backoff
-  async executeWithRetry(apiCall, maxRetries = 3, baseDelay = 1000) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  // Run a Google API call with retries and the API's circuit breaker. Every attempt first waits for
+  // the API's rate limiter; cost is the number of calls in a batch request. Network resets, 429s,
+  // 5xx and per-minute quota 403s are retried following the API's policy (see utils/retryPolicy.js);
+  // maxRetries and baseDelay override it for one call. Throws CIRCUIT_OPEN while the API is paused.
+  async executeWithRetry(apiCall, { api = null, cost = 1, maxRetries = null, baseDelay = null } = {}) {
+    const policy = {
+      ...((api && this.retryPolicies[api]) || DEFAULT_RETRY_POLICY),
+      ...(maxRetries ? { maxRetries } : {}),
+      ...(baseDelay ? { baseDelayMs: baseDelay } : {})
+    };
+    const breaker = api ? getCircuitBreaker(api) : null;
+
+    for (let attempt = 1; ; attempt++) {
+      if (breaker && breaker.beforeCall() === 'half_open') {
+        logger.info(`Trying the ${api} API again after a pause`);
+        this.reportUpstreamEvent(api, { type: 'circuit_half_open' });
+      }
+
       try {
-        return await apiCall();
+        if (api && this.rateLimiters[api]) {
+          await this.rateLimiters[api].acquire(cost);
+        }
+        const result = await apiCall();
+        if (breaker?.recordSuccess()) this.reportUpstreamEvent(api, { type: 'circuit_closed' });
+        return result;
       } catch (error) {
-        if (error.code === 429 || error.code === 503) {
-          // Rate limited or service unavailable
-          if (attempt === maxRetries) {
-            logger.error(`Max retries reached for API call: ${error.message}`);
-            throw error;
-          }
+        const category = classifyRetryableError(error);
+        if (!category) {
+          // The API answered; the problem is with this request (not found, no permission, ...)
+          if (breaker?.recordSuccess()) this.reportUpstreamEvent(api, { type: 'circuit_closed' });
+          throw error;
+        }
+
+        const details = {
+          category,
+          status: getHttpStatus(error) || undefined,
+          reason: getErrorReason(error) || undefined,
+          attempt,
+          message: error.message
+        };
+        const retryAfterMs = getRetryAfterMs(error);
 
-          const delay = baseDelay * Math.pow(2, attempt - 1);
-          logger.warn(`Rate limited, retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
-          await this.sleep(delay);
-        } else {
-          // Other errors - don't retry
+        // A trial call after a pause gets one attempt; a long Retry-After isn't worth waiting for
+        if (attempt >= policy.maxRetries || breaker?.state === 'half_open' ||
+          (retryAfterMs !== null && retryAfterMs > policy.maxRetryAfterMs)) {
+          logger.error(`${api || 'API'} call failed after ${attempt} attempts: ${error.message}`);
+          this.reportUpstreamEvent(api, { type: 'failure', ...details });
+          if (breaker?.recordFailure(error) === 'open') {
+            logger.error(`Pausing ${api} API calls for ${breaker.cooldownMs / 1000}s after repeated failures`);
+            this.reportUpstreamEvent(api, { type: 'circuit_open', ...details, delay_ms: breaker.cooldownMs });
+          }
           throw error;
         }
+
+        const delay = retryAfterMs ?? getBackoffDelay(policy, attempt);
+        logger.warn(`${api || 'API'} call failed (${details.status || error.code || category}), retrying in ${delay}ms (attempt ${attempt}/${policy.maxRetries})`);
+        this.reportUpstreamEvent(api, { type: 'retry', ...details, delay_ms: delay });
+        await this.sleep(delay);
       }
     }
   }
 
+  // Store a retry, failure or breaker event for the dashboard. Never holds up or fails the API call.
+  reportUpstreamEvent(api, event) {
+    if (!api || !process.env.MONGODB_URI) return;
+    recordUpstreamEvent({ api, host: HOST_ID, ...event })
+      .catch(error => logger.warn(`Failed to record ${event.type} event for ${api}: ${error.message}`));
+  }
+
+  // Circuit breaker state of every API called so far in this process
+  getUpstreamStatus() {
+    return getCircuitBreakerStatus();
+  }
+
   // Helper method for delays
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -277,7 +799,7 @@ class GoogleAuthManager {
 
       // Test Chat API access - actually test spaces listing
       try {
-        const chat = google.chat({ version: 'v1', auth: oauth2Client });
+        const chat = instrumentClient(google.chat({ version: 'v1', auth: oauth2Client }), 'chat', this.getUsageAccount(tokens));
         // Test the actual API call that's failing
         await chat.spaces.list({ pageSize: 1 });
         permissions.chat = true;
@@ -289,7 +811,7 @@ class GoogleAuthManager {
 
       // Test Gmail API access
       try {
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        const gmail = instrumentClient(google.gmail({ version: 'v1', auth: oauth2Client }), 'gmail', this.getUsageAccount(tokens));
         await gmail.users.messages.list({ userId: 'me', maxResults: 1 });
         permissions.gmail = true;
         logger.info('Gmail API access verified successfully');
@@ -0,0 +1,47 @@
+// Lease locks in MongoDB so one unit of work (a user's Chat or Gmail sync, an organization's
+// analysis) runs in one place at a time, whichever process or serverless instance started it.
+// The holder renews its lease on a heartbeat; if it dies the lease runs out and the lock frees up.
+
+const os = require('os');
+const crypto = require('crypto');
+const { acquireJobLock, renewJobLock, releaseJobLock, getJobLock } = require('./mongodb');
+
+const JOB_LOCK_LEASE_MS = (parseInt(process.env.JOB_LOCK_LEASE_SECONDS, 10) || 120) * 1000;
+
+// Identifies this process in locks and runs
+const HOST_ID = `${os.hostname()}:${process.pid}`;
+
+// Run task while holding the lock for key. Returns { acquired: true, value } when it ran, or
+// { acquired: false, holder } when another owner holds the lock. Errors from task are rethrown
+// after the lock is released.
+async function runWithLock(key, task, { leaseMs = JOB_LOCK_LEASE_MS, runId = null } = {}) {
+  const owner = `${HOST_ID}:${crypto.randomBytes(4).toString('hex')}`;
+  if (!await acquireJobLock(key, owner, leaseMs, runId)) {
+    const lock = await getJobLock(key);
+    return { acquired: false, holder: lock?.owner || null };
+  }
+
+  let lost = false;
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!await renewJobLock(key, owner, leaseMs)) lost = true;
+    } catch (error) {
+      // A missed heartbeat is retried on the next beat; the lease outlasts a few of them
+    }
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+  heartbeat.unref();
+
+  try {
+    const value = await task();
+    return { acquired: true, value, lost };
+  } finally {
+    clearInterval(heartbeat);
+    await releaseJobLock(key, owner).catch(() => {});
+  }
+}
+
+module.exports = {
+  runWithLock,
+  HOST_ID,
+  JOB_LOCK_LEASE_MS
+};
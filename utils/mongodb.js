@@ -1,9 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const cron = require('node-cron');
 require('dotenv').config();
+const { encryptToken } = require('./tokenCrypto');
 
 // Connection state
 let isConnected = false;
 
+// Used when neither the user nor their organization has set a timezone
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5] }; // Mon-Fri, local time
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Sources with their own collection schedule (see utils/schedule.js)
+const SYNC_SOURCES = ['chat', 'gmail'];
+
 // Utility function to get local date
 function getLocalDate() {
   const now = new Date();
@@ -19,6 +30,34 @@ function toLocalDate(utcDate) {
   return new Date(date.getTime() - timezoneOffset);
 }
 
+// Format a date for display as DD/MM/YYYY, HH:MM:SS in the given timezone
+function formatDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+  return new Date(date).toLocaleString('en-IN', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).replace(/(\d{4})-(\d{2})-(\d{2}), (\d{2}):(\d{2}):(\d{2})/, '$3/$2/$1, $4:$5:$6');
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The user's own timezone, else their organization's, else the default
+function resolveTimezone(user, organization = null) {
+  return user?.timezone || organization?.settings?.timezone || DEFAULT_TIMEZONE;
+}
+
 // Connect to MongoDB
 async function connectToMongoDB() {
   if (isConnected) {
@@ -37,18 +76,94 @@ async function connectToMongoDB() {
   }
 }
 
+// Schedule settings, stored on users and organizations. Unset fields fall back to the
+// organization's settings, then to the defaults in utils/schedule.js.
+function scheduleDefinition(sources) {
+  const definition = {
+    quiet_hours: {
+      start: { type: String, match: TIME_OF_DAY_PATTERN }, // HH:MM local time; may cross midnight
+      end: { type: String, match: TIME_OF_DAY_PATTERN }
+    },
+    skip_weekends: { type: Boolean } // Skip days outside the working days
+  };
+  for (const source of sources) {
+    definition[source] = {
+      cron: { type: String }, // Five-field cron expression in local time
+      enabled: { type: Boolean },
+      working_hours_only: { type: Boolean }
+    };
+  }
+  return definition;
+}
+
+// Organization Schema - a client team; owns its users, messages, settings and LLM credentials
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  slug: { type: String, required: true, unique: true },
+  domain: { type: String, required: true, unique: true, lowercase: true }, // Google Workspace primary domain
+  settings: {
+    timezone: { type: String, default: 'Asia/Kolkata' },
+    sync_schedule: scheduleDefinition([...SYNC_SOURCES, 'analysis'])
+  },
+  last_analysis_at: { type: Date },
+  llm: {
+    endpoint: { type: String },
+    api_key: { type: String }, // Encrypted with the token encryption keys
+    deployment: { type: String },
+    api_version: { type: String }
+  },
+  is_active: { type: Boolean, default: true },
+  created_at: { type: Date, default: getLocalDate },
+  updated_at: { type: Date, default: getLocalDate }
+});
+
+organizationSchema.pre('save', function(next) {
+  this.updated_at = getLocalDate();
+  next();
+});
+
 // User Schema
 const userSchema = new mongoose.Schema({
-  google_id: { type: String, required: true, unique: true },
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
+  google_id: { type: String, required: true, unique: true }, // Google account subject ID (older users: their email)
   email: { type: String, required: true, unique: true },
-  name: { type: String, required: true },
-  access_token: { type: String, required: true },
-  refresh_token: { type: String, required: true },
-  token_expiry: { type: Date, required: true },
+  name: { type: String, required: true }, // Name from the Google profile
+  // Profile - filled from userinfo/People API on sign-in; display name, locale, timezone and working hours are user-editable
+  display_name: { type: String },
+  avatar_url: { type: String },
+  chat_user_id: { type: String, index: true }, // Google Chat resource name, users/{id}
+  locale: { type: String },
+  timezone: { type: String }, // IANA name; falls back to the organization's timezone
+  working_hours: {
+    start: { type: String, match: TIME_OF_DAY_PATTERN }, // HH:MM in the user's timezone
+    end: { type: String, match: TIME_OF_DAY_PATTERN },
+    days: { type: [Number], default: undefined } // 0 = Sunday ... 6 = Saturday
+  },
+  auth_mode: { type: String, enum: ['oauth', 'service_account'], default: 'oauth' },
+  // OAuth tokens are not needed for users accessed through domain-wide delegation
+  access_token: { type: String, required: function() { return this.auth_mode !== 'service_account'; } },
+  refresh_token: { type: String, required: function() { return this.auth_mode !== 'service_account'; } },
+  token_expiry: { type: Date, required: function() { return this.auth_mode !== 'service_account'; } },
+  granted_scopes: { type: [String], default: undefined }, // OAuth scopes granted so far (incremental consent)
+  is_active: { type: Boolean, default: true }, // false once the account is disconnected
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  auth_status: { type: String, enum: ['active', 'needs_reauth'], default: 'active' },
+  auth_status_reason: { type: String }, // e.g. token_revoked, token_expired, invalid_grant
+  auth_status_changed_at: { type: Date },
+  reauth_notified_at: { type: Date },
+  deactivated_at: { type: Date },
   created_at: { type: Date, default: getLocalDate },
   updated_at: { type: Date, default: getLocalDate },
   last_gmail_sync: { type: Date },
-  last_chat_sync: { type: Date }
+  last_chat_sync: { type: Date },
+  // Last sync of each source, successful or not; schedules count from here
+  last_sync_attempts: {
+    chat: { type: Date },
+    gmail: { type: Date }
+  },
+  sync_schedule: scheduleDefinition(SYNC_SOURCES),
+  gmail_history_id: { type: String }, // Mailbox historyId the next Gmail sync replays history from
+  gmail_retry_message_ids: [{ type: String }] // Messages the last Gmail sync couldn't fetch; the next one tries again
 });
 
 // Update the updated_at field before saving
@@ -57,17 +172,103 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// OAuth State Schema - one document per /auth request, verified and consumed in /auth/callback
+const authStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  ip: { type: String },
+  code_verifier: { type: String, required: true }, // PKCE verifier, sent with the code exchange
+  redirect_to: { type: String }, // Where to send the user after a successful login
+  features: [{ type: String }], // Data source features requested in this authorization
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  created_at: { type: Date, default: getLocalDate }
+});
+
+// TTL index - MongoDB removes states once expires_at has passed
+authStateSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Session Schema - dashboard sign-in sessions, looked up by a hash of the cookie value
+const sessionSchema = new mongoose.Schema({
+  token_hash: { type: String, required: true, unique: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String, required: true },
+  ip: { type: String },
+  user_agent: { type: String },
+  expires_at: { type: Date, required: true },
+  created_at: { type: Date, default: getLocalDate }
+});
+
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// API Token Schema - scoped bearer tokens for programmatic clients
+const apiTokenSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  token_hash: { type: String, required: true, unique: true },
+  token_prefix: { type: String, required: true }, // First characters, to recognise a token in listings
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scopes: [{ type: String, enum: ['stats:read', 'messages:read', 'analysis:read', 'account:write', 'admin'] }],
+  expires_at: { type: Date },
+  last_used_at: { type: Date },
+  revoked_at: { type: Date },
+  created_at: { type: Date, default: getLocalDate }
+});
+
+apiTokenSchema.index({ user_id: 1 });
+
+// Deletion Report Schema - audit trail for every account disconnect
+const deletionReportSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  requested_by: { type: String, required: true },
+  requested_via: { type: String, enum: ['api', 'dashboard'], required: true },
+  token_revoked: { type: Boolean, default: false },
+  revoke_error: { type: String },
+  purge_requested: { type: Boolean, default: false },
+  deleted_counts: {
+    chat_messages: { type: Number, default: 0 },
+    gmail_messages: { type: Number, default: 0 },
+    analysis_responses: { type: Number, default: 0 },
+    backfill_jobs: { type: Number, default: 0 },
+    push_subscriptions: { type: Number, default: 0 },
+    sync_logs: { type: Number, default: 0 }
+  },
+  completed_at: { type: Date },
+  created_at: { type: Date, default: getLocalDate }
+});
+
+deletionReportSchema.index({ user_id: 1, created_at: -1 });
+
 // Gmail Messages Schema
 const gmailMessageSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   message_id: { type: String, required: true },
   thread_id: { type: String, required: true },
   subject: { type: String, required: true },
   sender: { type: String, required: true },
   recipient: { type: String, required: true },
+  cc: { type: String },
+  bcc: { type: String }, // Only present on messages the user sent
   message_time: { type: Date, required: true },
-  content: { type: String, required: true },
-  labels: [{ type: String }],
+  content: { type: String, default: '' }, // Body without quoted history and signature
+  snippet: { type: String },
+  body_format: { type: String, enum: ['text', 'html', null] }, // Which MIME part the content came from
+  rfc822_message_id: { type: String }, // Message-ID header
+  in_reply_to: { type: String },
+  references: [{ type: String }],
+  attachments: [{
+    _id: false,
+    filename: { type: String },
+    mime_type: { type: String },
+    size: { type: Number },
+    attachment_id: { type: String }, // For users.messages.attachments.get
+    content_id: { type: String } // Set for inline images
+  }],
+  labels: [{ type: String }], // Kept current by the History API sync
+  // Messages deleted from the mailbox are flagged rather than removed; readers skip them
+  is_deleted: { type: Boolean, default: false },
+  deleted_at: { type: Date },
   raw_data: { type: mongoose.Schema.Types.Mixed },
   created_at: { type: Date, default: getLocalDate }
 });
@@ -75,9 +276,25 @@ const gmailMessageSchema = new mongoose.Schema({
 // Create compound index for unique constraint
 gmailMessageSchema.index({ user_id: 1, message_id: 1 }, { unique: true });
 gmailMessageSchema.index({ user_id: 1, message_time: -1 });
+gmailMessageSchema.index({ org_id: 1 });
+
+// Chat Attachment Schema - files, Drive links, cards and link previews of a Chat message
+const chatAttachmentSchema = new mongoose.Schema({
+  name: { type: String }, // File name, link title or card title
+  content_type: { type: String },
+  source: {
+    type: String,
+    enum: ['UPLOADED_CONTENT', 'DRIVE_FILE', 'DRIVE_LINK', 'LINK', 'CARD']
+  },
+  drive_file_id: { type: String },
+  url: { type: String }, // Download URL for uploads, the link itself for links
+  thumbnail_url: { type: String },
+  resource_name: { type: String } // attachmentDataRef for downloading uploaded content
+}, { _id: false });
 
 // Chat Messages Schema
 const chatMessageSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
   user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   message_id: { type: String, required: true },
   space_id: { type: String, required: true },
@@ -90,19 +307,295 @@ const chatMessageSchema = new mongoose.Schema({
   sender_id: { type: String, required: true },
   sender_name: { type: String, required: true },
   sender_email: { type: String },
-  content: { type: String, required: true },
+  content: { type: String, default: '' }, // Empty for messages that only carry attachments
+  attachments: [chatAttachmentSchema],
+  mentions: [{ type: String }], // users/{id} of the people the message @-mentions
+  // Emoji reactions. The Chat API has no reaction timestamps, so seen_at is when a fetch first saw it.
+  reactions: [{
+    _id: false,
+    emoji: { type: String },
+    user_id: { type: String }, // users/{id}
+    user_name: { type: String },
+    seen_at: { type: Date }
+  }],
   message_time: { type: Date, required: true },
   thread_id: { type: String },
   is_threaded: { type: Boolean, default: false },
+  // Chat's lastUpdateTime - set once the message has been edited
+  last_update_time: { type: Date },
+  // Earlier versions of the text, oldest first
+  edit_history: [{
+    _id: false,
+    content: { type: String },
+    written_at: { type: Date },
+    replaced_at: { type: Date }
+  }],
+  // Deleted messages are flagged rather than removed; readers skip them
+  is_deleted: { type: Boolean, default: false },
+  deleted_at: { type: Date },
   raw_data: { type: mongoose.Schema.Types.Mixed },
   created_at: { type: Date, default: getLocalDate }
 });
 
+chatMessageSchema.index({ org_id: 1, space_id: 1, message_time: -1 });
+// One copy of a message per user, however many syncs or push notifications bring it in
+chatMessageSchema.index({ user_id: 1, message_id: 1 }, { unique: true });
+
+// Chat Thread Schema - one conversation in a space, rebuilt from a user's stored messages
+const chatThreadSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  thread_id: { type: String, required: true }, // spaces/{space}/threads/{thread}
+  space_id: { type: String, required: true },
+  space_name: { type: String },
+  root_message: {
+    message_id: { type: String },
+    sender_id: { type: String },
+    sender_name: { type: String },
+    content: { type: String },
+    message_time: { type: Date }
+  },
+  participants: [{
+    _id: false,
+    id: { type: String }, // users/{id}
+    name: { type: String }
+  }],
+  reply_count: { type: Number, default: 0 },
+  last_activity_at: { type: Date },
+  last_sender_id: { type: String },
+  last_sender_name: { type: String },
+  updated_at: { type: Date, default: getLocalDate }
+});
+
+chatThreadSchema.index({ user_id: 1, thread_id: 1 }, { unique: true });
+chatThreadSchema.index({ user_id: 1, space_id: 1, last_activity_at: -1 });
+
+// Space Schema - the Chat spaces an organization collects messages from
+const spaceSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  space_id: { type: String, required: true }, // spaces/{id}
+  space_name: { type: String, required: true },
+  space_type: { type: String, enum: ['DIRECT_MESSAGE', 'GROUP_CHAT', 'SPACE'] },
+  members: [{
+    _id: false,
+    id: { type: String }, // users/{id}
+    name: { type: String }
+  }],
+  total_members: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true }, // Disabled spaces are skipped by the fetcher and analyzer
+  last_seen_at: { type: Date }, // Last time spaces.list returned it for any user
+  archived_at: { type: Date }, // Set once the space is deleted or nobody can read it any more
+  archive_reason: { type: String, enum: ['deleted', 'inaccessible'] },
+  created_at: { type: Date, default: getLocalDate },
+  updated_at: { type: Date, default: getLocalDate }
+});
+
+spaceSchema.index({ org_id: 1, space_id: 1 }, { unique: true });
+
+// Space Cursor Schema - how far each user's Chat sync has got in each space
+const spaceCursorSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  space_id: { type: String, required: true },
+  last_message_time: { type: Date }, // createTime of the newest message fetched so far
+  page_token: { type: String }, // Set while a paginated fetch is unfinished, so the next run resumes it
+  page_filter: { type: String }, // The createTime filter page_token was issued for
+  last_deep_scan_at: { type: Date }, // Last time older messages were re-listed for edits and deletions
+  has_new_msg: { type: Boolean, default: false }, // Whether the last fetch found new messages
+  is_member: { type: Boolean, default: true }, // false once the user has left the space
+  left_at: { type: Date },
+  last_fetched_at: { type: Date },
+  updated_at: { type: Date, default: getLocalDate }
+});
+
+spaceCursorSchema.index({ user_id: 1, space_id: 1 }, { unique: true });
+
+// Backfill Job Schema - a historical import for one user and source, resumable from its checkpoint
+const backfillJobSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  source: { type: String, enum: ['chat', 'gmail'], required: true },
+  space_ids: [{ type: String }], // Chat only - the spaces to import, in order
+  start_date: { type: Date, required: true },
+  end_date: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Where the next run continues: the space being imported and the page token within it
+  checkpoint: {
+    space_index: { type: Number, default: 0 },
+    page_token: { type: String },
+    retry_ids: [{ type: String }] // Gmail only - messages that failed to fetch, tried again after the last page
+  },
+  progress: {
+    pages_fetched: { type: Number, default: 0 },
+    messages_stored: { type: Number, default: 0 },
+    spaces_done: { type: Number, default: 0 }
+  },
+  attempts: { type: Number, default: 0 }, // Failed runs in a row
+  last_error: { type: String },
+  lease_expires_at: { type: Date }, // A running job whose runner died can be claimed again after this
+  requested_by: { type: String },
+  created_at: { type: Date, default: getLocalDate },
+  started_at: { type: Date },
+  updated_at: { type: Date, default: getLocalDate },
+  completed_at: { type: Date }
+});
+
+backfillJobSchema.index({ status: 1, created_at: 1 });
+backfillJobSchema.index({ org_id: 1, created_at: -1 });
+
+// Push Subscription Schema - a Gmail watch on a mailbox or a Workspace Events subscription on a
+// Chat space, both publishing to the Pub/Sub topic that pushes to the webhook receiver
+const pushSubscriptionSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Whose credentials created it
+  kind: { type: String, enum: ['gmail_watch', 'chat_space'], required: true },
+  target: { type: String, required: true }, // Mailbox email, or spaces/{id}
+  subscription_name: { type: String }, // subscriptions/{id} - Workspace Events only
+  topic: { type: String },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'expired', 'failed'],
+    default: 'active'
+  },
+  expires_at: { type: Date },
+  last_notification_at: { type: Date },
+  notifications_received: { type: Number, default: 0 },
+  last_error: { type: String },
+  renewed_at: { type: Date },
+  created_at: { type: Date, default: getLocalDate },
+  updated_at: { type: Date, default: getLocalDate }
+});
+
+pushSubscriptionSchema.index({ kind: 1, target: 1 }, { unique: true });
+pushSubscriptionSchema.index({ subscription_name: 1 });
+
+// Sync Log Schema - one Chat or Gmail collection for one user (or a failed authorization)
+const syncLogSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  sync_type: { type: String, enum: ['chat', 'gmail', 'auth'], required: true },
+  status: { type: String, enum: ['success', 'error'], required: true },
+  records_processed: { type: Number, default: 0 },
+  counts: { // Breakdown of records_processed where the source reports one
+    added: { type: Number },
+    updated: { type: Number },
+    deleted: { type: Number }
+  },
+  message: { type: String },
+  error: {
+    message: { type: String },
+    stack: { type: String }
+  },
+  query: { type: String }, // The filter, search query or history ID the sync used
+  started_at: { type: Date },
+  completed_at: { type: Date, default: Date.now },
+  duration_ms: { type: Number },
+  expires_at: { type: Date } // Removed by MongoDB after this (SYNC_LOG_RETENTION_DAYS)
+});
+
+syncLogSchema.index({ user_id: 1, completed_at: -1 });
+syncLogSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Upstream Event Schema - a retried or failed Google API call, or a circuit breaker changing state.
+// Feeds the dashboard's view of degraded upstreams.
+const upstreamEventSchema = new mongoose.Schema({
+  api: { type: String, required: true }, // chat, gmail, people, ...
+  type: {
+    type: String,
+    enum: ['retry', 'failure', 'circuit_open', 'circuit_half_open', 'circuit_closed'],
+    required: true
+  },
+  category: { type: String, enum: ['network', 'status', 'quota'] }, // Why the call was retryable
+  status: { type: Number }, // HTTP status, when there was a response
+  reason: { type: String }, // Google's error reason, e.g. rateLimitExceeded
+  attempt: { type: Number },
+  delay_ms: { type: Number },
+  message: { type: String },
+  host: { type: String }, // Each process has its own breakers
+  created_at: { type: Date, default: Date.now },
+  expires_at: { type: Date } // Removed by MongoDB after this (UPSTREAM_EVENT_RETENTION_DAYS)
+});
+
+upstreamEventSchema.index({ api: 1, created_at: -1 });
+upstreamEventSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// API Usage Schema - Google API calls counted per minute or per UTC day, by API, method and user
+const apiUsageSchema = new mongoose.Schema({
+  period: { type: String, enum: ['minute', 'day'], required: true },
+  bucket: { type: Date, required: true }, // Start of the minute or day
+  api: { type: String, required: true },
+  method: { type: String, required: true }, // e.g. spaces.messages.list
+  user: { type: String, default: '' }, // Email of the account the call was made as ('' if none)
+  count: { type: Number, default: 0 },
+  expires_at: { type: Date } // Minute counts are kept for API_USAGE_MINUTE_RETENTION_DAYS, day counts longer
+});
+
+apiUsageSchema.index({ period: 1, bucket: 1, api: 1, method: 1, user: 1 }, { unique: true });
+apiUsageSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Job Lock Schema - a lease on one unit of work (e.g. chat:{userId}) shared by every process
+// that collects data: the fetcher's cron, the Vercel cron, manual triggers and push notifications
+const jobLockSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  owner: { type: String, required: true }, // host:pid:random of the holder
+  run_id: { type: mongoose.Schema.Types.ObjectId, ref: 'JobRun' },
+  acquired_at: { type: Date, default: Date.now },
+  heartbeat_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true } // Free for anyone to take after this
+});
+
+// Locks left behind by crashed holders are cleaned up an hour after they expire
+jobLockSchema.index({ expires_at: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Job Run Schema - one data collection run: what triggered it, what it did per user and source
+const jobRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['cron', 'startup', 'vercel_cron', 'manual', 'push', 'cli'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'failed'],
+    default: 'running'
+  },
+  host: { type: String },
+  org_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Organization' }],
+  results: [{
+    _id: false,
+    org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    source: { type: String, enum: ['chat', 'gmail', 'analysis'] },
+    status: { type: String, enum: ['success', 'error', 'locked'] }, // locked: another run held the lease
+    items: { type: Number, default: 0 },
+    duration_ms: { type: Number },
+    error: { type: String }
+  }],
+  totals: {
+    items: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    locked: { type: Number, default: 0 }
+  },
+  error: { type: String }, // Why the whole run failed
+  started_at: { type: Date, default: Date.now },
+  finished_at: { type: Date },
+  duration_ms: { type: Number }
+});
+
+jobRunSchema.index({ started_at: -1 });
+jobRunSchema.index({ org_ids: 1, started_at: -1 });
+
 // LLM Analysis Results Schema
 const llmAnalysisResultSchema = new mongoose.Schema({
+  org_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
   generated_at: { type: Date, required: true, default: getLocalDate },
   total_responses: { type: Number, required: true, default: 0 },
   responses: [{
+    for_user: { type: String }, // Email of the user the suggestion is for
     to: { type: String, required: true },
     msg: { type: String, required: true },
     time_generated: { type: String, required: true }
@@ -114,40 +607,158 @@ const llmAnalysisResultSchema = new mongoose.Schema({
 
 // Index for performance
 llmAnalysisResultSchema.index({ generated_at: -1 });
-llmAnalysisResultSchema.index({ is_latest: 1 });
+llmAnalysisResultSchema.index({ org_id: 1, is_latest: 1 });
 
 // Create models
+const Organization = mongoose.model('Organization', organizationSchema);
 const User = mongoose.model('User', userSchema);
+const AuthState = mongoose.model('AuthState', authStateSchema);
+const DeletionReport = mongoose.model('DeletionReport', deletionReportSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
 const GmailMessage = mongoose.model('GmailMessage', gmailMessageSchema);
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+const ChatThread = mongoose.model('ChatThread', chatThreadSchema);
 const LLMAnalysisResult = mongoose.model('LLMAnalysisResult', llmAnalysisResultSchema);
+const Space = mongoose.model('Space', spaceSchema);
+const SpaceCursor = mongoose.model('SpaceCursor', spaceCursorSchema);
+const BackfillJob = mongoose.model('BackfillJob', backfillJobSchema);
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+const SyncLog = mongoose.model('SyncLog', syncLogSchema);
+const UpstreamEvent = mongoose.model('UpstreamEvent', upstreamEventSchema);
+const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
+
+// Mongoose builds indexes in the background and only reports failures through this event. The unique
+// chat message index can't be built while older duplicates exist (npm run dedupe-chat-messages).
+ChatMessage.on('index', error => {
+  if (error) console.error(`❌ Building ChatMessage indexes failed: ${error.message}`);
+});
 
 // Utility Functions
 
-// Get all active users
-async function getAllActiveUsers() {
+// Google returns granted scopes as a space separated string
+function parseScopes(scope) {
+  if (!scope) return null;
+  return Array.isArray(scope) ? scope : scope.split(' ').filter(Boolean);
+}
+
+// Organization functions
+
+function getEmailDomain(email) {
+  return (email || '').split('@')[1]?.toLowerCase() || null;
+}
+
+async function createOrganization({ name, slug, domain, settings = {}, llm = null }) {
+  await connectToMongoDB();
+  return await Organization.create({
+    name,
+    slug,
+    domain,
+    settings,
+    llm: llm ? { ...llm, api_key: encryptToken(llm.api_key) } : undefined
+  });
+}
+
+async function getOrganizationById(orgId) {
+  await connectToMongoDB();
+  return await Organization.findById(orgId);
+}
+
+async function getOrganizationBySlug(slug) {
+  await connectToMongoDB();
+  return await Organization.findOne({ slug });
+}
+
+async function getOrganizationByDomain(domain) {
+  await connectToMongoDB();
+  if (!domain) return null;
+  return await Organization.findOne({ domain: domain.toLowerCase(), is_active: { $ne: false } });
+}
+
+// The organization a sign-in belongs to, based on the email's domain
+async function getOrganizationForEmail(email) {
+  return await getOrganizationByDomain(getEmailDomain(email));
+}
+
+// Replace the organization's default schedules (null clears them).
+// Throws an error with code INVALID_SCHEDULE for bad values.
+async function updateOrganizationSchedule(orgId, input) {
+  await connectToMongoDB();
+  const invalid = message => Object.assign(new Error(message), { code: 'INVALID_SCHEDULE' });
+  const update = input
+    ? { $set: { 'settings.sync_schedule': normalizeSchedule(input, [...SYNC_SOURCES, 'analysis'], invalid), updated_at: getLocalDate() } }
+    : { $unset: { 'settings.sync_schedule': '' }, $set: { updated_at: getLocalDate() } };
+  return await Organization.findByIdAndUpdate(orgId, update, { new: true, runValidators: true });
+}
+
+// Record that the organization's analysis ran, for its analysis schedule
+async function markOrganizationAnalyzed(orgId, analyzedAt = new Date()) {
+  await connectToMongoDB();
+  await Organization.updateOne({ _id: orgId }, { last_analysis_at: analyzedAt });
+}
+
+async function getOrganizationUserIds(orgId) {
+  await connectToMongoDB();
+  return await User.distinct('_id', { org_id: orgId });
+}
+
+async function getActiveOrganizations() {
+  await connectToMongoDB();
+  return await Organization.find({ is_active: { $ne: false } }, null, { sort: { name: 1 } });
+}
+
+// Get all active users, optionally limited to one organization (or one user)
+async function getAllActiveUsers(orgId = null, userId = null) {
   await connectToMongoDB();
   const users = await User.find({
-    access_token: { $exists: true, $ne: null },
-    refresh_token: { $exists: true, $ne: null }
+    ...(orgId ? { org_id: orgId } : {}),
+    ...(userId ? { _id: userId } : {}),
+    is_active: { $ne: false },
+    auth_status: { $ne: 'needs_reauth' }, // Stop polling until the user re-consents
+    $or: [
+      { auth_mode: 'service_account' },
+      {
+        access_token: { $exists: true, $ne: null },
+        refresh_token: { $exists: true, $ne: null }
+      }
+    ]
   });
   
-  // Transform user data to include google_tokens object for compatibility
+  // Transform user data to include google_tokens object for compatibility.
+  // Tokens stay encrypted here; GoogleAuthManager decrypts them when building clients.
   return users.map(user => ({
     id: user._id,
+    org_id: user.org_id,
     email: user.email,
     name: user.name,
+    display_name: user.display_name || user.name,
     google_id: user.google_id,
+    chat_user_id: user.chat_user_id,
+    locale: user.locale,
+    timezone: user.timezone,
+    working_hours: getWorkingHours(user),
     created_at: user.created_at,
     updated_at: user.updated_at,
     last_gmail_sync: user.last_gmail_sync,
     last_chat_sync: user.last_chat_sync,
-    google_tokens: {
-      access_token: user.access_token,
-      refresh_token: user.refresh_token,
-      expiry_date: user.token_expiry ? user.token_expiry.getTime() : Date.now() + (60 * 60 * 1000), // Default to 1 hour from now if not set
-      token_type: 'Bearer'
-    }
+    last_sync_attempts: user.toObject().last_sync_attempts || {},
+    sync_schedule: user.toObject().sync_schedule || {},
+    gmail_history_id: user.gmail_history_id,
+    gmail_retry_message_ids: user.gmail_retry_message_ids || [],
+    granted_scopes: user.granted_scopes,
+    auth_mode: user.auth_mode || 'oauth',
+    // Delegated users carry the subject to impersonate instead of OAuth tokens
+    google_tokens: user.auth_mode === 'service_account'
+      ? { auth_mode: 'service_account', subject: user.email }
+      : {
+        email: user.email, // Who API calls made with these tokens are counted for
+        access_token: user.access_token,
+        refresh_token: user.refresh_token,
+        expiry_date: user.token_expiry ? user.token_expiry.getTime() : Date.now() + (60 * 60 * 1000), // Default to 1 hour from now if not set
+        token_type: 'Bearer'
+      }
   }));
 }
 
@@ -156,13 +767,18 @@ async function updateUserTokens(userId, tokens) {
   await connectToMongoDB();
   
   const updateData = {
-    access_token: tokens.access_token,
+    access_token: encryptToken(tokens.access_token),
     token_expiry: new Date(tokens.expiry_date),
     updated_at: getLocalDate()
   };
   
   if (tokens.refresh_token) {
-    updateData.refresh_token = tokens.refresh_token;
+    updateData.refresh_token = encryptToken(tokens.refresh_token);
+  }
+
+  const grantedScopes = parseScopes(tokens.scope);
+  if (grantedScopes) {
+    updateData.granted_scopes = grantedScopes;
   }
   
   return await User.findByIdAndUpdate(userId, updateData, { new: true });
@@ -190,6 +806,46 @@ async function insertGmailMessages(messages) {
   }
 }
 
+// Which of the given Gmail message IDs are already stored for a user
+async function getStoredGmailMessageIds(userId, messageIds) {
+  await connectToMongoDB();
+  return new Set(await GmailMessage.distinct('message_id', { user_id: userId, message_id: { $in: messageIds } }));
+}
+
+// Replace the labels of stored messages, given as a Map of message_id -> labelIds
+async function updateGmailMessageLabels(userId, labelsByMessageId) {
+  await connectToMongoDB();
+  if (!labelsByMessageId || labelsByMessageId.size === 0) return 0;
+
+  const result = await GmailMessage.bulkWrite(
+    [...labelsByMessageId].map(([messageId, labels]) => ({
+      updateOne: {
+        filter: { user_id: userId, message_id: messageId },
+        update: { $set: { labels } }
+      }
+    })),
+    { ordered: false }
+  );
+  return result.modifiedCount || 0;
+}
+
+async function markGmailMessagesDeleted(userId, messageIds) {
+  await connectToMongoDB();
+  if (!messageIds || messageIds.length === 0) return 0;
+
+  const result = await GmailMessage.updateMany(
+    { user_id: userId, message_id: { $in: messageIds }, is_deleted: { $ne: true } },
+    { $set: { is_deleted: true, deleted_at: new Date() } }
+  );
+  return result.modifiedCount || 0;
+}
+
+// Save where the next Gmail sync starts, along with the messages it has to fetch again
+async function setGmailHistoryId(userId, historyId, retryMessageIds = []) {
+  await connectToMongoDB();
+  await User.findByIdAndUpdate(userId, { gmail_history_id: historyId || null, gmail_retry_message_ids: retryMessageIds });
+}
+
 async function hasExistingGmailMessages(userId) {
   await connectToMongoDB();
   const count = await GmailMessage.countDocuments({ user_id: userId });
@@ -293,6 +949,114 @@ async function insertChatMessages(messages) {
   }
 }
 
+// Merge freshly listed reactions into the stored ones, keeping when each was first seen.
+// Returns null when nothing changed.
+function mergeReactions(storedReactions = [], reactions) {
+  const reactionKey = reaction => `${reaction.user_id}:${reaction.emoji}`;
+  const storedByKey = new Map(storedReactions.map(reaction => [reactionKey(reaction), reaction]));
+  const merged = reactions.map(reaction => ({
+    ...reaction,
+    seen_at: storedByKey.get(reactionKey(reaction))?.seen_at || new Date()
+  }));
+
+  const unchanged = merged.length === storedReactions.length &&
+    merged.every(reaction => storedByKey.has(reactionKey(reaction)));
+  return unchanged ? null : merged;
+}
+
+// Store fetched Chat messages, updating the ones stored before. An edit moves the previous text
+// into edit_history and a deletion only flags the message. Deleted messages that were never
+// stored are dropped. Messages carrying a reactions array replace the stored reactions.
+async function upsertChatMessages(messages) {
+  await connectToMongoDB();
+
+  const counts = { insertedCount: 0, editedCount: 0, deletedCount: 0, reactionCount: 0 };
+  if (!messages || messages.length === 0) return counts;
+
+  const userIds = [...new Set(messages.map(msg => String(msg.user_id)))];
+  const stored = await ChatMessage.find(
+    { user_id: { $in: userIds }, message_id: { $in: messages.map(msg => msg.message_id) } },
+    { user_id: 1, message_id: 1, content: 1, message_time: 1, last_update_time: 1, is_deleted: 1, reactions: 1 }
+  );
+  const storedByKey = new Map(stored.map(doc => [`${doc.user_id}:${doc.message_id}`, doc]));
+
+  const operations = [];
+
+  for (const msg of messages) {
+    const existing = storedByKey.get(`${msg.user_id}:${msg.message_id}`);
+
+    if (!existing) {
+      // Upserted rather than inserted: a push notification and a poll may store the same message at once
+      if (!msg.deleted_at) {
+        const document = msg.reactions ? { ...msg, reactions: mergeReactions([], msg.reactions) || [] } : msg;
+        operations.push({
+          updateOne: {
+            filter: { user_id: msg.user_id, message_id: msg.message_id },
+            update: { $setOnInsert: document },
+            upsert: true
+          }
+        });
+      }
+      continue;
+    }
+
+    if (msg.deleted_at) {
+      if (!existing.is_deleted) {
+        operations.push({
+          updateOne: {
+            filter: { _id: existing._id },
+            update: { $set: { is_deleted: true, deleted_at: msg.deleted_at } }
+          }
+        });
+        counts.deletedCount++;
+      }
+      continue;
+    }
+
+    const update = { $set: {} };
+
+    const reactions = msg.reactions ? mergeReactions(existing.reactions, msg.reactions) : null;
+    if (reactions) {
+      update.$set.reactions = reactions;
+      counts.reactionCount++;
+    }
+
+    const updateTime = msg.last_update_time ? msg.last_update_time.getTime() : 0;
+    const storedUpdateTime = existing.last_update_time ? existing.last_update_time.getTime() : 0;
+    if (updateTime <= storedUpdateTime) {
+      if (reactions) operations.push({ updateOne: { filter: { _id: existing._id }, update } });
+      continue;
+    }
+
+    Object.assign(update.$set, {
+      last_update_time: msg.last_update_time,
+      sender_name: msg.sender_name,
+      attachments: msg.attachments || [],
+      mentions: msg.mentions || [],
+      raw_data: msg.raw_data
+    });
+    if (msg.content !== existing.content) {
+      update.$set.content = msg.content;
+      update.$push = {
+        edit_history: {
+          content: existing.content,
+          written_at: existing.last_update_time || existing.message_time,
+          replaced_at: msg.last_update_time
+        }
+      };
+      counts.editedCount++;
+    }
+    operations.push({ updateOne: { filter: { _id: existing._id }, update } });
+  }
+
+  if (operations.length > 0) {
+    const result = await ChatMessage.bulkWrite(operations, { ordered: false });
+    counts.insertedCount = result.upsertedCount || 0;
+  }
+
+  return counts;
+}
+
 async function hasExistingChatMessages(userId) {
   await connectToMongoDB();
   const count = await ChatMessage.countDocuments({ user_id: userId });
@@ -315,20 +1079,31 @@ async function getLatestChatMessageTime(userId) {
   return latest?.message_time || null;
 }
 
-async function getChatMessagesBySpace(spaceId, limit = 50) {
+async function getChatMessagesBySpace(spaceId, limit = 50, orgId = null, userId = null) {
   await connectToMongoDB();
   return await ChatMessage.find(
-    {space_id: spaceId },
+    {
+      space_id: spaceId,
+      is_deleted: { $ne: true },
+      ...(orgId ? { org_id: orgId } : {}),
+      ...(userId ? { user_id: userId } : {})
+    },
     null,
     { sort: { message_time: -1 }, limit }
   );
 }
 
+// IDs of the spaces a user has collected messages from
+async function getChatSpaceIdsForUser(userId) {
+  await connectToMongoDB();
+  return await ChatMessage.distinct('space_id', { user_id: userId });
+}
+
 // Get all chat messages for a user
 async function getChatMessagesByUser(userId, limit = 100) {
   await connectToMongoDB();
   return await ChatMessage.find(
-    { user_id: userId },
+    { user_id: userId, is_deleted: { $ne: true } },
     null,
     { sort: { message_time: -1 }, limit }
   );
@@ -338,7 +1113,7 @@ async function getChatMessagesByUser(userId, limit = 100) {
 async function getRecentGmailMessages(userId, limit = 100) {
   await connectToMongoDB();
   return await GmailMessage.find(
-    { user_id: userId },
+    { user_id: userId, is_deleted: { $ne: true } },
     null,
     { sort: { message_time: -1 }, limit }
   );
@@ -362,72 +1137,1180 @@ async function getLatestChatMessageCreateTimeForSpace(userId, spaceId) {
   return latestMessage?.message_time || null; // This will be a Date object or null
 }
 
-// Sync log function (simple logging to console for now)
-async function createSyncLog(userId, syncType, status, details = {}, itemCount = 0) {
-  const logEntry = {
-    user_id: userId,
-    sync_type: syncType,
-    status,
-    details: typeof details === 'string' ? details : JSON.stringify(details),
-    item_count: itemCount,
-    timestamp: getLocalDate()
-  };
-  
-  console.log(`SYNC_LOG: user_id=${userId}, type=${syncType}, status=${status}, items=${itemCount}, details=${logEntry.details}, time=${logEntry.timestamp.toLocaleString()}`);
-  
-  // Update user's last sync time based on sync type
-  if (status === 'success') {
-    const updateField = syncType === 'gmail' ? 'last_gmail_sync' : 'last_chat_sync';
-    await User.findByIdAndUpdate(userId, { 
-      [updateField]: getLocalDate(),
-      updated_at: getLocalDate() 
-    });
-  }
-  
-  return logEntry;
-}
+// Chat thread functions
 
-// User management functions
-async function createOrUpdateUser(email, tokens) {
+// Rebuild the given threads of a user from their stored messages. Deleted messages don't count;
+// a thread with no messages left is removed.
+async function refreshChatThreads(userId, threadIds) {
   await connectToMongoDB();
-  
-  try {
-    // Check if user exists
-    let user = await User.findOne({ email });
-    
-    if (user) {
-      // Update existing user
-      user.access_token = tokens.access_token;
-      user.refresh_token = tokens.refresh_token;
-      user.token_expiry = new Date(tokens.expiry_date);
-      user.updated_at = getLocalDate();
-      await user.save();
-    } else {
-      // Create new user
-      user = new User({
-        google_id: tokens.google_id || email,
-        email,
-        name: tokens.name || email.split('@')[0],
-        access_token: tokens.access_token,
-        refresh_token: tokens.refresh_token,
-        token_expiry: new Date(tokens.expiry_date)
-      });
-      await user.save();
+
+  let updated = 0;
+  for (const threadId of new Set((threadIds || []).filter(Boolean))) {
+    const messages = await ChatMessage.find(
+      { user_id: userId, thread_id: threadId, is_deleted: { $ne: true } },
+      { org_id: 1, message_id: 1, space_id: 1, space_name: 1, sender_id: 1, sender_name: 1, content: 1, message_time: 1 },
+      { sort: { message_time: 1 } }
+    );
+
+    if (messages.length === 0) {
+      await ChatThread.deleteOne({ user_id: userId, thread_id: threadId });
+      continue;
     }
-    
-    return user;
-  } catch (error) {
-    console.error('Error creating/updating user:', error);
-    throw error;
+
+    const root = messages[0];
+    const last = messages[messages.length - 1];
+    const participants = new Map();
+    for (const message of messages) {
+      participants.set(message.sender_id, message.sender_name);
+    }
+
+    await ChatThread.updateOne(
+      { user_id: userId, thread_id: threadId },
+      {
+        $set: {
+          org_id: root.org_id,
+          space_id: root.space_id,
+          space_name: last.space_name,
+          root_message: {
+            message_id: root.message_id,
+            sender_id: root.sender_id,
+            sender_name: root.sender_name,
+            content: root.content,
+            message_time: root.message_time
+          },
+          participants: [...participants].map(([id, name]) => ({ id, name })),
+          reply_count: messages.length - 1,
+          last_activity_at: last.message_time,
+          last_sender_id: last.sender_id,
+          last_sender_name: last.sender_name,
+          updated_at: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    updated++;
   }
+  return updated;
 }
 
-async function getUserByEmail(email) {
+// A user's threads in a space, most recently active first
+async function getChatThreads(userId, spaceId = null, limit = 50) {
   await connectToMongoDB();
-  return await User.findOne({ email });
+  return await ChatThread.find(
+    { user_id: userId, ...(spaceId ? { space_id: spaceId } : {}) },
+    null,
+    { sort: { last_activity_at: -1 }, limit }
+  );
 }
 
-async function healthCheck() {
+async function getChatThread(userId, threadId) {
+  await connectToMongoDB();
+  return await ChatThread.findOne({ user_id: userId, thread_id: threadId });
+}
+
+// Messages of one thread, oldest first. With a limit only the newest messages are returned.
+async function getChatThreadMessages(userId, threadId, limit = null) {
+  await connectToMongoDB();
+  const messages = await ChatMessage.find(
+    { user_id: userId, thread_id: threadId, is_deleted: { $ne: true } },
+    { raw_data: 0 },
+    { sort: { message_time: -1 }, ...(limit ? { limit } : {}) }
+  );
+  return messages.reverse();
+}
+
+// How many reactions are stored on each of a user's messages, by message_id
+async function getChatReactionCounts(userId, messageIds) {
+  await connectToMongoDB();
+  const messages = await ChatMessage.find(
+    { user_id: userId, message_id: { $in: messageIds } },
+    { message_id: 1, reactions: 1 }
+  );
+  return new Map(messages.map(message => [message.message_id, (message.reactions || []).length]));
+}
+
+// Copies of a message read per file wanted when listing a space's files for all its members
+const SPACE_ATTACHMENT_COPY_ALLOWANCE = 5;
+
+// Files shared in a space, newest first. Each message is counted once even when several users
+// collected it; pass userId to only see what that user collected.
+async function getSpaceAttachments(orgId, spaceId, userId = null, limit = 100) {
+  await connectToMongoDB();
+  const messages = await ChatMessage.find(
+    {
+      org_id: orgId,
+      space_id: spaceId,
+      is_deleted: { $ne: true },
+      'attachments.0': { $exists: true },
+      ...(userId ? { user_id: userId } : {})
+    },
+    { message_id: 1, thread_id: 1, sender_id: 1, sender_name: 1, message_time: 1, attachments: 1 },
+    // Every message carries at least one file, so limit messages are enough for one user. Across
+    // users each message is stored once per member, so read more to allow for the copies.
+    { sort: { message_time: -1 }, limit: userId ? limit : limit * SPACE_ATTACHMENT_COPY_ALLOWANCE }
+  );
+
+  const seen = new Set();
+  const files = [];
+  for (const message of messages) {
+    if (seen.has(message.message_id)) continue;
+    seen.add(message.message_id);
+    for (const attachment of message.attachments) {
+      files.push({
+        ...attachment.toObject(),
+        message_id: message.message_id,
+        thread_id: message.thread_id,
+        sender_id: message.sender_id,
+        sender_name: message.sender_name,
+        shared_at: message.message_time
+      });
+    }
+    if (files.length >= limit) break;
+  }
+  return files.slice(0, limit);
+}
+
+// Space registry functions
+
+// Create or update a space from Chat API / import data
+async function upsertSpace(orgId, { space_id, space_name, space_type, members }) {
+  await connectToMongoDB();
+  const update = { space_name, updated_at: getLocalDate() };
+  if (space_type) update.space_type = space_type;
+  if (members) {
+    update.members = members;
+    update.total_members = members.length;
+  }
+  return await Space.findOneAndUpdate(
+    { org_id: orgId, space_id },
+    { $set: update, $setOnInsert: { created_at: getLocalDate() } },
+    { upsert: true, new: true }
+  );
+}
+
+// Enabled, non-archived spaces by default; pass enabledOnly: false for the full registry
+async function getSpaces(orgId, { enabledOnly = true } = {}) {
+  await connectToMongoDB();
+  return await Space.find(
+    { org_id: orgId, ...(enabledOnly ? { enabled: { $ne: false }, archived_at: null } : {}) },
+    null,
+    { sort: { space_name: 1 } }
+  );
+}
+
+async function setSpaceEnabled(orgId, spaceId, enabled) {
+  await connectToMongoDB();
+  return await Space.findOneAndUpdate(
+    { org_id: orgId, space_id: spaceId },
+    { enabled, updated_at: getLocalDate() },
+    { new: true }
+  );
+}
+
+// The organization's enabled spaces, each paired with the user's sync cursor (null before the first fetch)
+async function getSpacesWithCursors(orgId, userId) {
+  await connectToMongoDB();
+  const [spaces, cursors] = await Promise.all([
+    getSpaces(orgId),
+    SpaceCursor.find({ user_id: userId })
+  ]);
+  const cursorsBySpace = new Map(cursors.map(cursor => [cursor.space_id, cursor]));
+  return spaces.map(space => ({ space, cursor: cursorsBySpace.get(space.space_id) || null }));
+}
+
+// Record the spaces spaces.list returned for a user: new spaces are registered (archived ones
+// come back), the user's cursors are marked as member, and spaces missing from the list are marked left.
+// Returns { added, left } with the space IDs that changed.
+async function syncUserSpaces(orgId, userId, discoveredSpaces) {
+  await connectToMongoDB();
+  const now = new Date();
+  const discoveredIds = discoveredSpaces.map(space => space.space_id);
+
+  const existingIds = new Set(await Space.distinct('space_id', { org_id: orgId, space_id: { $in: discoveredIds } }));
+  const added = discoveredIds.filter(spaceId => !existingIds.has(spaceId));
+
+  for (const space of discoveredSpaces) {
+    await upsertSpace(orgId, space);
+  }
+  await Space.updateMany(
+    { org_id: orgId, space_id: { $in: discoveredIds } },
+    { $set: { last_seen_at: now }, $unset: { archived_at: '', archive_reason: '' } }
+  );
+
+  if (discoveredIds.length > 0) {
+    await SpaceCursor.bulkWrite(discoveredIds.map(spaceId => ({
+      updateOne: {
+        filter: { user_id: userId, space_id: spaceId },
+        update: { $set: { is_member: true }, $unset: { left_at: '' } },
+        upsert: true
+      }
+    })));
+  }
+
+  const leftCursors = await SpaceCursor.find(
+    { user_id: userId, space_id: { $nin: discoveredIds }, is_member: { $ne: false } },
+    { space_id: 1 }
+  );
+  await markSpacesLeft(userId, leftCursors.map(cursor => cursor.space_id));
+
+  return { added, left: leftCursors.map(cursor => cursor.space_id) };
+}
+
+async function markSpacesLeft(userId, spaceIds) {
+  await connectToMongoDB();
+  if (spaceIds.length === 0) return;
+  await SpaceCursor.updateMany(
+    { user_id: userId, space_id: { $in: spaceIds } },
+    { $set: { is_member: false, left_at: new Date(), page_token: null } }
+  );
+}
+
+// Users of one organization still syncing a space; members from other organizations don't count
+async function countSpaceMembers(orgId, spaceId) {
+  await connectToMongoDB();
+  return await SpaceCursor.countDocuments({
+    space_id: spaceId,
+    is_member: { $ne: false },
+    user_id: { $in: await getOrganizationUserIds(orgId) }
+  });
+}
+
+// IDs of the users still syncing a space
+async function getSpaceMemberUserIds(spaceId) {
+  await connectToMongoDB();
+  return await SpaceCursor.distinct('user_id', { space_id: spaceId, is_member: { $ne: false } });
+}
+
+async function archiveSpace(orgId, spaceId, reason) {
+  await connectToMongoDB();
+  return await Space.findOneAndUpdate(
+    { org_id: orgId, space_id: spaceId, archived_at: null },
+    { archived_at: new Date(), archive_reason: reason, updated_at: getLocalDate() },
+    { new: true }
+  );
+}
+
+async function updateSpaceCursor(userId, spaceId, { last_message_time, page_token, page_filter, has_new_msg, last_deep_scan_at }) {
+  await connectToMongoDB();
+  const set = {
+    page_token: page_token || null,
+    page_filter: (page_token && page_filter) || null,
+    last_fetched_at: new Date(),
+    updated_at: getLocalDate()
+  };
+  if (last_message_time) set.last_message_time = last_message_time;
+  if (last_deep_scan_at) set.last_deep_scan_at = last_deep_scan_at;
+  if (has_new_msg !== undefined) set.has_new_msg = has_new_msg;
+  return await SpaceCursor.findOneAndUpdate(
+    { user_id: userId, space_id: spaceId },
+    { $set: set },
+    { upsert: true, new: true }
+  );
+}
+
+// Sync logs are kept this long, then removed by the TTL index
+const SYNC_LOG_RETENTION_DAYS = parseInt(process.env.SYNC_LOG_RETENTION_DAYS, 10) || 30;
+
+// Record one sync. details is a message string or { message, stack } for failures.
+// options: { orgId, startedAt, query, counts: { added, updated, deleted } }
+async function createSyncLog(userId, syncType, status, details = {}, itemCount = 0, options = {}) {
+  await connectToMongoDB();
+  const completedAt = new Date();
+  const message = typeof details === 'string' ? details : details.message || JSON.stringify(details);
+  const logEntry = {
+    user_id: userId,
+    org_id: options.orgId || null,
+    sync_type: syncType,
+    status,
+    records_processed: itemCount,
+    counts: options.counts || undefined,
+    message,
+    error: status === 'error' ? { message, stack: typeof details === 'object' ? details.stack : undefined } : undefined,
+    query: options.query || undefined,
+    started_at: options.startedAt || undefined,
+    completed_at: completedAt,
+    duration_ms: options.startedAt ? completedAt - new Date(options.startedAt) : undefined,
+    expires_at: new Date(completedAt.getTime() + SYNC_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  console.log(`SYNC_LOG: user_id=${userId}, type=${syncType}, status=${status}, items=${itemCount}, details=${message}, time=${completedAt.toISOString()}`);
+
+  try {
+    await SyncLog.create(logEntry);
+  } catch (error) {
+    // Losing a log line must not fail the sync it describes
+    console.error(`Failed to store sync log for ${userId}: ${error.message}`);
+  }
+
+  // Update user's last sync time based on sync type
+  if (status === 'success') {
+    const updateField = syncType === 'gmail' ? 'last_gmail_sync' : 'last_chat_sync';
+    await User.findByIdAndUpdate(userId, { 
+      [updateField]: getLocalDate(),
+      [`last_sync_attempts.${syncType}`]: completedAt,
+      updated_at: getLocalDate() 
+    });
+  } else if (SYNC_SOURCES.includes(syncType)) {
+    // Failed syncs wait for the next scheduled run too rather than retrying every tick
+    await User.findByIdAndUpdate(userId, { [`last_sync_attempts.${syncType}`]: completedAt });
+  }
+  
+  return logEntry;
+}
+
+// Upstream events are kept this long, then removed by the TTL index
+const UPSTREAM_EVENT_RETENTION_DAYS = parseInt(process.env.UPSTREAM_EVENT_RETENTION_DAYS, 10) || 7;
+const CIRCUIT_EVENT_TYPES = ['circuit_open', 'circuit_half_open', 'circuit_closed'];
+
+async function recordUpstreamEvent(event) {
+  await connectToMongoDB();
+  const createdAt = new Date();
+  return await UpstreamEvent.create({
+    ...event,
+    message: event.message ? String(event.message).slice(0, 500) : undefined,
+    created_at: createdAt,
+    expires_at: new Date(createdAt.getTime() + UPSTREAM_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
+
+// Per-API retries, failures and breaker states over the last sinceMinutes. An API is "open" while
+// any process's breaker for it is open or half open, "degraded" when calls were retried or failed.
+async function getUpstreamHealth(sinceMinutes = 60) {
+  await connectToMongoDB();
+  const since = new Date(Date.now() - sinceMinutes * 60 * 1000);
+
+  const [counts, circuits] = await Promise.all([
+    UpstreamEvent.aggregate([
+      { $match: { created_at: { $gte: since } } },
+      { $group: { _id: { api: '$api', type: '$type' }, count: { $sum: 1 }, last_at: { $max: '$created_at' } } }
+    ]),
+    UpstreamEvent.aggregate([
+      { $match: { created_at: { $gte: since }, type: { $in: CIRCUIT_EVENT_TYPES } } },
+      { $sort: { created_at: -1 } },
+      { $group: { _id: { api: '$api', host: '$host' }, type: { $first: '$type' }, at: { $first: '$created_at' }, message: { $first: '$message' } } }
+    ])
+  ]);
+
+  const apis = {};
+  const entryFor = api => apis[api] || (apis[api] = {
+    api, status: 'ok', retries: 0, failures: 0, circuit_opens: 0, last_event_at: null, open_circuits: []
+  });
+
+  for (const { _id, count, last_at: lastAt } of counts) {
+    const entry = entryFor(_id.api);
+    if (_id.type === 'retry') entry.retries += count;
+    if (_id.type === 'failure') entry.failures += count;
+    if (_id.type === 'circuit_open') entry.circuit_opens += count;
+    if (!entry.last_event_at || lastAt > entry.last_event_at) entry.last_event_at = lastAt;
+  }
+  for (const { _id, type, at, message } of circuits) {
+    if (type === 'circuit_closed') continue;
+    entryFor(_id.api).open_circuits.push({ host: _id.host, state: type.replace('circuit_', ''), since: at, message });
+  }
+  for (const entry of Object.values(apis)) {
+    if (entry.open_circuits.length > 0) entry.status = 'open';
+    else if (entry.retries > 0 || entry.failures > 0) entry.status = 'degraded';
+  }
+
+  return Object.values(apis).sort((a, b) => a.api.localeCompare(b.api));
+}
+
+async function getUpstreamEvents({ api = null, limit = 50 } = {}) {
+  await connectToMongoDB();
+  return await UpstreamEvent.find(api ? { api } : {}, null, { sort: { created_at: -1 }, limit });
+}
+
+// How long API usage counts are kept
+const API_USAGE_MINUTE_RETENTION_DAYS = parseInt(process.env.API_USAGE_MINUTE_RETENTION_DAYS, 10) || 2;
+const API_USAGE_DAY_RETENTION_DAYS = parseInt(process.env.API_USAGE_DAY_RETENTION_DAYS, 10) || 90;
+
+// Add buffered call counts ({ api, method, user, minute, day, count }) to their minute and day totals
+async function incrementApiUsage(entries) {
+  await connectToMongoDB();
+  if (entries.length === 0) return;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const operations = entries.flatMap(({ api, method, user, minute, day, count }) => [
+    ['minute', minute, API_USAGE_MINUTE_RETENTION_DAYS],
+    ['day', day, API_USAGE_DAY_RETENTION_DAYS]
+  ].map(([period, bucket, retentionDays]) => ({
+    updateOne: {
+      filter: { period, bucket, api, method, user: user || '' },
+      update: { $inc: { count }, $setOnInsert: { expires_at: new Date(bucket.getTime() + retentionDays * dayMs) } },
+      upsert: true
+    }
+  })));
+  await ApiUsage.bulkWrite(operations, { ordered: false });
+}
+
+// Calls to one API in one minute or day, across all users or for one user
+async function getApiUsageCount({ period, bucket, api, user = null }) {
+  await connectToMongoDB();
+  const [total] = await ApiUsage.aggregate([
+    { $match: { period, bucket, api, ...(user ? { user } : {}) } },
+    { $group: { _id: null, count: { $sum: '$count' } } }
+  ]);
+  return total?.count || 0;
+}
+
+// Today's calls by API and method and by API and user, plus calls per API for each of the last
+// `minutes` minutes. users limits the per-user breakdown (e.g. to one organization's emails).
+async function getApiUsageSummary({ day, since, users = null }) {
+  await connectToMongoDB();
+  const [byMethod, byUser, perMinute] = await Promise.all([
+    ApiUsage.aggregate([
+      { $match: { period: 'day', bucket: day } },
+      { $group: { _id: { api: '$api', method: '$method' }, count: { $sum: '$count' } } },
+      { $sort: { count: -1 } }
+    ]),
+    ApiUsage.aggregate([
+      { $match: { period: 'day', bucket: day, user: users ? { $in: users } : { $ne: '' } } },
+      { $group: { _id: { api: '$api', user: '$user' }, count: { $sum: '$count' } } },
+      { $sort: { count: -1 } }
+    ]),
+    ApiUsage.aggregate([
+      { $match: { period: 'minute', bucket: { $gte: since } } },
+      { $group: { _id: { api: '$api', bucket: '$bucket' }, count: { $sum: '$count' } } },
+      { $sort: { '_id.bucket': 1 } }
+    ])
+  ]);
+
+  return {
+    by_method: byMethod.map(({ _id, count }) => ({ api: _id.api, method: _id.method, count })),
+    by_user: byUser.map(({ _id, count }) => ({ api: _id.api, user: _id.user, count })),
+    per_minute: perMinute.map(({ _id, count }) => ({ api: _id.api, minute: _id.bucket, count }))
+  };
+}
+
+// User management functions
+
+// Copy the Google profile (see GoogleAuthManager.buildUserProfile) onto a user.
+// Fields the user edits in the dashboard are only filled in when still empty.
+function applyGoogleProfile(user, profile) {
+  if (!profile) return;
+  if (profile.google_id) user.google_id = profile.google_id;
+  if (profile.name) user.name = profile.name;
+  if (profile.avatar_url) user.avatar_url = profile.avatar_url;
+  if (profile.chat_user_id) user.chat_user_id = profile.chat_user_id;
+  if (profile.locale && !user.locale) user.locale = profile.locale;
+}
+
+function getWorkingHours(user) {
+  const hours = user?.working_hours || {};
+  return {
+    start: hours.start || DEFAULT_WORKING_HOURS.start,
+    end: hours.end || DEFAULT_WORKING_HOURS.end,
+    days: hours.days?.length ? hours.days : DEFAULT_WORKING_HOURS.days
+  };
+}
+
+// Whether a moment falls inside working hours ({ start, end, days }) in the given timezone
+function isWithinWorkingHours(workingHours, timeZone, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  const time = `${parts.hour}:${parts.minute}`;
+
+  if (!workingHours.days.includes(day)) return false;
+  // Shifts that cross midnight (e.g. 22:00-06:00) wrap around
+  return workingHours.start <= workingHours.end
+    ? time >= workingHours.start && time < workingHours.end
+    : time >= workingHours.start || time < workingHours.end;
+}
+
+async function createOrUpdateUser(email, tokens, profile = null) {
+  await connectToMongoDB();
+  
+  try {
+    // Users belong to the organization registered for their email domain
+    const organization = await getOrganizationForEmail(email);
+    if (!organization) {
+      const error = new Error(`No organization is registered for ${getEmailDomain(email)}. Ask your administrator to add it.`);
+      error.code = 'ORG_NOT_FOUND';
+      throw error;
+    }
+
+    // Check if user exists
+    let user = await User.findOne({ email });
+    
+    if (user) {
+      user.org_id = user.org_id || organization._id;
+      // Update existing user
+      user.access_token = encryptToken(tokens.access_token);
+      // Google only returns a refresh token on first consent - keep the stored one otherwise
+      if (tokens.refresh_token) {
+        user.refresh_token = encryptToken(tokens.refresh_token);
+      }
+      // include_granted_scopes means this is the full set granted so far
+      if (tokens.scope) {
+        user.granted_scopes = parseScopes(tokens.scope);
+      }
+      user.token_expiry = new Date(tokens.expiry_date);
+      applyGoogleProfile(user, profile);
+      user.updated_at = getLocalDate();
+      // Signing in again reconnects a previously disconnected account and clears any re-auth flag
+      user.is_active = true;
+      user.deactivated_at = undefined;
+      if (user.auth_status !== 'active') {
+        user.auth_status = 'active';
+        user.auth_status_reason = undefined;
+        user.auth_status_changed_at = getLocalDate();
+        user.reauth_notified_at = undefined;
+      }
+      await user.save();
+    } else {
+      // Create new user
+      user = new User({
+        org_id: organization._id,
+        google_id: tokens.google_id || email,
+        email,
+        name: tokens.name || email.split('@')[0],
+        access_token: encryptToken(tokens.access_token),
+        refresh_token: encryptToken(tokens.refresh_token),
+        token_expiry: new Date(tokens.expiry_date),
+        granted_scopes: parseScopes(tokens.scope) || []
+      });
+      applyGoogleProfile(user, profile);
+      await user.save();
+    }
+    
+    return user;
+  } catch (error) {
+    console.error('Error creating/updating user:', error);
+    throw error;
+  }
+}
+
+// OAuth state functions
+async function createAuthState({ state, ip, codeVerifier, redirectTo, features = [], ttlMinutes = 10 }) {
+  await connectToMongoDB();
+  return await AuthState.create({
+    state,
+    ip,
+    code_verifier: codeVerifier,
+    redirect_to: redirectTo || null,
+    features,
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000) // Real UTC time, the TTL index compares against it
+  });
+}
+
+// Atomically mark a state as used. Returns { valid, reason, authState }
+async function consumeAuthState(state) {
+  await connectToMongoDB();
+
+  if (!state) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const now = new Date();
+  const authState = await AuthState.findOneAndUpdate(
+    { state, used_at: null, expires_at: { $gt: now } },
+    { used_at: now },
+    { new: true }
+  );
+
+  if (authState) {
+    return { valid: true, authState };
+  }
+
+  // Work out why it was rejected, for logging and the error page
+  const existing = await AuthState.findOne({ state });
+  if (!existing) return { valid: false, reason: 'unknown' };
+  if (existing.used_at) return { valid: false, reason: 'reused' };
+  return { valid: false, reason: 'expired' };
+}
+
+// Register a Workspace user accessed through the service account. Disconnected users stay disconnected.
+async function enrollServiceAccountUser(email, grantedScopes) {
+  await connectToMongoDB();
+
+  const organization = await getOrganizationForEmail(email);
+  if (!organization) {
+    throw new Error(`No organization registered for domain ${getEmailDomain(email)}`);
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.is_active === false) {
+      return { user: existing, created: false };
+    }
+    existing.auth_mode = 'service_account';
+    existing.granted_scopes = grantedScopes;
+    existing.org_id = existing.org_id || organization._id;
+    await existing.save();
+    return { user: existing, created: false };
+  }
+
+  const user = await User.create({
+    org_id: organization._id,
+    google_id: email,
+    email,
+    name: email.split('@')[0],
+    auth_mode: 'service_account',
+    granted_scopes: grantedScopes
+  });
+  return { user, created: true };
+}
+
+// Save the Google profile fetched for a user outside of sign-in (e.g. delegated users)
+async function updateUserGoogleProfile(userId, profile) {
+  await connectToMongoDB();
+  const user = await User.findById(userId);
+  if (!user) return null;
+  applyGoogleProfile(user, profile);
+  return await user.save();
+}
+
+// Check schedule settings sent from the dashboard and return the copy to store. Cron expressions
+// have five fields since the scheduler ticks once a minute. Errors are built with invalid(message).
+function normalizeSchedule(input, sources, invalid) {
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid('Schedule must be an object');
+  }
+
+  const schedule = {};
+  for (const source of sources) {
+    const settings = input[source];
+    if (settings === undefined || settings === null) continue;
+    if (typeof settings !== 'object') throw invalid(`The ${source} schedule must be an object`);
+
+    const entry = {};
+    if (settings.cron) {
+      const expression = String(settings.cron).trim();
+      if (expression.split(/\s+/).length !== 5 || !cron.validate(expression)) {
+        throw invalid(`Invalid ${source} cron expression: ${settings.cron}`);
+      }
+      entry.cron = expression;
+    }
+    for (const flag of ['enabled', 'working_hours_only']) {
+      if (settings[flag] === undefined || settings[flag] === null) continue;
+      if (typeof settings[flag] !== 'boolean') throw invalid(`${source}.${flag} must be true or false`);
+      entry[flag] = settings[flag];
+    }
+    schedule[source] = entry;
+  }
+
+  if (input.quiet_hours) {
+    const { start, end } = input.quiet_hours;
+    if (!TIME_OF_DAY_PATTERN.test(start || '') || !TIME_OF_DAY_PATTERN.test(end || '')) {
+      throw invalid('Quiet hours must use HH:MM (24-hour) start and end times');
+    }
+    schedule.quiet_hours = { start, end };
+  }
+  if (input.skip_weekends !== undefined && input.skip_weekends !== null) {
+    if (typeof input.skip_weekends !== 'boolean') throw invalid('skip_weekends must be true or false');
+    schedule.skip_weekends = input.skip_weekends;
+  }
+  return schedule;
+}
+
+// Apply dashboard profile edits. Throws an error with code INVALID_PROFILE for bad values.
+async function updateUserProfile(userId, updates) {
+  await connectToMongoDB();
+
+  const invalid = message => Object.assign(new Error(message), { code: 'INVALID_PROFILE' });
+  const set = {};
+  const unset = {};
+
+  if (updates.display_name !== undefined) {
+    const displayName = (updates.display_name || '').trim();
+    if (displayName) set.display_name = displayName.slice(0, 100);
+    else unset.display_name = '';
+  }
+  if (updates.locale !== undefined) {
+    if (updates.locale && !/^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(updates.locale)) {
+      throw invalid(`Invalid locale: ${updates.locale}`);
+    }
+    if (updates.locale) set.locale = updates.locale;
+    else unset.locale = '';
+  }
+  if (updates.timezone !== undefined) {
+    if (updates.timezone && !isValidTimezone(updates.timezone)) {
+      throw invalid(`Unknown timezone: ${updates.timezone}`);
+    }
+    if (updates.timezone) set.timezone = updates.timezone;
+    else unset.timezone = '';
+  }
+  if (updates.working_hours !== undefined) {
+    const { start, end, days } = updates.working_hours || {};
+    if (!TIME_OF_DAY_PATTERN.test(start || '') || !TIME_OF_DAY_PATTERN.test(end || '')) {
+      throw invalid('Working hours must use HH:MM (24-hour) start and end times');
+    }
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw invalid('Working days must be a non-empty list of numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+    set.working_hours = { start, end, days: [...new Set(days)].sort((a, b) => a - b) };
+  }
+  if (updates.sync_schedule !== undefined) {
+    if (updates.sync_schedule) set.sync_schedule = normalizeSchedule(updates.sync_schedule, SYNC_SOURCES, invalid);
+    else unset.sync_schedule = '';
+  }
+
+  set.updated_at = getLocalDate();
+  const update = { $set: set };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+  return await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true });
+}
+
+// Profile as shown and edited in the dashboard
+function toUserProfile(user, organization = null) {
+  return {
+    google_id: user.google_id,
+    name: user.name,
+    display_name: user.display_name || user.name,
+    avatar_url: user.avatar_url || null,
+    chat_user_id: user.chat_user_id || null,
+    locale: user.locale || null,
+    timezone: resolveTimezone(user, organization),
+    timezone_is_default: !user.timezone,
+    working_hours: getWorkingHours(user),
+    // Only what the user set; anything missing follows the organization's schedule
+    sync_schedule: user.toObject().sync_schedule || {}
+  };
+}
+
+async function getUserByEmail(email) {
+  await connectToMongoDB();
+  return await User.findOne({ email });
+}
+
+// Session and API token functions - only SHA-256 hashes of the secrets are stored
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Create a session and return the raw token for the cookie
+async function createSession({ userId, email, ip, userAgent, ttlHours = 12 }) {
+  await connectToMongoDB();
+  const token = crypto.randomBytes(32).toString('base64url');
+  await Session.create({
+    token_hash: hashSecret(token),
+    user_id: userId || null,
+    email,
+    ip,
+    user_agent: userAgent,
+    expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+  return token;
+}
+
+async function getSessionByToken(token) {
+  await connectToMongoDB();
+  if (!token) return null;
+  return await Session.findOne({ token_hash: hashSecret(token), expires_at: { $gt: new Date() } });
+}
+
+async function deleteSession(token) {
+  await connectToMongoDB();
+  if (!token) return;
+  await Session.deleteOne({ token_hash: hashSecret(token) });
+}
+
+// Create an API token and return the raw value - it is only ever shown once
+async function createApiToken({ userId, name, scopes, expiresInDays = null }) {
+  await connectToMongoDB();
+  const token = `pmk_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiToken = await ApiToken.create({
+    name,
+    token_hash: hashSecret(token),
+    token_prefix: token.slice(0, 8),
+    user_id: userId,
+    scopes,
+    expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+  return { token, apiToken };
+}
+
+// Look up a usable (not revoked, not expired) API token and record its use
+async function findActiveApiToken(token) {
+  await connectToMongoDB();
+  if (!token) return null;
+  const now = new Date();
+  return await ApiToken.findOneAndUpdate(
+    {
+      token_hash: hashSecret(token),
+      revoked_at: null,
+      $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+    },
+    { last_used_at: now },
+    { new: true }
+  );
+}
+
+// Token queries are always scoped to a user or an organization, never run across everyone
+async function tokenOwnerFilter(userId, orgId) {
+  if (userId) return { user_id: userId };
+  if (orgId) return { user_id: { $in: await getOrganizationUserIds(orgId) } };
+  throw Object.assign(new Error('A user or organization is required to look up API tokens'), { code: 'MISSING_TOKEN_OWNER' });
+}
+
+// Lists one user's tokens, or every token owned by an organization's users when only orgId is given
+async function listApiTokens(userId = null, orgId = null) {
+  await connectToMongoDB();
+  return await ApiToken.find(
+    await tokenOwnerFilter(userId, orgId),
+    { token_hash: 0 },
+    { sort: { created_at: -1 } }
+  );
+}
+
+async function revokeApiToken(tokenId, userId = null, orgId = null) {
+  await connectToMongoDB();
+  const filter = { _id: tokenId, revoked_at: null, ...await tokenOwnerFilter(userId, orgId) };
+  return await ApiToken.findOneAndUpdate(filter, { revoked_at: new Date() }, { new: true, projection: { token_hash: 0 } });
+}
+
+async function getUserById(userId) {
+  await connectToMongoDB();
+  return await User.findById(userId);
+}
+
+// Re-authorization functions
+
+// Flag a user whose refresh token no longer works; getAllActiveUsers skips them from now on
+async function markUserNeedsReauth(userId, reason) {
+  await connectToMongoDB();
+  return await User.findByIdAndUpdate(
+    userId,
+    {
+      auth_status: 'needs_reauth',
+      auth_status_reason: reason,
+      auth_status_changed_at: getLocalDate(),
+      updated_at: getLocalDate()
+    },
+    { new: true }
+  );
+}
+
+async function markReauthNotified(userId) {
+  await connectToMongoDB();
+  return await User.findByIdAndUpdate(userId, { reauth_notified_at: getLocalDate() }, { new: true });
+}
+
+async function getUsersNeedingReauth(orgId = null) {
+  await connectToMongoDB();
+  const users = await User.find(
+    { ...(orgId ? { org_id: orgId } : {}), is_active: { $ne: false }, auth_status: 'needs_reauth' },
+    { org_id: 1, email: 1, name: 1, granted_scopes: 1, auth_status_reason: 1, auth_status_changed_at: 1, reauth_notified_at: 1 }
+  );
+  return users.map(user => ({
+    id: user._id,
+    org_id: user.org_id,
+    email: user.email,
+    name: user.name,
+    granted_scopes: user.granted_scopes,
+    reason: user.auth_status_reason,
+    since: user.auth_status_changed_at,
+    notified_at: user.reauth_notified_at
+  }));
+}
+
+// Account disconnect functions
+
+// Mark a user inactive and drop their stored tokens so getAllActiveUsers skips them
+async function deactivateUser(userId) {
+  await connectToMongoDB();
+  // Revoke rather than just ignore the user's API tokens, so reconnecting doesn't bring them back
+  await ApiToken.updateMany({ user_id: userId, revoked_at: null }, { revoked_at: new Date() });
+  return await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { is_active: false, deactivated_at: getLocalDate(), updated_at: getLocalDate() },
+      $unset: { access_token: '', refresh_token: '', granted_scopes: '' }
+    },
+    { new: true }
+  );
+}
+
+// Remove the suggested replies written for a user from their organization's analysis results,
+// returning how many were removed
+async function removeSuggestedReplies(email) {
+  const [analysis] = await LLMAnalysisResult.aggregate([
+    { $match: { 'responses.for_user': email } },
+    { $unwind: '$responses' },
+    { $match: { 'responses.for_user': email } },
+    { $count: 'count' }
+  ]);
+  if (!analysis) return 0;
+
+  await LLMAnalysisResult.updateMany(
+    { 'responses.for_user': email },
+    [
+      { $set: { responses: { $filter: { input: '$responses', cond: { $ne: ['$$this.for_user', email] } } } } },
+      { $set: { total_responses: { $size: '$responses' } } }
+    ]
+  );
+  return analysis.count;
+}
+
+// Delete all stored data of a user, returning the number removed per collection
+async function purgeUserData(user) {
+  await connectToMongoDB();
+  const userId = user._id;
+  const [chatResult, gmailResult, , , , backfillResult, pushResult, syncLogResult] = await Promise.all([
+    ChatMessage.deleteMany({ user_id: userId }),
+    GmailMessage.deleteMany({ user_id: userId }),
+    ChatThread.deleteMany({ user_id: userId }),
+    // Without the messages the sync cursors would skip history if the user reconnects
+    SpaceCursor.deleteMany({ user_id: userId }),
+    User.findByIdAndUpdate(userId, { $unset: { gmail_history_id: 1, gmail_retry_message_ids: 1 } }),
+    BackfillJob.deleteMany({ user_id: userId }),
+    PushSubscription.deleteMany({ user_id: userId }),
+    SyncLog.deleteMany({ user_id: userId })
+  ]);
+
+  return {
+    chat_messages: chatResult.deletedCount || 0,
+    gmail_messages: gmailResult.deletedCount || 0,
+    analysis_responses: await removeSuggestedReplies(user.email),
+    backfill_jobs: backfillResult.deletedCount || 0,
+    push_subscriptions: pushResult.deletedCount || 0,
+    sync_logs: syncLogResult.deletedCount || 0
+  };
+}
+
+// Backfill job functions
+
+async function createBackfillJob(job) {
+  await connectToMongoDB();
+  return await BackfillJob.create(job);
+}
+
+async function getBackfillJob(jobId, orgId = null) {
+  await connectToMongoDB();
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  return await BackfillJob.findOne({ _id: jobId, ...(orgId ? { org_id: orgId } : {}) });
+}
+
+async function getBackfillJobs(orgId = null, limit = 50) {
+  await connectToMongoDB();
+  return await BackfillJob.find(orgId ? { org_id: orgId } : {}, null, { sort: { created_at: -1 }, limit });
+}
+
+// Take a job for running: the given one, or else the oldest waiting one. Jobs left running by a
+// runner that stopped renewing its lease are picked up again.
+async function claimBackfillJob(jobId = null, leaseMs = 5 * 60 * 1000) {
+  await connectToMongoDB();
+  const now = new Date();
+  return await BackfillJob.findOneAndUpdate(
+    {
+      ...(jobId ? { _id: jobId } : {}),
+      $or: [
+        { status: 'pending' },
+        { status: 'running', lease_expires_at: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lease_expires_at: new Date(now.getTime() + leaseMs), updated_at: now },
+      $min: { started_at: now }
+    },
+    { new: true, sort: { created_at: 1 } }
+  );
+}
+
+// Save where the job got to, add to its progress counters and renew the lease
+async function saveBackfillCheckpoint(jobId, checkpoint, progress = {}, leaseMs = 5 * 60 * 1000) {
+  await connectToMongoDB();
+  const increments = Object.fromEntries(
+    Object.entries(progress).map(([field, amount]) => [`progress.${field}`, amount])
+  );
+  return await BackfillJob.findByIdAndUpdate(
+    jobId,
+    {
+      $set: { checkpoint, attempts: 0, lease_expires_at: new Date(Date.now() + leaseMs), updated_at: new Date() },
+      ...(Object.keys(increments).length > 0 ? { $inc: increments } : {})
+    },
+    { new: true }
+  );
+}
+
+// End a run: completed, failed, or back to pending so a later run resumes from the checkpoint
+async function releaseBackfillJob(jobId, status, lastError = null) {
+  await connectToMongoDB();
+  const update = {
+    $set: {
+      status,
+      lease_expires_at: null,
+      updated_at: new Date(),
+      ...(status === 'completed' || status === 'failed' ? { completed_at: new Date() } : {}),
+      ...(lastError ? { last_error: lastError } : {})
+    },
+    ...(lastError ? { $inc: { attempts: 1 } } : {})
+  };
+  // A job cancelled while it was running stays cancelled
+  return await BackfillJob.findOneAndUpdate({ _id: jobId, status: { $ne: 'cancelled' } }, update, { new: true });
+}
+
+async function cancelBackfillJob(jobId, orgId = null) {
+  await connectToMongoDB();
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  return await BackfillJob.findOneAndUpdate(
+    { _id: jobId, ...(orgId ? { org_id: orgId } : {}), status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'cancelled', lease_expires_at: null, updated_at: new Date(), completed_at: new Date() } },
+    { new: true }
+  );
+}
+
+// Push subscription functions
+
+async function getPushSubscription(kind, target) {
+  await connectToMongoDB();
+  return await PushSubscription.findOne({ kind, target });
+}
+
+async function getPushSubscriptionByName(subscriptionName) {
+  await connectToMongoDB();
+  return await PushSubscription.findOne({ subscription_name: subscriptionName });
+}
+
+async function getPushSubscriptions(orgId = null) {
+  await connectToMongoDB();
+  return await PushSubscription.find(orgId ? { org_id: orgId } : {}, null, { sort: { kind: 1, target: 1 } });
+}
+
+// Create or update the one subscription kept per mailbox or space
+async function savePushSubscription(kind, target, fields) {
+  await connectToMongoDB();
+  return await PushSubscription.findOneAndUpdate(
+    { kind, target },
+    { $set: { ...fields, updated_at: new Date() }, $setOnInsert: { created_at: new Date() } },
+    { upsert: true, new: true }
+  );
+}
+
+async function recordPushNotification(kind, target) {
+  await connectToMongoDB();
+  await PushSubscription.updateOne(
+    { kind, target },
+    { $set: { last_notification_at: new Date() }, $inc: { notifications_received: 1 } }
+  );
+}
+
+// Job lock functions
+
+// Take the lock if it is free, expired or already ours. Returns null while someone else holds it.
+async function acquireJobLock(key, owner, leaseMs, runId = null) {
+  await connectToMongoDB();
+  const now = new Date();
+  try {
+    return await JobLock.findOneAndUpdate(
+      { key, $or: [{ expires_at: { $lt: now } }, { owner }] },
+      {
+        $set: { owner, run_id: runId, acquired_at: now, heartbeat_at: now, expires_at: new Date(now.getTime() + leaseMs) }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with the holder's document on the unique key
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+// Extend our lease. Returns false if the lock was lost (it expired and someone else took it).
+async function renewJobLock(key, owner, leaseMs) {
+  await connectToMongoDB();
+  const now = new Date();
+  const result = await JobLock.updateOne(
+    { key, owner },
+    { $set: { heartbeat_at: now, expires_at: new Date(now.getTime() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+}
+
+async function releaseJobLock(key, owner) {
+  await connectToMongoDB();
+  await JobLock.deleteOne({ key, owner });
+}
+
+async function getJobLock(key) {
+  await connectToMongoDB();
+  return await JobLock.findOne({ key, expires_at: { $gt: new Date() } });
+}
+
+// Job run functions
+
+async function createJobRun(trigger, host = null) {
+  await connectToMongoDB();
+  return await JobRun.create({ trigger, host });
+}
+
+// Add one user/source outcome to a run and its totals
+async function recordJobRunResult(runId, result) {
+  await connectToMongoDB();
+  await JobRun.updateOne(
+    { _id: runId },
+    {
+      $push: { results: result },
+      ...(result.org_id ? { $addToSet: { org_ids: result.org_id } } : {}),
+      $inc: {
+        'totals.items': result.items || 0,
+        'totals.errors': result.status === 'error' ? 1 : 0,
+        'totals.locked': result.status === 'locked' ? 1 : 0
+      }
+    }
+  );
+}
+
+// Close a run: failed when it stopped with an error, partial when some users or sources failed
+async function finishJobRun(runId, error = null) {
+  await connectToMongoDB();
+  const run = await JobRun.findById(runId);
+  if (!run) return null;
+  const finishedAt = new Date();
+  run.status = error ? 'failed' : run.totals.errors > 0 ? 'partial' : 'completed';
+  run.error = error ? error.message || String(error) : undefined;
+  run.finished_at = finishedAt;
+  run.duration_ms = finishedAt - run.started_at;
+  return await run.save();
+}
+
+// Recent runs, newest first. With orgId only runs that touched the organization are returned,
+// and only its own results.
+async function getJobRuns(orgId = null, { limit = 20, trigger = null, status = null } = {}) {
+  await connectToMongoDB();
+  const runs = await JobRun.find({
+    ...(orgId ? { org_ids: orgId } : {}),
+    ...(trigger ? { trigger } : {}),
+    ...(status ? { status } : {})
+  }, null, { sort: { started_at: -1 }, limit }).lean();
+  return orgId ? runs.map(run => scopeJobRun(run, orgId)) : runs;
+}
+
+async function getJobRun(runId, orgId = null) {
+  await connectToMongoDB();
+  if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+  const run = await JobRun.findOne({ _id: runId, ...(orgId ? { org_ids: orgId } : {}) }).lean();
+  return run && orgId ? scopeJobRun(run, orgId) : run;
+}
+
+function scopeJobRun(run, orgId) {
+  return {
+    ...run,
+    org_ids: [orgId],
+    results: run.results.filter(result => String(result.org_id) === String(orgId))
+  };
+}
+
+async function createDeletionReport(report) {
+  await connectToMongoDB();
+  return await DeletionReport.create(report);
+}
+
+async function getDeletionReports(userId = null, limit = 20, orgId = null) {
+  await connectToMongoDB();
+  return await DeletionReport.find(
+    { ...(userId ? { user_id: userId } : {}), ...(orgId ? { org_id: orgId } : {}) },
+    null,
+    { sort: { created_at: -1 }, limit }
+  );
+}
+
+async function healthCheck() {
   try {
     await connectToMongoDB();
     return { status: 'connected', timestamp: getLocalDate() };
@@ -436,15 +2319,17 @@ async function healthCheck() {
   }
 }
 
-async function getDashboardStats() {
+async function getDashboardStats(orgId = null) {
   await connectToMongoDB();
   
-  const totalUsers = await User.countDocuments();
-  const totalGmailMessages = await GmailMessage.countDocuments();
-  const totalChatMessages = await ChatMessage.countDocuments();
+  const orgFilter = orgId ? { org_id: orgId } : {};
+  const totalUsers = await User.countDocuments(orgFilter);
+  const totalGmailMessages = await GmailMessage.countDocuments(orgFilter);
+  const totalChatMessages = await ChatMessage.countDocuments(orgFilter);
   
   // Get users with recent activity
   const activeUsers = await User.find({
+    ...orgFilter,
     $or: [
       { last_gmail_sync: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } },
       { last_chat_sync: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } }
@@ -487,20 +2372,32 @@ async function getUserStats(userId) {
   };
 }
 
-async function getRecentSyncLogs(userId, limit = 10) {
-  // For now, return empty array since we're not storing sync logs in MongoDB
-  // In the future, you could create a SyncLog collection
-  return [];
+// Sync log filters from ?sync_status=success|error&sync_type=chat|gmail|auth; unknown values are ignored
+function parseSyncLogFilters(query = {}) {
+  return {
+    status: ['success', 'error'].includes(query.sync_status) ? query.sync_status : null,
+    syncType: ['chat', 'gmail', 'auth'].includes(query.sync_type) ? query.sync_type : null
+  };
+}
+
+// A user's latest sync logs, newest first, optionally only one status (success|error) or type (chat|gmail|auth)
+async function getRecentSyncLogs(userId, limit = 10, { status = null, syncType = null } = {}) {
+  await connectToMongoDB();
+  return await SyncLog.find({
+    user_id: userId,
+    ...(status ? { status } : {}),
+    ...(syncType ? { sync_type: syncType } : {})
+  }, { 'error.stack': 0, expires_at: 0 }, { sort: { completed_at: -1 }, limit }).lean();
 }
 
 // LLM Analysis Result functions
-async function saveLLMAnalysisResults(analysisData) {
+async function saveLLMAnalysisResults(analysisData, orgId = null) {
   await connectToMongoDB();
   
   try {
-    // First, mark all existing results as not latest
+    // First, mark the organization's existing results as not latest
     await LLMAnalysisResult.updateMany(
-      { is_latest: true },
+      { org_id: orgId, is_latest: true },
       { is_latest: false }
     );
     
@@ -519,6 +2416,7 @@ async function saveLLMAnalysisResults(analysisData) {
     
     // Create new analysis result
     const analysisResult = new LLMAnalysisResult({
+      org_id: orgId,
       generated_at: generatedAtDate,
       total_responses: analysisData.total_responses || 0,
       responses: analysisData.responses || [],
@@ -537,12 +2435,17 @@ async function saveLLMAnalysisResults(analysisData) {
   }
 }
 
-async function getLatestLLMAnalysisResults() {
+// Suggested replies for one user only (forUser is their email), or everyone's when forUser is null
+function filterResponsesForUser(responses, forUser) {
+  return forUser ? responses.filter(response => response.for_user === forUser) : responses;
+}
+
+async function getLatestLLMAnalysisResults(orgId = null, timeZone = DEFAULT_TIMEZONE, forUser = null) {
   await connectToMongoDB();
   
   try {
     const latestResult = await LLMAnalysisResult.findOne(
-      { is_latest: true },
+      { org_id: orgId, is_latest: true },
       null,
       { sort: { generated_at: -1 } }
     );
@@ -552,19 +2455,11 @@ async function getLatestLLMAnalysisResults() {
     }
     
     // Convert to the expected format
+    const responses = filterResponsesForUser(latestResult.responses, forUser);
     return {
-      generated_at: latestResult.generated_at.toLocaleString('en-IN', {
-        timeZone: 'Asia/Kolkata',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-      }).replace(/(\d{4})-(\d{2})-(\d{2}), (\d{2}):(\d{2}):(\d{2})/, '$3/$2/$1, $4:$5:$6'),
-      total_responses: latestResult.total_responses,
-      responses: latestResult.responses
+      generated_at: formatDateTime(latestResult.generated_at, timeZone),
+      total_responses: responses.length,
+      responses
     };
     
   } catch (error) {
@@ -573,12 +2468,12 @@ async function getLatestLLMAnalysisResults() {
   }
 }
 
-async function getAllLLMAnalysisResults(limit = 20) {
+async function getAllLLMAnalysisResults(limit = 20, orgId = null, timeZone = DEFAULT_TIMEZONE, forUser = null) {
   await connectToMongoDB();
   
   try {
     const results = await LLMAnalysisResult.find(
-      {},
+      { org_id: orgId },
       null,
       { 
         sort: { generated_at: -1 },
@@ -586,23 +2481,17 @@ async function getAllLLMAnalysisResults(limit = 20) {
       }
     );
     
-    return results.map(result => ({
-      id: result._id,
-      generated_at: result.generated_at.toLocaleString('en-IN', {
-        timeZone: 'Asia/Kolkata',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-      }).replace(/(\d{4})-(\d{2})-(\d{2}), (\d{2}):(\d{2}):(\d{2})/, '$3/$2/$1, $4:$5:$6'),
-      total_responses: result.total_responses,
-      responses: result.responses,
-      is_latest: result.is_latest,
-      analysis_version: result.analysis_version
-    }));
+    return results.map(result => {
+      const responses = filterResponsesForUser(result.responses, forUser);
+      return {
+        id: result._id,
+        generated_at: formatDateTime(result.generated_at, timeZone),
+        total_responses: responses.length,
+        responses,
+        is_latest: result.is_latest,
+        analysis_version: result.analysis_version
+      };
+    });
     
   } catch (error) {
     console.error('❌ Failed to get LLM analysis results from MongoDB:', error);
@@ -612,37 +2501,142 @@ async function getAllLLMAnalysisResults(limit = 20) {
 
 module.exports = {
   connectToMongoDB,
+  Organization,
   User,
+  AuthState,
+  DeletionReport,
+  Session,
+  ApiToken,
   GmailMessage,
   ChatMessage,
+  ChatThread,
   LLMAnalysisResult,
+  Space,
+  SpaceCursor,
+  BackfillJob,
+  PushSubscription,
+  JobLock,
+  JobRun,
+  SyncLog,
+  UpstreamEvent,
+  ApiUsage,
   mongoose,
   getLocalDate,
+  formatDateTime,
+  isValidTimezone,
+  resolveTimezone,
+  DEFAULT_TIMEZONE,
+  DEFAULT_WORKING_HOURS,
+  SYNC_SOURCES,
   toLocalDate,
+  // Organization functions
+  getEmailDomain,
+  createOrganization,
+  getOrganizationById,
+  getOrganizationBySlug,
+  getOrganizationByDomain,
+  getOrganizationForEmail,
+  getActiveOrganizations,
+  updateOrganizationSchedule,
+  markOrganizationAnalyzed,
+  getOrganizationUserIds,
   // Utility functions
   getAllActiveUsers,
   updateUserTokens,
   insertGmailMessages,
+  getStoredGmailMessageIds,
+  updateGmailMessageLabels,
+  markGmailMessagesDeleted,
+  setGmailHistoryId,
   hasExistingGmailMessages,
   getLastGmailSyncTime,
   getLatestGmailMessageTime,
   getRecentGmailMessages,
   insertChatMessages,
+  upsertChatMessages,
+  getChatReactionCounts,
   hasExistingChatMessages,
   getLastChatSyncTime,
   getLatestChatMessageTime,
   getChatMessagesBySpace,
+  getChatSpaceIdsForUser,
   getChatMessagesByUser,
   hasExistingChatMessagesInSpace, // Add new function
+  refreshChatThreads,
+  getChatThreads,
+  getChatThread,
+  getChatThreadMessages,
+  getSpaceAttachments,
+  upsertSpace,
+  getSpaces,
+  setSpaceEnabled,
+  getSpacesWithCursors,
+  updateSpaceCursor,
+  syncUserSpaces,
+  markSpacesLeft,
+  countSpaceMembers,
+  getSpaceMemberUserIds,
+  archiveSpace,
   getLatestChatMessageCreateTimeForSpace, // Add new function
   createSyncLog,
   // Server functions
   createOrUpdateUser,
+  updateUserGoogleProfile,
+  updateUserProfile,
+  getWorkingHours,
+  isWithinWorkingHours,
+  toUserProfile,
   getUserByEmail,
+  getUserById,
+  enrollServiceAccountUser,
+  createAuthState,
+  consumeAuthState,
+  createSession,
+  getSessionByToken,
+  deleteSession,
+  createApiToken,
+  findActiveApiToken,
+  listApiTokens,
+  revokeApiToken,
+  markUserNeedsReauth,
+  markReauthNotified,
+  getUsersNeedingReauth,
+  deactivateUser,
+  purgeUserData,
+  createDeletionReport,
+  getDeletionReports,
+  createBackfillJob,
+  getBackfillJob,
+  getBackfillJobs,
+  claimBackfillJob,
+  saveBackfillCheckpoint,
+  releaseBackfillJob,
+  cancelBackfillJob,
+  getPushSubscription,
+  getPushSubscriptionByName,
+  getPushSubscriptions,
+  savePushSubscription,
+  recordPushNotification,
+  acquireJobLock,
+  renewJobLock,
+  releaseJobLock,
+  getJobLock,
+  createJobRun,
+  recordJobRunResult,
+  finishJobRun,
+  getJobRuns,
+  getJobRun,
   healthCheck,
   getDashboardStats,
   getUserStats,
   getRecentSyncLogs,
+  recordUpstreamEvent,
+  getUpstreamHealth,
+  getUpstreamEvents,
+  incrementApiUsage,
+  getApiUsageCount,
+  getApiUsageSummary,
+  parseSyncLogFilters,
   // LLM Analysis Result functions
   saveLLMAnalysisResults,
   getLatestLLMAnalysisResults,
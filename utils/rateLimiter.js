@@ -0,0 +1,92 @@
+// Token bucket rate limiting for outgoing Google API calls, plus a small worker pool.
+// GoogleAuthManager holds one limiter per API so every fetch running in parallel shares it.
+//
+// GOOGLE_API_RATE_LIMITS format: "gmail:20,chat:10" - requests per second per API. APIs that
+// aren't listed keep their default from DEFAULT_RATE_LIMITS.
+
+const DEFAULT_RATE_LIMITS = {
+  gmail: 20,
+  chat: 10,
+  people: 10,
+  admin: 5,
+  events: 5 // Workspace Events subscriptions
+};
+
+class RateLimiter {
+  constructor(requestsPerSecond, burst = requestsPerSecond) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    // Callers are served one at a time so waiting requests keep their order
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Resolves once a request may be sent. A batch request costs one token per call it contains;
+  // going below zero makes the next callers wait for the debt to be paid back.
+  acquire(cost = 1) {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      const needed = Math.min(cost, this.capacity);
+      if (this.tokens < needed) {
+        const waitMs = Math.ceil(((needed - this.tokens) / this.requestsPerSecond) * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= cost;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+// Limiters for every known API, with overrides from a GOOGLE_API_RATE_LIMITS style string
+function createRateLimiters(config = '') {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  for (const entry of String(config || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [api, value] = entry.split(':');
+    const requestsPerSecond = parseFloat(value);
+    if (api && requestsPerSecond > 0) {
+      limits[api.trim()] = requestsPerSecond;
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(limits).map(([api, requestsPerSecond]) => [api, new RateLimiter(requestsPerSecond)])
+  );
+}
+
+// Run worker over items with at most `concurrency` running at once. Results keep the item order;
+// a failed item yields { error } instead of stopping the others.
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+module.exports = {
+  RateLimiter,
+  createRateLimiters,
+  mapWithConcurrency,
+  DEFAULT_RATE_LIMITS
+};
@@ -0,0 +1,187 @@
+// Retry policies and circuit breakers for outgoing Google API calls (see
+// GoogleAuthManager.executeWithRetry).
+//
+// GOOGLE_API_RETRY_POLICIES format: "gmail:5:500,chat:4" - api:maxRetries[:baseDelayMs[:maxDelayMs]].
+// APIs that aren't listed use DEFAULT_RETRY_POLICY. Delays grow exponentially with full jitter,
+// unless the response says how long to wait in a Retry-After header.
+//
+// A breaker per API opens after CIRCUIT_BREAKER_FAILURE_THRESHOLD calls in a row fail with upstream
+// errors, pausing that API for every user. After CIRCUIT_BREAKER_COOLDOWN_SECONDS one trial call goes
+// through; if it fails too, the pause doubles (up to CIRCUIT_BREAKER_MAX_COOLDOWN_SECONDS).
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3, // Attempts in total, the first one included
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 60000 // A Retry-After longer than this fails the call instead of waiting
+};
+
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_BREAKER_COOLDOWN_MS = (parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS, 10) || 60) * 1000;
+const CIRCUIT_BREAKER_MAX_COOLDOWN_MS = (parseInt(process.env.CIRCUIT_BREAKER_MAX_COOLDOWN_SECONDS, 10) || 600) * 1000;
+
+// Connection failures worth another try
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// 403 reasons for per-minute quotas, which free up again shortly (dailyLimitExceeded does not)
+const QUOTA_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'RATE_LIMIT_EXCEEDED']);
+
+// Policies for every known API, with overrides from a GOOGLE_API_RETRY_POLICIES style string
+function createRetryPolicies(config = '') {
+  const policies = {};
+  for (const entry of String(config || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [api, maxRetries, baseDelayMs, maxDelayMs] = entry.split(':').map(part => part.trim());
+    if (!api) continue;
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    if (parseInt(maxRetries, 10) > 0) policy.maxRetries = parseInt(maxRetries, 10);
+    if (parseInt(baseDelayMs, 10) > 0) policy.baseDelayMs = parseInt(baseDelayMs, 10);
+    if (parseInt(maxDelayMs, 10) > 0) policy.maxDelayMs = parseInt(maxDelayMs, 10);
+    policies[api] = policy;
+  }
+  return policies;
+}
+
+function getHttpStatus(error) {
+  const status = error?.response?.status ?? error?.status ?? error?.code;
+  return typeof status === 'number' ? status : parseInt(status, 10) || null;
+}
+
+// The first error reason Google returned, e.g. rateLimitExceeded
+function getErrorReason(error) {
+  const body = error?.response?.data?.error;
+  return error?.errors?.[0]?.reason ||
+    body?.errors?.[0]?.reason ||
+    body?.details?.find(detail => detail.reason)?.reason ||
+    (body?.status === 'RESOURCE_EXHAUSTED' ? 'RATE_LIMIT_EXCEEDED' : null);
+}
+
+// Why an error is worth retrying (network, status or quota), or null when it isn't. Retryable
+// errors are also the ones that count against the API's circuit breaker.
+function classifyRetryableError(error) {
+  const networkCode = error?.code || error?.cause?.code;
+  if (NETWORK_ERROR_CODES.has(networkCode) || /socket hang up/i.test(error?.message || '')) {
+    return 'network';
+  }
+
+  const status = getHttpStatus(error);
+  if (RETRYABLE_STATUSES.has(status)) return 'status';
+  if (status === 403 && QUOTA_REASONS.has(getErrorReason(error))) return 'quota';
+  return null;
+}
+
+// Milliseconds the server asked us to wait (Retry-After holds seconds or an HTTP date), or null
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random wait up to the exponential backoff for this attempt (1-based)
+function getBackoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+class CircuitBreaker {
+  constructor(api, { failureThreshold = CIRCUIT_BREAKER_FAILURE_THRESHOLD, cooldownMs = CIRCUIT_BREAKER_COOLDOWN_MS } = {}) {
+    this.api = api;
+    this.failureThreshold = failureThreshold;
+    this.baseCooldownMs = cooldownMs;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed'; // closed -> open -> half_open -> closed (or back to open)
+    this.failures = 0;
+    this.openedAt = null;
+    this.rejected = 0;
+    this.lastError = null;
+  }
+
+  // Throws a CIRCUIT_OPEN error while the API is paused. Returns 'half_open' when this call is the
+  // trial after a cooldown, null otherwise.
+  beforeCall() {
+    if (this.state === 'closed') return null;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      return 'half_open';
+    }
+
+    this.rejected++;
+    const retryAfterMs = this.state === 'open' ? this.cooldownMs - (Date.now() - this.openedAt) : this.cooldownMs;
+    throw Object.assign(
+      new Error(`${this.api} API is paused after repeated failures (${this.lastError || 'upstream errors'}); retrying in ${Math.ceil(retryAfterMs / 1000)}s`),
+      { code: 'CIRCUIT_OPEN', api: this.api, retryAfterMs }
+    );
+  }
+
+  // Returns 'closed' when a trial call closed the breaker
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state === 'closed') return null;
+    this.state = 'closed';
+    this.cooldownMs = this.baseCooldownMs;
+    this.openedAt = null;
+    return 'closed';
+  }
+
+  // Returns 'open' when this failure opened the breaker
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message?.slice(0, 200) || null;
+
+    if (this.state === 'half_open') {
+      this.cooldownMs = Math.min(this.cooldownMs * 2, CIRCUIT_BREAKER_MAX_COOLDOWN_MS);
+    } else if (this.state === 'open' || this.failures < this.failureThreshold) {
+      return null;
+    }
+    this.state = 'open';
+    this.openedAt = Date.now();
+    return 'open';
+  }
+
+  getStatus() {
+    return {
+      api: this.api,
+      state: this.state,
+      consecutive_failures: this.failures,
+      rejected_calls: this.rejected,
+      opened_at: this.openedAt ? new Date(this.openedAt) : null,
+      cooldown_ms: this.cooldownMs,
+      last_error: this.lastError
+    };
+  }
+}
+
+// Breakers live for the whole process, so every GoogleAuthManager and every user share them
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(api) {
+  if (!circuitBreakers.has(api)) circuitBreakers.set(api, new CircuitBreaker(api));
+  return circuitBreakers.get(api);
+}
+
+function getCircuitBreakerStatus() {
+  return [...circuitBreakers.values()].map(breaker => breaker.getStatus());
+}
+
+module.exports = {
+  CircuitBreaker,
+  createRetryPolicies,
+  classifyRetryableError,
+  getRetryAfterMs,
+  getBackoffDelay,
+  getHttpStatus,
+  getErrorReason,
+  getCircuitBreaker,
+  getCircuitBreakerStatus,
+  DEFAULT_RETRY_POLICY
+};
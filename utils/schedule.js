@@ -0,0 +1,208 @@
+// Collection schedules. Chat and Gmail syncs each follow a cron expression read in the user's
+// timezone, and analysis one read in the organization's. A user's settings override their
+// organization's, which override the defaults below. Quiet hours and days off are skipped.
+// node-cron only validates the expressions (normalizeSchedule); they are matched here, with every
+// field required to match as node-cron does.
+
+const { resolveTimezone, DEFAULT_WORKING_HOURS } = require('./mongodb');
+
+// Minutes between syncs when nothing else is configured. With push ingestion on, notifications bring
+// changes in as they happen and polling only catches up on missed ones, so it runs less often by default.
+const FETCH_INTERVAL_MINUTES = parseInt(process.env.FETCH_INTERVAL_MINUTES, 10) || (process.env.PUBSUB_TOPIC ? 30 : 10);
+
+const DEFAULT_CRON = {
+  chat: process.env.CHAT_SYNC_CRON || `*/${FETCH_INTERVAL_MINUTES} * * * *`,
+  gmail: process.env.GMAIL_SYNC_CRON || `*/${FETCH_INTERVAL_MINUTES} * * * *`,
+  // Without a cron, analysis runs after each cycle that collected anything
+  analysis: process.env.ANALYSIS_CRON || null
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Runs missed for longer than this (e.g. while the fetcher was down) are not made up
+const MAX_CATCH_UP_MS = 24 * 60 * MINUTE_MS;
+
+// How far ahead getNextRun looks before giving up
+const MAX_LOOKAHEAD_MS = 8 * 24 * 60 * MINUTE_MS;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Cron fields in order, with their ranges and the names they accept (matched on their first three letters)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'date', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day', min: 0, max: 7, names: WEEKDAYS.map(day => day.toLowerCase()), offset: 0 }
+];
+
+// Offsets are looked up once per quarter hour, the finest step any timezone changes its offset on
+const OFFSET_BLOCK_MS = 15 * MINUTE_MS;
+const MAX_CACHED_OFFSETS = 10000;
+
+// Parsed crons, formatters and UTC offsets are reused across ticks; building them is the slow part
+const matchers = new Map();
+const formatters = new Map();
+const offsets = new Map();
+
+function parseCronValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.slice(0, 3).toLowerCase()) : -1;
+  return index === -1 ? parseInt(value, 10) : index + field.offset;
+}
+
+// The values one field matches, e.g. "1-5" -> {1, 2, 3, 4, 5}. Sunday may be written as 0 or 7.
+function parseCronField(expression, field) {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [range, step] = part.split('/');
+    const [first, last] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(value => parseCronValue(value, field));
+    // A single value with a step ("5/15") runs from that value to the end of the range
+    const end = last ?? (step ? field.max : first);
+    for (let value = first; value <= end; value += parseInt(step, 10) || 1) {
+      values.add(field.name === 'day' ? value % 7 : value);
+    }
+  }
+  return values;
+}
+
+// Every field has to match, day of month and weekday included (as node-cron does)
+function getMatcher(expression) {
+  if (!matchers.has(expression)) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length === 6) parts.shift(); // Env crons may carry node-cron's seconds field; runs are per minute
+    matchers.set(expression, Object.fromEntries(
+      CRON_FIELDS.map((field, index) => [field.name, parseCronField(parts[index], field)])
+    ));
+  }
+  return matchers.get(expression);
+}
+
+// Milliseconds the timezone is ahead of UTC at a moment
+function getUtcOffset(time, timeZone) {
+  const block = Math.floor(time / OFFSET_BLOCK_MS);
+  const key = `${timeZone}|${block}`;
+  if (!offsets.has(key)) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+      }));
+    }
+    const start = block * OFFSET_BLOCK_MS;
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(start)).map(part => [part.type, part.value]));
+    if (offsets.size >= MAX_CACHED_OFFSETS) offsets.clear();
+    offsets.set(key, Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - start);
+  }
+  return offsets.get(key);
+}
+
+// Wall-clock time of a moment in the given timezone: weekday (0 = Sunday) and HH:MM, plus the
+// fields a cron matches on
+function getLocalTime(date, timeZone) {
+  const local = new Date(date.getTime() + getUtcOffset(date.getTime(), timeZone));
+  const hour = local.getUTCHours();
+  const minute = local.getUTCMinutes();
+  return {
+    minute,
+    hour,
+    date: local.getUTCDate(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDay(),
+    time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  };
+}
+
+// Windows that cross midnight (e.g. 22:00-07:00) wrap around
+function isWithinWindow(time, start, end) {
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+// The schedule that applies to one source: chat or gmail for a user, analysis for an organization (user null)
+function resolveSchedule(source, user, organization) {
+  const shared = organization?.settings?.sync_schedule || {};
+  const own = (source === 'analysis' ? null : user?.sync_schedule) || {};
+  const ownSource = own[source] || {};
+  const sharedSource = shared[source] || {};
+  const quietHours = [own.quiet_hours, shared.quiet_hours].find(hours => hours?.start && hours?.end);
+
+  return {
+    source,
+    cron: ownSource.cron || sharedSource.cron || DEFAULT_CRON[source],
+    enabled: ownSource.enabled ?? sharedSource.enabled ?? true,
+    working_hours_only: ownSource.working_hours_only ?? sharedSource.working_hours_only ?? false,
+    quiet_hours: quietHours ? { start: quietHours.start, end: quietHours.end } : null,
+    skip_weekends: own.skip_weekends ?? shared.skip_weekends ?? false,
+    timezone: resolveTimezone(user, organization),
+    working_hours: user?.working_hours || DEFAULT_WORKING_HOURS
+  };
+}
+
+// Whether the schedule holds off at this moment: quiet hours, days off, or outside working hours
+// for schedules limited to them
+function isQuietTime(schedule, date, local = getLocalTime(date, schedule.timezone)) {
+  const { day, time } = local;
+  const { working_hours: workingHours } = schedule;
+
+  if (schedule.skip_weekends && !workingHours.days.includes(day)) return true;
+  if (schedule.quiet_hours && isWithinWindow(time, schedule.quiet_hours.start, schedule.quiet_hours.end)) return true;
+  if (schedule.working_hours_only &&
+    !(workingHours.days.includes(day) && isWithinWindow(time, workingHours.start, workingHours.end))) return true;
+  return false;
+}
+
+// Walk minute by minute (direction 1 forwards, -1 backwards) from `from` to `until`, both included,
+// and return the first minute the schedule runs on, or null. Hours and days the cron can't match
+// are skipped in one step.
+function findRunMinute(schedule, from, until, direction) {
+  const matcher = getMatcher(schedule.cron);
+  let minute = from;
+  while (direction > 0 ? minute <= until : minute >= until) {
+    const date = new Date(minute);
+    const local = getLocalTime(date, schedule.timezone);
+    let skip = 1;
+    if (!matcher.date.has(local.date) || !matcher.month.has(local.month) || !matcher.day.has(local.day)) {
+      // To about an hour before the next day starts (or after this one started): a DST change can
+      // make the day an hour shorter or longer, and overshooting would miss a run
+      skip = direction > 0
+        ? Math.max(22 - local.hour, 0) * 60 + (60 - local.minute)
+        : Math.max(local.hour - 1, 0) * 60 + local.minute + 1;
+    } else if (!matcher.hour.has(local.hour)) {
+      skip = direction > 0 ? 60 - local.minute : local.minute + 1;
+    } else if (matcher.minute.has(local.minute) && !isQuietTime(schedule, date, local)) {
+      return date;
+    }
+    minute += direction * Math.max(skip, 1) * MINUTE_MS;
+  }
+  return null;
+}
+
+// Whether the schedule has fired since lastRunAt. Schedules that never ran are due straight away
+// unless it is quiet time.
+function isDue(schedule, lastRunAt, now = new Date()) {
+  if (!schedule.enabled || !schedule.cron || isQuietTime(schedule, now)) return false;
+  if (!lastRunAt) return true;
+
+  const since = Math.max(new Date(lastRunAt).getTime(), now.getTime() - MAX_CATCH_UP_MS);
+  const lastMinute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+  const firstMinute = (Math.floor(since / MINUTE_MS) + 1) * MINUTE_MS;
+  return findRunMinute(schedule, lastMinute, firstMinute, -1) !== null;
+}
+
+// The next minute the schedule will run after from, or null (disabled, no cron, or nothing within a week)
+function getNextRun(schedule, from = new Date()) {
+  if (!schedule.enabled || !schedule.cron) return null;
+
+  const firstMinute = (Math.floor(from.getTime() / MINUTE_MS) + 1) * MINUTE_MS;
+  return findRunMinute(schedule, firstMinute, from.getTime() + MAX_LOOKAHEAD_MS, 1);
+}
+
+module.exports = {
+  resolveSchedule,
+  isQuietTime,
+  isDue,
+  getNextRun,
+  FETCH_INTERVAL_MINUTES,
+  DEFAULT_CRON
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// Envelope encryption for OAuth tokens stored in MongoDB.
+// Each token gets its own random data key (DEK) that encrypts the token with AES-256-GCM.
+// The DEK is then wrapped with a master key (KEK) from TOKEN_ENCRYPTION_KEYS, so rotating
+// the master key only means re-wrapping DEKs, never touching the token ciphertext.
+//
+// TOKEN_ENCRYPTION_KEYS format: "keyId:base64Key,olderKeyId:base64Key" - the first entry is the
+// active key used for new encryptions, the rest are kept only so older values can be decrypted.
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+const PREFIX = 'enc';
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let cachedKeys = null;
+
+// Parse master keys from config (cached after first use)
+function loadKeys() {
+  if (cachedKeys) return cachedKeys;
+
+  const rawKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!rawKeys) {
+    throw new Error('Missing token encryption configuration. Please set TOKEN_ENCRYPTION_KEYS environment variable.');
+  }
+
+  const keys = rawKeys.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex <= 0) {
+      throw new Error('Invalid TOKEN_ENCRYPTION_KEYS entry, expected "keyId:base64Key"');
+    }
+    const id = entry.slice(0, separatorIndex);
+    const key = Buffer.from(entry.slice(separatorIndex + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${id}" must be 32 bytes (base64 encoded)`);
+    }
+    return { id, key };
+  });
+
+  if (keys.length === 0) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS does not contain any keys');
+  }
+
+  cachedKeys = { active: keys[0], byId: new Map(keys.map(k => [k.id, k.key])) };
+  return cachedKeys;
+}
+
+// Clear cached keys (used after changing TOKEN_ENCRYPTION_KEYS at runtime)
+function resetKeyCache() {
+  cachedKeys = null;
+}
+
+function getActiveKeyId() {
+  return loadKeys().active.id;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + 16);
+  const ciphertext = sealed.subarray(IV_LENGTH + 16);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncryptedToken(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:${FORMAT_VERSION}:`);
+}
+
+// Split "enc:v1:<keyId>:<wrappedDek>:<sealedToken>" into its parts
+function parseEncryptedToken(value) {
+  const [, , keyId, wrappedDek, sealedToken] = value.split(':');
+  if (!keyId || !wrappedDek || !sealedToken) {
+    throw new Error('Malformed encrypted token');
+  }
+  return {
+    keyId,
+    wrappedDek: Buffer.from(wrappedDek, 'base64'),
+    sealedToken
+  };
+}
+
+function unwrapDataKey(keyId, wrappedDek) {
+  const masterKey = loadKeys().byId.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Token was encrypted with unknown key "${keyId}". Add it to TOKEN_ENCRYPTION_KEYS.`);
+  }
+  return open(masterKey, wrappedDek);
+}
+
+// Encrypt a token with the active key. Already encrypted values and empty values pass through unchanged.
+function encryptToken(plaintext) {
+  if (!plaintext || isEncryptedToken(plaintext)) return plaintext;
+
+  const { active } = loadKeys();
+  const dataKey = crypto.randomBytes(32);
+  const sealedToken = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+  const wrappedDek = seal(active.key, dataKey);
+
+  return [PREFIX, FORMAT_VERSION, active.id, wrappedDek.toString('base64'), sealedToken.toString('base64')].join(':');
+}
+
+// Decrypt a token. Legacy plaintext values (not yet migrated) are returned as-is.
+function decryptToken(value) {
+  if (!value || !isEncryptedToken(value)) return value;
+
+  const { keyId, wrappedDek, sealedToken } = parseEncryptedToken(value);
+  const dataKey = unwrapDataKey(keyId, wrappedDek);
+  return open(dataKey, Buffer.from(sealedToken, 'base64')).toString('utf8');
+}
+
+// Re-wrap a token's data key with the active key (key rotation). Plaintext values get encrypted.
+function rewrapToken(value) {
+  if (!value) return value;
+  if (!isEncryptedToken(value)) return encryptToken(value);
+
+  const { keyId, wrappedDek, sealedToken } = parseEncryptedToken(value);
+  const { active } = loadKeys();
+  if (keyId === active.id) return value;
+
+  const dataKey = unwrapDataKey(keyId, wrappedDek);
+  const rewrappedDek = seal(active.key, dataKey);
+  return [PREFIX, FORMAT_VERSION, active.id, rewrappedDek.toString('base64'), sealedToken].join(':');
+}
+
+// Returns true when a stored value still needs migrating (plaintext or wrapped with an old key)
+function needsReencryption(value) {
+  if (!value) return false;
+  if (!isEncryptedToken(value)) return true;
+  return parseEncryptedToken(value).keyId !== getActiveKeyId();
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  rewrapToken,
+  isEncryptedToken,
+  needsReencryption,
+  getActiveKeyId,
+  resetKeyCache
+};